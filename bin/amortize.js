@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { AMORTIZATION_SYSTEMS, calculateAmortization, EXTRA_PAYMENT_MODES, GRACE_TYPES, RATE_CHANGE_TYPES, RECURRING_FREQUENCIES } from '../src/amortization.js';
+import { calculateUVRAmortization } from '../src/uvr.js';
+import { applyLoanCosts, hasLoanCosts } from '../src/costs.js';
+import { getUsuryExcess, RATE_CODES, toEffectiveAnnual } from '../src/rates.js';
+import { DAY_COUNT_CONVENTIONS, PAYMENT_FREQUENCIES, parseDate } from '../src/calendar.js';
+
+const USAGE = `Uso: amortize [opciones]
+
+Opciones:
+  --amount <n>        Monto del préstamo (por defecto 100000)
+  --rate <n>          Tasa de interés en % (por defecto 5)
+  --rate-type <c>     Convención de --rate: EA (por defecto), ES, ET, EB, EM,
+                      NAV, NSV, NTV, NBV, NMV, NAA, NSA, NTA, NBA o NMA
+  --usury <n>         Tasa de usura vigente (EA %); avisa si la tasa la supera
+  --term <n>          Plazo (por defecto 5)
+  --unit <u>          Unidad del plazo: years | months (por defecto years)
+  --frequency <f>     Frecuencia de pago: weekly, biweekly, monthly (por defecto),
+                      bimonthly, quarterly o semiannual. Los meses de --extra,
+                      --rate-change y --grace se cuentan en cuotas
+  --extra <mes:monto[:modo]>
+                      Abono extraordinario; se puede repetir. En lugar del mes se
+                      puede dar una fecha AAAA-MM-DD si hay fecha de desembolso.
+                      El modo es reduceTerm (por defecto) o reduceInstallment
+  --disbursement-date <AAAA-MM-DD>
+                      Fecha de desembolso; agrega la fecha de cada cuota y prorratea
+                      el interés del primer periodo
+  --payment-day <d>   Día de pago de cada mes (por defecto el día del desembolso)
+  --day-count <c>     Conteo de días: 30/360 (por defecto), actual/365 o actual/360
+  --system <s>        Sistema de amortización: french (por defecto), constantPrincipal,
+                      growingInstallment, bullet o balloon
+  --growth <n>        Crecimiento anual de la cuota en % (growingInstallment)
+  --balloon <n>       Valor residual en % del monto (balloon)
+  --grace <n>         Meses de periodo de gracia (por defecto 0)
+  --grace-type <t>    total (intereses capitalizados) o partial (solo intereses, por defecto)
+  --rate-change <mes:tea>
+                      Nueva TEA desde ese mes (tasa variable); se puede repetir
+  --uvr <valor>       Simula un crédito en UVR con este valor de UVR al desembolso;
+                      --rate pasa a ser la tasa real (UVR + %)
+  --inflation <lista> Inflación anual proyectada por año, por ejemplo "5;4;3.5"
+  --life-insurance <n>     Seguro de vida deudor, % mensual sobre el saldo
+  --property-value <n>     Valor de la garantía para el seguro de incendio y terremoto
+  --property-insurance <n> Seguro de incendio y terremoto, % mensual sobre la garantía
+  --monthly-fee <n>        Cuota de manejo mensual
+  --opening-fee <n>        Comisión de apertura
+  --study-fee <n>          Estudio de crédito
+  --first-month <m>   Mes calendario (1-12) de la primera cuota, usado por los
+                      abonos recurrentes en meses específicos (por defecto 1)
+  --input <archivo>   JSON con { loanAmount, annualInterestRate, rateType, usuryRate,
+                      loanTerm, loanTermUnit, paymentFrequency, disbursementDate, paymentDay,
+                      dayCountConvention,
+                      amortizationSystem, installmentGrowth, balloonPercentage,
+                      graceMonths, graceType, rateChanges, uvrInitialValue, inflationPath,
+                      costs: { lifeInsuranceRate, propertyValue, propertyInsuranceRate,
+                      monthlyFee, openingFee, studyFee },
+                      firstPaymentCalendarMonth, extraPayments }; extraPayments admite
+                      reglas { type: 'recurring', amount, startMonth, endMonth, frequency,
+                      interval, calendarMonths, annualGrowth, mode }
+  --format <f>        json | csv | table (por defecto table)
+  --output <archivo>  Escribe el resultado en un archivo en lugar de stdout
+  --help              Muestra esta ayuda
+`;
+
+const COLUMNS = [
+  ['month', 'Mes'],
+  ['annualRate', 'TEA'],
+  ['monthlyPayment', 'Cuota Mensual'],
+  ['interestPayment', 'Intereses'],
+  ['principalPayment', 'Capital'],
+  ['extraPaymentApplied', 'Abono Extra'],
+  ['remainingBalance', 'Saldo Restante'],
+];
+
+const DUE_DATE_COLUMN = ['dueDate', 'Fecha'];
+
+const GRACE_COLUMN = ['capitalizedInterest', 'Int. Capitalizado'];
+
+const COST_COLUMNS = [
+  ['lifeInsurance', 'Seguro Vida'],
+  ['propertyInsurance', 'Seguro Inc./Terr.'],
+  ['managementFee', 'Cuota Manejo'],
+  ['totalPayment', 'Pago Total'],
+];
+
+const UVR_COLUMNS = [
+  ['uvrValue', 'Valor UVR', 4],
+  ['uvrBalance', 'Saldo (UVR)', 2],
+];
+
+// Installment numbers are months only with the monthly frequency.
+const PERIOD_COLUMNS = [
+  ['month', 'Periodo'],
+  ['annualRate', 'TEA'],
+  ['monthlyPayment', 'Cuota'],
+];
+
+const getColumns = (result) => [
+  ...(result.paymentFrequency === 'monthly' ? COLUMNS : PERIOD_COLUMNS).slice(0, 1),
+  ...(result.schedule[0]?.dueDate ? [DUE_DATE_COLUMN] : []),
+  ...(result.paymentFrequency === 'monthly' ? COLUMNS : PERIOD_COLUMNS).slice(1, 3),
+  COLUMNS[3],
+  ...(result.totalCapitalizedInterest > 0 ? [GRACE_COLUMN] : []),
+  ...COLUMNS.slice(4, 6),
+  ...(result.hasCosts ? COST_COLUMNS : []),
+  ...COLUMNS.slice(6),
+  ...(result.uvrValues ? UVR_COLUMNS : []),
+];
+
+const fail = (text) => {
+  process.stderr.write(`${text}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+const parseExtraPayment = (value) => {
+  const [rawMonth, rawAmount, mode = 'reduceTerm'] = value.split(':');
+  const date = parseDate(rawMonth) ? rawMonth : null;
+  const month = Number(rawMonth);
+  const amount = Number(rawAmount);
+  if ((!date && (!Number.isInteger(month) || month <= 0)) || isNaN(amount) || amount <= 0 || !EXTRA_PAYMENT_MODES.includes(mode)) {
+    fail(`Abono inválido: "${value}". Usa el formato mes:monto[:modo] o fecha:monto[:modo], por ejemplo 12:500000:reduceInstallment o 2026-06-15:500000.`);
+  }
+  return date ? { date, amount, mode } : { month, amount, mode };
+};
+
+const parseRateChange = (value) => {
+  const [month, tea] = value.split(':').map(Number);
+  if (!Number.isInteger(month) || month <= 1 || isNaN(tea) || tea < 0) {
+    fail(`Cambio de tasa inválido: "${value}". Usa el formato mes:tea, por ejemplo 13:14.5.`);
+  }
+  return { month, type: 'tea', tea };
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Abonos from --input are checked like --extra, and their numbers parsed. Recurring
+// rules start on a month or a date and may end on a month.
+const readInputExtraPayment = (ep) => {
+  const invalid = () => fail(`Abono inválido en el archivo de entrada: ${JSON.stringify(ep)}.`);
+  if (ep === null || typeof ep !== 'object') return invalid();
+  const amount = Number(ep.amount);
+  const mode = ep.mode ?? 'reduceTerm';
+  if (!(amount > 0) || !EXTRA_PAYMENT_MODES.includes(mode)) return invalid();
+
+  const [monthField, dateField] = ep.type === 'recurring' ? ['startMonth', 'startDate'] : ['month', 'date'];
+  const month = Number(ep[monthField]);
+  if (ep[dateField] != null ? !parseDate(ep[dateField]) : !isPositiveInteger(month)) return invalid();
+  const when = ep[dateField] != null ? {} : { [monthField]: month };
+  if (ep.type !== 'recurring') return { ...ep, ...when, amount, mode };
+
+  const endMonth = ep.endMonth == null ? null : Number(ep.endMonth);
+  const frequency = ep.frequency ?? 'monthly';
+  const interval = Number(ep.interval ?? 1);
+  const calendarMonths = (ep.calendarMonths || []).map(Number);
+  const annualGrowth = Number(ep.annualGrowth ?? 0);
+  if ((endMonth !== null && !(isPositiveInteger(endMonth) && (ep.startDate != null || endMonth >= month)))
+    || !RECURRING_FREQUENCIES.includes(frequency)
+    || (frequency === 'interval' && !isPositiveInteger(interval))
+    || (frequency === 'calendarMonths' && (calendarMonths.length === 0 || !calendarMonths.every(m => Number.isInteger(m) && m >= 1 && m <= 12)))
+    || !(annualGrowth >= 0)) {
+    return invalid();
+  }
+  return { ...ep, ...when, amount, mode, endMonth, frequency, interval, calendarMonths, annualGrowth };
+};
+
+// Rate changes from --input are checked like --rate-change; indexed ones give the
+// index value and the spread instead of the TEA.
+const readInputRateChange = (rc) => {
+  const invalid = () => fail(`Cambio de tasa inválido en el archivo de entrada: ${JSON.stringify(rc)}.`);
+  if (rc === null || typeof rc !== 'object') return invalid();
+  const month = Number(rc.month);
+  const type = rc.type ?? 'tea';
+  if (!Number.isInteger(month) || month <= 1 || !RATE_CHANGE_TYPES.includes(type)) return invalid();
+  if (type === 'indexed') {
+    const indexValue = Number(rc.indexValue);
+    const spread = Number(rc.spread);
+    if (!Number.isFinite(indexValue) || !Number.isFinite(spread)) return invalid();
+    return { ...rc, month, type, indexValue, spread };
+  }
+  const tea = Number(rc.tea);
+  if (!(tea >= 0)) return invalid();
+  return { ...rc, month, type, tea };
+};
+
+const readInputList = (list, readItem, name) => {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) return fail(`"${name}" debe ser una lista en el archivo de entrada.`);
+  return list.map(readItem);
+};
+
+const readInputFile = (path) => {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    return fail(error.code === 'ENOENT'
+      ? `No se encontró el archivo de entrada: "${path}".`
+      : `No se pudo leer el archivo de entrada "${path}": ${error.message}`);
+  }
+};
+
+const readLoanInput = (values) => {
+  const loan = values.input ? readInputFile(values.input) : {};
+  return {
+    loanAmount: Number(values.amount ?? loan.loanAmount ?? 100000),
+    annualInterestRate: Number(values.rate ?? loan.annualInterestRate ?? 5),
+    rateType: values['rate-type'] ?? loan.rateType ?? 'EA',
+    usuryRate: Number(values.usury ?? loan.usuryRate ?? 0),
+    loanTerm: Number(values.term ?? loan.loanTerm ?? 5),
+    loanTermUnit: values.unit ?? loan.loanTermUnit ?? 'years',
+    paymentFrequency: values.frequency ?? loan.paymentFrequency ?? 'monthly',
+    firstPaymentCalendarMonth: Number(values['first-month'] ?? loan.firstPaymentCalendarMonth ?? 1),
+    disbursementDate: values['disbursement-date'] ?? loan.disbursementDate ?? null,
+    paymentDay: values['payment-day'] ?? loan.paymentDay ?? null,
+    dayCountConvention: values['day-count'] ?? loan.dayCountConvention ?? '30/360',
+    amortizationSystem: values.system ?? loan.amortizationSystem ?? 'french',
+    installmentGrowth: Number(values.growth ?? loan.installmentGrowth ?? 0),
+    balloonPercentage: Number(values.balloon ?? loan.balloonPercentage ?? 0),
+    graceMonths: Number(values.grace ?? loan.graceMonths ?? 0),
+    graceType: values['grace-type'] ?? loan.graceType ?? 'partial',
+    uvrInitialValue: values.uvr ?? loan.uvrInitialValue,
+    inflationPath: values.inflation ?? loan.inflationPath ?? [],
+    costs: {
+      lifeInsuranceRate: Number(values['life-insurance'] ?? loan.costs?.lifeInsuranceRate ?? 0),
+      propertyValue: Number(values['property-value'] ?? loan.costs?.propertyValue ?? 0),
+      propertyInsuranceRate: Number(values['property-insurance'] ?? loan.costs?.propertyInsuranceRate ?? 0),
+      monthlyFee: Number(values['monthly-fee'] ?? loan.costs?.monthlyFee ?? 0),
+      openingFee: Number(values['opening-fee'] ?? loan.costs?.openingFee ?? 0),
+      studyFee: Number(values['study-fee'] ?? loan.costs?.studyFee ?? 0),
+    },
+    rateChanges: [...readInputList(loan.rateChanges, readInputRateChange, 'rateChanges'), ...(values['rate-change'] || []).map(parseRateChange)],
+    extraPayments: [...readInputList(loan.extraPayments, readInputExtraPayment, 'extraPayments'), ...(values.extra || []).map(parseExtraPayment)],
+  };
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const cellValue = (value, decimals) => (typeof value === 'string' ? value : round(value, decimals));
+
+const toJSON = (loan, result) => JSON.stringify({
+  loan,
+  summary: {
+    monthlyPayment: round(result.monthlyPayment),
+    numberOfPayments: result.schedule.length,
+    totalInterestPaid: round(result.totalInterestPaid),
+    totalInterestSaved: round(result.totalInterestSaved),
+    totalCapitalizedInterest: round(result.totalCapitalizedInterest),
+    totalInsurance: round(result.totalInsurance),
+    totalManagementFees: round(result.totalManagementFees),
+    upfrontFees: round(result.upfrontFees),
+    effectiveAnnualRate: round(result.effectiveAnnualRate, 4),
+    effectiveAnnualCost: round(result.effectiveAnnualCost, 4),
+    usuryExcess: round(result.usuryExcess, 4),
+  },
+  schedule: result.schedule.map(row => Object.fromEntries(
+    getColumns(result).map(([key, , decimals]) => [key, row[key] === null ? null : cellValue(row[key], decimals)])
+  )),
+}, null, 2) + '\n';
+
+const toCSV = (result) => [
+  getColumns(result).map(([key]) => key).join(','),
+  ...result.schedule.map(row => getColumns(result).map(([key, , decimals]) => (row[key] === null ? '' : cellValue(row[key], decimals))).join(',')),
+].join('\n') + '\n';
+
+const toTable = (result) => {
+  const format = (value, decimals = 0) => (value === null ? '-' : new Intl.NumberFormat('es-CO', { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(value));
+  const columns = getColumns(result);
+  const rows = [
+    columns.map(([, label]) => label),
+    ...result.schedule.map(row => columns.map(([key, , decimals]) => {
+      if (key === 'month' || key === 'dueDate') return String(row[key]);
+      if (key === 'annualRate') return `${row.annualRate.toFixed(2)}%`;
+      return format(row[key], decimals);
+    })),
+  ];
+  const widths = columns.map((_, col) => Math.max(...rows.map(row => row[col].length)));
+  const lines = rows.map(row => row.map((cell, col) => cell.padStart(widths[col])).join('  '));
+  lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+  return [
+    ...lines,
+    '',
+    `${result.paymentFrequency === 'monthly' ? 'Cuota Mensual' : 'Cuota'}: ${format(result.monthlyPayment)}`,
+    `Número de pagos: ${result.schedule.length}`,
+    `Interés Total Pagado: ${format(result.totalInterestPaid)}`,
+    `Interés Total Ahorrado: ${format(result.totalInterestSaved)}`,
+    ...(result.totalCapitalizedInterest > 0 ? [`Interés Capitalizado: ${format(result.totalCapitalizedInterest)}`] : []),
+    ...(result.hasCosts ? [`Total Seguros: ${format(result.totalInsurance)}`, `Comisiones Iniciales: ${format(result.upfrontFees)}`] : []),
+    ...(result.rateType !== 'EA' ? [`Tasa Efectiva Anual equivalente: ${format(result.effectiveAnnualRate, 4)}%`] : []),
+    `Costo Efectivo Anual: ${format(result.effectiveAnnualCost, 2)}%`,
+  ].join('\n') + '\n';
+};
+
+let values;
+try {
+  ({ values } = parseArgs({
+    options: {
+      amount: { type: 'string' },
+      rate: { type: 'string' },
+      'rate-type': { type: 'string' },
+      usury: { type: 'string' },
+      term: { type: 'string' },
+      unit: { type: 'string' },
+      frequency: { type: 'string' },
+      'first-month': { type: 'string' },
+      'disbursement-date': { type: 'string' },
+      'payment-day': { type: 'string' },
+      'day-count': { type: 'string' },
+      system: { type: 'string' },
+      growth: { type: 'string' },
+      balloon: { type: 'string' },
+      grace: { type: 'string' },
+      'grace-type': { type: 'string' },
+      'rate-change': { type: 'string', multiple: true },
+      uvr: { type: 'string' },
+      inflation: { type: 'string' },
+      'life-insurance': { type: 'string' },
+      'property-value': { type: 'string' },
+      'property-insurance': { type: 'string' },
+      'monthly-fee': { type: 'string' },
+      'opening-fee': { type: 'string' },
+      'study-fee': { type: 'string' },
+      extra: { type: 'string', multiple: true },
+      input: { type: 'string' },
+      format: { type: 'string', default: 'table' },
+      output: { type: 'string' },
+      help: { type: 'boolean' },
+    },
+  }));
+} catch (error) {
+  fail(error.message);
+}
+
+if (values.help) {
+  process.stdout.write(USAGE);
+  process.exit(0);
+}
+
+const loan = readLoanInput(values);
+if (!['years', 'months'].includes(loan.loanTermUnit)) {
+  fail(`Unidad de plazo inválida: "${loan.loanTermUnit}".`);
+}
+if (!PAYMENT_FREQUENCIES[loan.paymentFrequency]) {
+  fail(`Frecuencia de pago inválida: "${loan.paymentFrequency}".`);
+}
+if (!RATE_CODES[loan.rateType]) {
+  fail(`Tipo de tasa inválido: "${loan.rateType}".`);
+}
+if (loan.disbursementDate !== null && !parseDate(loan.disbursementDate)) {
+  fail(`Fecha de desembolso inválida: "${loan.disbursementDate}". Usa el formato AAAA-MM-DD.`);
+}
+if (loan.paymentDay !== null && !(Number(loan.paymentDay) >= 1 && Number(loan.paymentDay) <= 31)) {
+  fail(`Día de pago inválido: "${loan.paymentDay}".`);
+}
+if (!DAY_COUNT_CONVENTIONS.includes(loan.dayCountConvention)) {
+  fail(`Convención de conteo de días inválida: "${loan.dayCountConvention}".`);
+}
+if (loan.disbursementDate === null && loan.extraPayments.some(ep => ep.date || ep.startDate)) {
+  fail('Los abonos con fecha requieren --disbursement-date.');
+}
+if (!GRACE_TYPES.includes(loan.graceType)) {
+  fail(`Tipo de periodo de gracia inválido: "${loan.graceType}".`);
+}
+if (!AMORTIZATION_SYSTEMS.includes(loan.amortizationSystem)) {
+  fail(`Sistema de amortización inválido: "${loan.amortizationSystem}".`);
+}
+
+const calculate = loan.uvrInitialValue === undefined ? calculateAmortization : calculateUVRAmortization;
+const effectiveAnnualRate = toEffectiveAnnual(loan.annualInterestRate, loan.rateType);
+const calculated = calculate({ ...loan, annualInterestRate: effectiveAnnualRate });
+const withCosts = applyLoanCosts(loan.loanAmount, calculated.schedule, loan.costs, {
+  disbursementDate: loan.disbursementDate,
+  periodsPerYear: PAYMENT_FREQUENCIES[loan.paymentFrequency].periodsPerYear,
+});
+const result = {
+  ...calculated,
+  ...withCosts,
+  hasCosts: hasLoanCosts(loan.costs),
+  rateType: loan.rateType,
+  paymentFrequency: loan.paymentFrequency,
+  effectiveAnnualRate,
+  usuryExcess: getUsuryExcess(effectiveAnnualRate, loan.usuryRate),
+  schedule: withCosts.schedule.map(row => (row.uvr ? { ...row, uvrBalance: row.uvr.remainingBalance } : row)),
+};
+if (result.schedule.length === 0) {
+  fail('Los datos del préstamo no son válidos: el monto y el plazo deben ser mayores que cero, y el periodo de gracia menor que el plazo.');
+}
+
+if (result.usuryExcess > 0) {
+  process.stderr.write(`Advertencia: la tasa efectiva anual (${effectiveAnnualRate.toFixed(2)}%) supera la tasa de usura (${loan.usuryRate}%).\n`);
+}
+
+const formatters = {
+  json: () => toJSON(loan, result),
+  csv: () => toCSV(result),
+  table: () => toTable(result),
+};
+if (!formatters[values.format]) {
+  fail(`Formato desconocido: "${values.format}".`);
+}
+
+const output = formatters[values.format]();
+if (values.output) {
+  try {
+    writeFileSync(values.output, output);
+  } catch (error) {
+    fail(`No se pudo escribir el archivo de salida "${values.output}": ${error.message}`);
+  }
+} else {
+  process.stdout.write(output);
+}
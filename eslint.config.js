@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['bin/**/*.js', 'test/**/*.js', 'tailwind.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,316 @@
+import React, { useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { groupByYear, sumField } from './chartSeries';
+
+// Rows have a fixed height so that only the ones in view need to be rendered.
+const ROW_HEIGHT = 45;
+const VIEWPORT_HEIGHT = 500;
+// Rows rendered beyond each edge of the view, so fast scrolling shows no gaps.
+const OVERSCAN = 10;
+
+const inputClassName = 'px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800';
+const headerClassName = 'px-4 py-3 text-left text-xs font-bold uppercase tracking-wider';
+const cellClassName = 'px-4 py-3 whitespace-nowrap text-sm text-gray-800';
+
+// A year with the subtotals shown in its summary row.
+const summarizeYear = ({ year, rows }) => {
+  const lastRow = rows[rows.length - 1];
+  return {
+    year,
+    rows,
+    monthlyPayment: sumField(rows, 'monthlyPayment'),
+    interestPayment: sumField(rows, 'interestPayment'),
+    principalPayment: sumField(rows, 'principalPayment'),
+    extraPaymentApplied: sumField(rows, 'extraPaymentApplied'),
+    lifeInsurance: sumField(rows, 'lifeInsurance'),
+    propertyInsurance: sumField(rows, 'propertyInsurance'),
+    managementFee: sumField(rows, 'managementFee'),
+    totalPayment: sumField(rows, 'totalPayment'),
+    remainingBalance: lastRow.remainingBalance,
+    uvrValue: lastRow.uvrValue,
+    uvr: lastRow.uvr && {
+      monthlyPayment: rows.reduce((total, row) => total + row.uvr.monthlyPayment, 0),
+      remainingBalance: lastRow.uvr.remainingBalance,
+    },
+  };
+};
+
+// The amortization schedule, one row per period or grouped into years that
+// expand into their periods. Only the rows in view are in the DOM.
+function AmortizationTable({
+  schedule,
+  periodsPerYear,
+  hasCosts,
+  hasUVRColumns,
+  rateLabel,
+  installmentColumnLabel,
+  periodLabel,
+  periodsLabel,
+  formatCurrency,
+  formatDate,
+  formatRate,
+  formatUVR,
+  t,
+}) {
+  const [groupBy, setGroupBy] = useState('periods');
+  const [expandedYears, setExpandedYears] = useState([]);
+  const [onlyExtraPayments, setOnlyExtraPayments] = useState(false);
+  const [jumpMonth, setJumpMonth] = useState('');
+  const [jumpDate, setJumpDate] = useState('');
+  const [highlightedMonth, setHighlightedMonth] = useState(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const containerRef = useRef(null);
+  // Month to bring into view once the rows that include it have rendered.
+  const pendingScrollMonth = useRef(null);
+
+  const hasDueDates = schedule.length > 0 && schedule[0].dueDate !== null;
+  const years = useMemo(() => groupByYear(schedule, periodsPerYear).map(summarizeYear), [schedule, periodsPerYear]);
+
+  // Table lines in display order: year summaries and the rows under them.
+  const items = useMemo(() => {
+    const isShown = (row) => !onlyExtraPayments || row.extraPaymentApplied;
+    if (groupBy === 'periods') {
+      return schedule.filter(isShown).map(row => ({ row }));
+    }
+    return years.flatMap((year) => {
+      const rows = year.rows.filter(isShown);
+      if (rows.length === 0) return [];
+      return [{ year }, ...(expandedYears.includes(year.year) ? rows.map(row => ({ row })) : [])];
+    });
+  }, [schedule, years, groupBy, expandedYears, onlyExtraPayments]);
+
+  useLayoutEffect(() => {
+    if (pendingScrollMonth.current === null || !containerRef.current) return;
+    const index = items.findIndex(item => item.row?.month === pendingScrollMonth.current);
+    pendingScrollMonth.current = null;
+    if (index !== -1) containerRef.current.scrollTop = Math.max(0, (index - 2) * ROW_HEIGHT);
+  });
+
+  const firstIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastIndex = Math.min(items.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const columnCount = 7 + (hasDueDates ? 1 : 0) + (hasCosts ? 4 : 0) + (hasUVRColumns ? 3 : 0);
+
+  const toggleYear = (year) => {
+    setExpandedYears(prev => (prev.includes(year) ? prev.filter(item => item !== year) : [...prev, year]));
+  };
+
+  const jumpTo = (row) => {
+    if (!row) return;
+    setOnlyExtraPayments(false);
+    if (groupBy === 'years') {
+      const { year } = years.find(item => item.rows.includes(row));
+      setExpandedYears(prev => (prev.includes(year) ? prev : [...prev, year]));
+    }
+    setHighlightedMonth(row.month);
+    pendingScrollMonth.current = row.month;
+  };
+
+  const handleJumpToMonth = () => {
+    const month = parseInt(jumpMonth);
+    if (isNaN(month)) return;
+    jumpTo(schedule[Math.min(Math.max(month, 1), schedule.length) - 1]);
+  };
+
+  const handleJumpToDate = () => {
+    if (!jumpDate) return;
+    jumpTo(schedule.find(row => row.dueDate >= jumpDate) || schedule[schedule.length - 1]);
+  };
+
+  const renderRow = (row, index) => (
+    <tr
+      key={row.month}
+      style={{ height: ROW_HEIGHT }}
+      className={`${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'} ${row.grace ? 'bg-violet-50 border-l-4 border-violet-400' : ''} ${row.extraPaymentApplied ? 'bg-yellow-50 font-semibold border-l-4 border-yellow-500' : ''} ${row.month === highlightedMonth ? 'outline outline-2 -outline-offset-2 outline-blue-500' : ''} hover:bg-blue-50 transition-colors duration-150`}
+    >
+      <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+        {row.month}
+        {row.grace && (
+          <span className="ml-2 px-2 py-0.5 text-xs font-bold text-violet-800 bg-violet-200 rounded-full">
+            {row.grace === 'total' ? t('table.graceTotal', { amount: formatCurrency(row.capitalizedInterest) }) : t('table.gracePartial')}
+          </span>
+        )}
+        {row.installmentReduced && (
+          <span className="ml-2 px-2 py-0.5 text-xs font-bold text-green-800 bg-green-200 rounded-full">
+            {t('table.installmentReduced')}
+          </span>
+        )}
+      </td>
+      {hasDueDates && (
+        <td className={cellClassName}>{formatDate(row.dueDate)}</td>
+      )}
+      <td className={`px-4 py-3 whitespace-nowrap text-sm ${row.rateChanged ? 'text-red-600 font-bold' : 'text-gray-800'}`}>{formatRate(row.annualRate)}</td>
+      <td className={cellClassName}>{formatCurrency(row.monthlyPayment)}</td>
+      <td className={cellClassName}>{formatCurrency(row.interestPayment)}</td>
+      <td className={cellClassName}>{formatCurrency(row.principalPayment)}</td>
+      <td className={cellClassName}>{row.extraPaymentApplied ? formatCurrency(row.extraPaymentApplied) : '-'}</td>
+      {hasCosts && (
+        <>
+          <td className={cellClassName}>{formatCurrency(row.lifeInsurance)}</td>
+          <td className={cellClassName}>{formatCurrency(row.propertyInsurance)}</td>
+          <td className={cellClassName}>{formatCurrency(row.managementFee)}</td>
+          <td className={`${cellClassName} font-semibold`}>{formatCurrency(row.totalPayment)}</td>
+        </>
+      )}
+      <td className={`${cellClassName} font-semibold`}>{formatCurrency(row.remainingBalance)}</td>
+      {hasUVRColumns && (
+        <>
+          <td className={cellClassName}>{formatUVR(row.uvrValue, 4)}</td>
+          <td className={cellClassName}>{formatUVR(row.uvr.monthlyPayment)}</td>
+          <td className={`${cellClassName} font-semibold`}>{formatUVR(row.uvr.remainingBalance)}</td>
+        </>
+      )}
+    </tr>
+  );
+
+  const renderYear = (year) => {
+    const expanded = expandedYears.includes(year.year);
+    return (
+      <tr key={`year-${year.year}`} style={{ height: ROW_HEIGHT }} className="bg-blue-50 font-semibold hover:bg-blue-100 transition-colors duration-150">
+        <td className="px-4 py-3 whitespace-nowrap text-sm">
+          <button
+            type="button"
+            onClick={() => toggleYear(year.year)}
+            className="flex items-center gap-2 font-bold text-blue-800"
+            aria-expanded={expanded}
+          >
+            <span aria-hidden="true">{expanded ? '▾' : '▸'}</span>
+            {t('table.year', { year: year.year })}
+            <span className="text-xs font-normal text-gray-600">{t('table.yearPeriods', { count: year.rows.length, periods: periodsLabel })}</span>
+          </button>
+        </td>
+        {hasDueDates && (
+          <td className={cellClassName}>{formatDate(year.rows[year.rows.length - 1].dueDate)}</td>
+        )}
+        <td className={cellClassName}>-</td>
+        <td className={cellClassName}>{formatCurrency(year.monthlyPayment)}</td>
+        <td className={cellClassName}>{formatCurrency(year.interestPayment)}</td>
+        <td className={cellClassName}>{formatCurrency(year.principalPayment)}</td>
+        <td className={cellClassName}>{year.extraPaymentApplied ? formatCurrency(year.extraPaymentApplied) : '-'}</td>
+        {hasCosts && (
+          <>
+            <td className={cellClassName}>{formatCurrency(year.lifeInsurance)}</td>
+            <td className={cellClassName}>{formatCurrency(year.propertyInsurance)}</td>
+            <td className={cellClassName}>{formatCurrency(year.managementFee)}</td>
+            <td className={cellClassName}>{formatCurrency(year.totalPayment)}</td>
+          </>
+        )}
+        <td className={cellClassName}>{formatCurrency(year.remainingBalance)}</td>
+        {hasUVRColumns && (
+          <>
+            <td className={cellClassName}>{formatUVR(year.uvrValue, 4)}</td>
+            <td className={cellClassName}>{formatUVR(year.uvr.monthlyPayment)}</td>
+            <td className={cellClassName}>{formatUVR(year.uvr.remainingBalance)}</td>
+          </>
+        )}
+      </tr>
+    );
+  };
+
+  return (
+    <div className="bg-white p-6 md:p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto border border-gray-100">
+      <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">{t('table.title')}</h2>
+      <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+        <div className="flex rounded-xl overflow-hidden border border-blue-300 bg-white" role="group" aria-label={t('table.groupBy')}>
+          {[['periods', t('table.groupBy.periods')], ['years', t('table.groupBy.years')]].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setGroupBy(value)}
+              className={`px-4 py-2 font-semibold transition-colors duration-200 ${groupBy === value ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-blue-50'}`}
+              aria-pressed={groupBy === value}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center gap-2 text-gray-700 py-2">
+          <input type="checkbox" className="h-4 w-4 accent-blue-600" checked={onlyExtraPayments} onChange={(e) => setOnlyExtraPayments(e.target.checked)} />
+          {t('table.onlyExtraPayments', { periods: periodsLabel })}
+        </label>
+        <div className="flex items-end gap-2">
+          <div>
+            <label htmlFor="tableJumpMonth" className="block text-gray-600 font-semibold mb-1">{t('table.jumpToPeriod', { period: periodLabel.toLowerCase() })}</label>
+            <input
+              type="number"
+              id="tableJumpMonth"
+              className={`${inputClassName} w-24`}
+              value={jumpMonth}
+              onChange={(e) => setJumpMonth(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleJumpToMonth()}
+              min="1"
+              max={schedule.length}
+            />
+          </div>
+          <button type="button" onClick={handleJumpToMonth} className="px-4 py-2 font-semibold text-blue-700 bg-white border border-blue-300 rounded-xl hover:bg-blue-100 transition-colors duration-200">
+            {t('table.jump')}
+          </button>
+        </div>
+        {hasDueDates && (
+          <div className="flex items-end gap-2">
+            <div>
+              <label htmlFor="tableJumpDate" className="block text-gray-600 font-semibold mb-1">{t('table.jumpToDate')}</label>
+              <input type="date" id="tableJumpDate" className={inputClassName} value={jumpDate} onChange={(e) => setJumpDate(e.target.value)} />
+            </div>
+            <button type="button" onClick={handleJumpToDate} className="px-4 py-2 font-semibold text-blue-700 bg-white border border-blue-300 rounded-xl hover:bg-blue-100 transition-colors duration-200">
+              {t('table.jump')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div
+        ref={containerRef}
+        className="overflow-x-auto overflow-y-auto relative rounded-lg border border-gray-200"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="min-w-full divide-y divide-gray-100">
+          <thead className="bg-blue-700 text-white sticky top-0 z-10 shadow-sm">
+            <tr>
+              <th scope="col" className={`${headerClassName} rounded-tl-lg`}>{groupBy === 'years' ? t('table.yearOrPeriod', { period: periodLabel }) : periodLabel}</th>
+              {hasDueDates && (
+                <th scope="col" className={headerClassName}>{t('table.date')}</th>
+              )}
+              <th scope="col" className={headerClassName}>{rateLabel}</th>
+              <th scope="col" className={headerClassName}>{installmentColumnLabel}</th>
+              <th scope="col" className={headerClassName}>{t('table.interest')}</th>
+              <th scope="col" className={headerClassName}>{t('table.principal')}</th>
+              <th scope="col" className={headerClassName}>{t('table.extraPaymentColumn')}</th>
+              {hasCosts && (
+                <>
+                  <th scope="col" className={headerClassName}>{t('table.lifeInsurance')}</th>
+                  <th scope="col" className={headerClassName}>{t('table.propertyInsurance')}</th>
+                  <th scope="col" className={headerClassName}>{t('table.managementFee')}</th>
+                  <th scope="col" className={headerClassName}>{t('table.totalPayment')}</th>
+                </>
+              )}
+              <th scope="col" className={`${headerClassName} ${hasUVRColumns ? '' : 'rounded-tr-lg'}`}>{t('table.balance')}</th>
+              {hasUVRColumns && (
+                <>
+                  <th scope="col" className={headerClassName}>{t('table.uvrValue')}</th>
+                  <th scope="col" className={headerClassName}>{t('table.uvrInstallment')}</th>
+                  <th scope="col" className={`${headerClassName} rounded-tr-lg`}>{t('table.uvrBalance')}</th>
+                </>
+              )}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-100">
+            {firstIndex > 0 && (
+              <tr aria-hidden="true" style={{ height: firstIndex * ROW_HEIGHT }}><td colSpan={columnCount} /></tr>
+            )}
+            {items.slice(firstIndex, lastIndex).map((item, offset) => (
+              item.year ? renderYear(item.year) : renderRow(item.row, firstIndex + offset)
+            ))}
+            {lastIndex < items.length && (
+              <tr aria-hidden="true" style={{ height: (items.length - lastIndex) * ROW_HEIGHT }}><td colSpan={columnCount} /></tr>
+            )}
+          </tbody>
+        </table>
+        {items.length === 0 && (
+          <p className="p-6 text-center text-gray-500 text-sm">{t('table.noExtraPayments')}</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AmortizationTable;
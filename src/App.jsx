@@ -1,7 +1,37 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import {
-  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
 } from 'recharts';
+import { AMORTIZATION_SYSTEMS, EXTRA_PAYMENT_MODES, GRACE_TYPES, calculateAmortization, calculatePeriodRate, getRateChangeAnnualRate, getTotalPeriods } from './amortization';
+import { calculateUVRAmortization, parseInflationPath } from './uvr';
+import { applyLoanCosts, hasLoanCosts } from './costs';
+import { RATE_CODES, fromEffectiveAnnual, getUsuryExcess, toEffectiveAnnual } from './rates';
+import { DAY_COUNT_CONVENTIONS, PAYMENT_FREQUENCIES, buildLoanCalendar, formatISODate, getMonthForDate, parseDate, resolveExtraPaymentDates } from './calendar';
+import { loadScenarios, saveScenarios } from './scenarios';
+import { buildShareUrl, readShareLinkFromHash } from './shareLink';
+import { XLSX_MIME_TYPE, toCSV, toXLSX } from './spreadsheet';
+import { drawLineChart, drawStackedBarChart } from './pdfCharts';
+import { checkExtraPayments } from './extraPayments';
+import { useDebouncedValue } from './useDebouncedValue';
+import { useUndoableState } from './useUndoableState';
+import { CURRENCIES, LANGUAGES, NUMBER_LOCALES, capitalize, createNumberFormat, createTranslator, getCurrencyName, getMonthNames, loadSettings, saveSettings } from './i18n';
+import CurrencyInput from './CurrencyInput';
+import LoanSolver from './LoanSolver';
+import PrepaymentPlanner from './PrepaymentPlanner';
+import ScenarioComparison from './ScenarioComparison';
+import PaymentReconciliation from './PaymentReconciliation';
+import PrepayVsInvest from './PrepayVsInvest';
+import PaymentCharts from './PaymentCharts';
+import AmortizationTable from './AmortizationTable';
+import ExtraPaymentList from './ExtraPaymentList';
+import InterestCertificate from './InterestCertificate';
+import DebtPortfolio from './DebtPortfolio';
+
+// Rate conventions shown side by side as equivalents of the rate entered.
+const EQUIVALENT_RATE_CODES = ['EA', 'EM', 'NMV', 'NMA', 'NTV', 'NTA'];
+
+// Pause in typing, in milliseconds, after which the schedule is recalculated.
+const CALCULATION_DELAY = 250;
 
 // Helper component that auto-shrinks text to fit its container
 function FitText({ children, className = '' }) {
@@ -16,295 +46,540 @@ function FitText({ children, className = '' }) {
 }
 
 function App() {
+  const [settings, setSettings] = useState(() => loadSettings());
+  const t = useMemo(() => createTranslator(settings.language), [settings.language]);
+  const numberFormat = useMemo(() => createNumberFormat(settings), [settings]);
+  const { formatCurrency, formatDate, formatRate } = numberFormat;
+  const monthNames = useMemo(() => getMonthNames(settings.language), [settings.language]);
+
   const [loanAmount, setLoanAmount] = useState(100000);
-  const [displayLoanAmount, setDisplayLoanAmount] = useState(
-    new Intl.NumberFormat('es-CO', { minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(100000)
-  );
 
   const [annualInterestRate, setAnnualInterestRate] = useState(5);
+  const [rateType, setRateType] = useState('EA');
+  const [usuryRate, setUsuryRate] = useState('');
   const [loanTerm, setLoanTerm] = useState(5);
   const [loanTermUnit, setLoanTermUnit] = useState('years');
-  const [amortizationSchedule, setAmortizationSchedule] = useState([]);
-  const [chartData, setChartData] = useState([]);
-  const [totalInterestSaved, setTotalInterestSaved] = useState(0);
-
-  const [extraPayments, setExtraPayments] = useState([]);
+  const [paymentFrequency, setPaymentFrequency] = useState('monthly');
+  const [amortizationSystem, setAmortizationSystem] = useState('french');
+  const [installmentGrowth, setInstallmentGrowth] = useState(5);
+  const [balloonPercentage, setBalloonPercentage] = useState(20);
+  const [denomination, setDenomination] = useState('COP');
+  const [uvrInitialValue, setUvrInitialValue] = useState(390);
+  const [inflationPath, setInflationPath] = useState('5; 4; 3.5');
+  const [graceMonths, setGraceMonths] = useState(0);
+  const [graceType, setGraceType] = useState('partial');
+
+  const [rateChanges, setRateChanges] = useState([]);
+  const [newRateChangeMonth, setNewRateChangeMonth] = useState('');
+  const [newRateChangeType, setNewRateChangeType] = useState('indexed');
+  const [newRateChangeTea, setNewRateChangeTea] = useState('');
+  const [newRateChangeIndexName, setNewRateChangeIndexName] = useState('IBR');
+  const [newRateChangeIndexValue, setNewRateChangeIndexValue] = useState('');
+  const [newRateChangeSpread, setNewRateChangeSpread] = useState('');
+
+  const [extraPayments, setExtraPayments, extraPaymentHistory] = useUndoableState([]);
   const [newExtraPaymentAmount, setNewExtraPaymentAmount] = useState(0);
-  const [displayNewExtraPaymentAmount, setDisplayNewExtraPaymentAmount] = useState('');
   const [newExtraPaymentMonth, setNewExtraPaymentMonth] = useState('');
+  const [newExtraPaymentScheduleBy, setNewExtraPaymentScheduleBy] = useState('month');
+  const [newExtraPaymentDate, setNewExtraPaymentDate] = useState('');
+  const [newExtraPaymentMode, setNewExtraPaymentMode] = useState('reduceTerm');
+  const [newExtraPaymentType, setNewExtraPaymentType] = useState('single');
+  const [newRecurringEndMonth, setNewRecurringEndMonth] = useState('');
+  const [newRecurringFrequency, setNewRecurringFrequency] = useState('monthly');
+  const [newRecurringInterval, setNewRecurringInterval] = useState(3);
+  const [newRecurringCalendarMonths, setNewRecurringCalendarMonths] = useState([6, 12]);
+  const [newRecurringAnnualGrowth, setNewRecurringAnnualGrowth] = useState('');
+  const [firstPaymentCalendarMonth, setFirstPaymentCalendarMonth] = useState((new Date().getMonth() + 1) % 12 + 1);
+  const [disbursementDate, setDisbursementDate] = useState('');
+  const [paymentDay, setPaymentDay] = useState('');
+  const [dayCountConvention, setDayCountConvention] = useState('30/360');
+
+  const [lifeInsuranceRate, setLifeInsuranceRate] = useState('');
+  const [propertyValue, setPropertyValue] = useState(0);
+  const [propertyInsuranceRate, setPropertyInsuranceRate] = useState('');
+  const [monthlyFee, setMonthlyFee] = useState(0);
+  const [openingFee, setOpeningFee] = useState(0);
+  const [studyFee, setStudyFee] = useState(0);
+
+  // Message key and parameters of the error shown at the top, so that it follows
+  // the chosen language.
+  const [message, setMessage] = useState(null);
+  const [scenarios, setScenarios] = useState(() => loadScenarios());
+  const [pdfEntity, setPdfEntity] = useState('');
+  const [pdfAdvisor, setPdfAdvisor] = useState('');
+  const [pdfCustomer, setPdfCustomer] = useState('');
+  const [shareUrl, setShareUrl] = useState('');
+  const [shareLinkCopied, setShareLinkCopied] = useState(false);
+
+  const effectiveAnnualRate = toEffectiveAnnual(annualInterestRate, rateType);
+  const usuryExcess = getUsuryExcess(effectiveAnnualRate, usuryRate);
+
+  // The schedule is recalculated once typing pauses, so that long loans with many
+  // extra payments do not slow down every keystroke.
+  const calculationInputs = useMemo(
+    () => ({
+      denomination,
+      loanAmount,
+      annualInterestRate: effectiveAnnualRate,
+      loanTerm,
+      loanTermUnit,
+      extraPayments,
+      firstPaymentCalendarMonth,
+      amortizationSystem,
+      installmentGrowth,
+      balloonPercentage,
+      graceMonths,
+      graceType,
+      rateChanges,
+      uvrInitialValue,
+      inflationPath,
+      disbursementDate: disbursementDate || null,
+      paymentDay,
+      dayCountConvention,
+      paymentFrequency,
+    }),
+    [denomination, loanAmount, effectiveAnnualRate, loanTerm, loanTermUnit, extraPayments, firstPaymentCalendarMonth, amortizationSystem, installmentGrowth, balloonPercentage, graceMonths, graceType, rateChanges, uvrInitialValue, inflationPath, disbursementDate, paymentDay, dayCountConvention, paymentFrequency]
+  );
+  const calculatedInputs = useDebouncedValue(calculationInputs, CALCULATION_DELAY);
+
+  const {
+    schedule: scheduleWithoutCosts,
+    chartData,
+    monthlyPayment,
+    totalInterestPaid,
+    totalCapitalizedInterest,
+    totalInterestSaved,
+    extraPaymentTotals,
+    baselineSchedule,
+  } = useMemo(
+    () => (calculatedInputs.denomination === 'UVR' ? calculateUVRAmortization : calculateAmortization)(calculatedInputs),
+    [calculatedInputs]
+  );
 
-  const [message, setMessage] = useState('');
+  const loanCosts = useMemo(
+    () => ({ lifeInsuranceRate, propertyValue, propertyInsuranceRate, monthlyFee, openingFee, studyFee }),
+    [lifeInsuranceRate, propertyValue, propertyInsuranceRate, monthlyFee, openingFee, studyFee]
+  );
+  const hasCosts = hasLoanCosts(loanCosts);
+  const {
+    schedule: amortizationSchedule,
+    upfrontFees,
+    totalInsurance,
+    totalManagementFees,
+    effectiveAnnualCost,
+  } = useMemo(
+    () => applyLoanCosts(calculatedInputs.loanAmount, scheduleWithoutCosts, loanCosts, {
+      disbursementDate: calculatedInputs.disbursementDate,
+      periodsPerYear: PAYMENT_FREQUENCIES[calculatedInputs.paymentFrequency].periodsPerYear,
+    }),
+    [calculatedInputs, scheduleWithoutCosts, loanCosts]
+  );
+  const firstInstallmentRow = amortizationSchedule.find(row => !row.grace);
+
+  const isUVR = denomination === 'UVR';
+  const rateLabel = isUVR ? t('rate.real') : t('rate.tea');
+
+  const frequencyName = t(`frequency.${paymentFrequency}`);
+  const frequencyParams = { frequency: frequencyName, frequencyLower: frequencyName.toLowerCase() };
+  const installmentColumnLabel = t('installment.column', frequencyParams);
+  const installmentLabel = amortizationSystem === 'french' ? installmentColumnLabel : t('installment.first', frequencyParams);
+  // Installment numbers are months only with the monthly frequency.
+  const periodLabel = paymentFrequency === 'monthly' ? t('period.month') : t('period.period');
+  const periodsLabel = paymentFrequency === 'monthly' ? t('period.months') : t('period.periods');
+  const totalPeriods = getTotalPeriods(loanTerm, loanTermUnit, paymentFrequency);
+  const parsedGraceMonths = parseInt(graceMonths) || 0;
+  const graceMonthsInvalid = parsedGraceMonths < 0 || parsedGraceMonths >= totalPeriods;
+
+  const loanCalendar = useMemo(
+    () => (disbursementDate ? buildLoanCalendar({ disbursementDate, paymentDay, dayCountConvention, paymentFrequency }, totalPeriods * 2 + 1) : null),
+    [disbursementDate, paymentDay, dayCountConvention, paymentFrequency, totalPeriods]
+  );
+  const paymentDayInvalid = paymentDay !== '' && !(parseInt(paymentDay) >= 1 && parseInt(paymentDay) <= 31);
+  const hasDueDates = amortizationSchedule.length > 0 && amortizationSchedule[0].dueDate !== null;
+  // Until the recalculation catches up, the schedule may still be in the other denomination.
+  const hasUVRColumns = amortizationSchedule.length > 0 && amortizationSchedule[0].uvr !== undefined;
+  // Checked against the extra payments the schedule was calculated with, so that
+  // both stay in step while typing.
+  const extraPaymentWarnings = useMemo(
+    () => checkExtraPayments(
+      loanCalendar ? resolveExtraPaymentDates(calculatedInputs.extraPayments, loanCalendar.dueDates) : calculatedInputs.extraPayments,
+      scheduleWithoutCosts,
+      calculatedInputs.loanAmount
+    ),
+    [calculatedInputs, loanCalendar, scheduleWithoutCosts]
+  );
 
-  useEffect(() => {
-    calculateAmortization();
-  }, [loanAmount, annualInterestRate, loanTerm, loanTermUnit, extraPayments]);
+  // Everything a saved scenario needs to rebuild this simulation, with the setter
+  // that restores each field.
+  const loanInputs = useMemo(() => ({
+    loanAmount, annualInterestRate, rateType, usuryRate, loanTerm, loanTermUnit, paymentFrequency,
+    amortizationSystem, installmentGrowth, balloonPercentage, denomination, uvrInitialValue, inflationPath,
+    graceMonths, graceType, rateChanges, extraPayments, firstPaymentCalendarMonth, disbursementDate,
+    paymentDay, dayCountConvention, ...loanCosts,
+  }), [
+    loanAmount, annualInterestRate, rateType, usuryRate, loanTerm, loanTermUnit, paymentFrequency,
+    amortizationSystem, installmentGrowth, balloonPercentage, denomination, uvrInitialValue, inflationPath,
+    graceMonths, graceType, rateChanges, extraPayments, firstPaymentCalendarMonth, disbursementDate,
+    paymentDay, dayCountConvention, loanCosts,
+  ]);
+  const calculatedLoanInputs = useDebouncedValue(loanInputs, CALCULATION_DELAY);
+  const loanInputSetters = useMemo(() => ({
+    loanAmount: setLoanAmount, annualInterestRate: setAnnualInterestRate, rateType: setRateType, usuryRate: setUsuryRate,
+    loanTerm: setLoanTerm, loanTermUnit: setLoanTermUnit, paymentFrequency: setPaymentFrequency,
+    amortizationSystem: setAmortizationSystem, installmentGrowth: setInstallmentGrowth, balloonPercentage: setBalloonPercentage,
+    denomination: setDenomination, uvrInitialValue: setUvrInitialValue, inflationPath: setInflationPath,
+    graceMonths: setGraceMonths, graceType: setGraceType, rateChanges: setRateChanges, extraPayments: setExtraPayments,
+    firstPaymentCalendarMonth: setFirstPaymentCalendarMonth, disbursementDate: setDisbursementDate, paymentDay: setPaymentDay,
+    dayCountConvention: setDayCountConvention, lifeInsuranceRate: setLifeInsuranceRate, propertyValue: setPropertyValue,
+    propertyInsuranceRate: setPropertyInsuranceRate, monthlyFee: setMonthlyFee, openingFee: setOpeningFee, studyFee: setStudyFee,
+  }), [setExtraPayments]);
+
+  // Fields missing from older scenarios keep their current value.
+  const applyLoanInputs = useCallback((inputs) => {
+    Object.entries(loanInputSetters).forEach(([key, setter]) => {
+      if (inputs[key] !== undefined) setter(inputs[key]);
+    });
+  }, [loanInputSetters]);
 
+  // Opens the simulation encoded in the address, on load and whenever the link changes.
   useEffect(() => {
-    if (typeof loanAmount === 'number' && !isNaN(loanAmount)) {
-      setDisplayLoanAmount(new Intl.NumberFormat('es-CO', { minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(loanAmount));
-    } else {
-      setDisplayLoanAmount('');
+    const openShareLink = () => {
+      const result = readShareLinkFromHash(window.location.hash);
+      if (!result) return;
+      if (result.error) {
+        setMessage({ key: result.error });
+        return;
+      }
+      applyLoanInputs(result.inputs);
+      setMessage(null);
+    };
+    openShareLink();
+    window.addEventListener('hashchange', openShareLink);
+    return () => window.removeEventListener('hashchange', openShareLink);
+  }, [applyLoanInputs]);
+
+  const handleCopyShareLink = async () => {
+    const url = buildShareUrl(window.location, loanInputs);
+    setShareUrl(url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareLinkCopied(true);
+    } catch {
+      // Without clipboard access the link is left in a field to copy by hand.
+      setShareLinkCopied(false);
     }
-  }, [loanAmount]);
+  };
 
   useEffect(() => {
-    if (typeof newExtraPaymentAmount === 'number' && !isNaN(newExtraPaymentAmount)) {
-      setDisplayNewExtraPaymentAmount(new Intl.NumberFormat('es-CO', { minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(newExtraPaymentAmount));
-    } else {
-      setDisplayNewExtraPaymentAmount('');
+    if (!saveScenarios(scenarios)) {
+      setMessage({ key: 'scenarios.error.storage' });
     }
-  }, [newExtraPaymentAmount]);
+  }, [scenarios]);
 
-  const cleanNumberInput = (value) => {
-    let cleaned = value.replace(/[^0-9,]/g, '');
-    const parts = cleaned.split(',');
-    if (parts.length > 2) {
-      cleaned = parts[0] + ',' + parts.slice(1).join('');
-    }
-    return cleaned.replace(',', '.');
-  };
-
-  const formatCurrency = (value) => {
-    let numValue = parseFloat(value);
-    if (isNaN(numValue)) {
-      numValue = 0;
-    }
-    return new Intl.NumberFormat('es-CO', { style: 'currency', currency: 'COP', minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(numValue);
+  const handleSaveScenario = (name) => {
+    setScenarios(prev => {
+      const existing = prev.find(scenario => scenario.name === name);
+      const scenario = { id: existing ? existing.id : Date.now(), name, savedAt: new Date().toISOString(), inputs: loanInputs };
+      return existing ? prev.map(item => (item.id === existing.id ? scenario : item)) : [...prev, scenario];
+    });
   };
 
-  const calculateTEMFromTEA = (annualRatePercentage) => {
-    const annualRateDecimal = annualRatePercentage / 100;
-    if (annualRateDecimal === 0) return 0;
-    return Math.pow(1 + annualRateDecimal, 1 / 12) - 1;
+  const handleLoadScenario = (scenario) => {
+    applyLoanInputs(scenario.inputs);
+    setMessage(null);
   };
 
-  const calculateTotalInterestWithoutExtraPayments = (principal, annualRatePercentage, totalMonths) => {
-    if (isNaN(principal) || principal <= 0 || isNaN(annualRatePercentage) || totalMonths <= 0) {
-      return 0;
+  // Puts a value found by the solver into the simulation. Terms in whole years
+  // keep the years unit.
+  const handleApplySolution = (solveFor, value) => {
+    if (solveFor === 'loanAmount') {
+      setLoanAmount(value);
+    } else if (solveFor === 'loanTerm') {
+      setLoanTermUnit(value % 12 === 0 ? 'years' : 'months');
+      setLoanTerm(value % 12 === 0 ? value / 12 : value);
+    } else if (solveFor === 'rate') {
+      setAnnualInterestRate(String(Math.round(fromEffectiveAnnual(value, rateType) * 10000) / 10000));
     }
+  };
 
-    const monthlyRate = calculateTEMFromTEA(annualRatePercentage);
-    let monthlyPayment;
+  const handleDeleteScenario = (id) => {
+    setScenarios(prev => prev.filter(scenario => scenario.id !== id));
+  };
 
-    if (monthlyRate === 0) {
-      monthlyPayment = principal / totalMonths;
-    } else {
-      monthlyPayment = principal * (monthlyRate / (1 - Math.pow(1 + monthlyRate, -totalMonths)));
+  useEffect(() => {
+    if (!saveSettings(settings)) {
+      setMessage({ key: 'settings.error.storage' });
     }
+    document.documentElement.lang = settings.language;
+  }, [settings]);
 
-    let remainingBalance = principal;
-    let totalInterest = 0;
-
-    for (let i = 1; i <= totalMonths; i++) {
-      if (remainingBalance <= 0.01) break;
-
-      const interestPayment = remainingBalance * monthlyRate;
-      let principalPayment = monthlyPayment - interestPayment;
-
-      if (principalPayment < 0) {
-        principalPayment = 0;
-      }
-
-      if (remainingBalance < principalPayment) {
-        principalPayment = remainingBalance;
-      }
-
-      totalInterest += interestPayment;
-      remainingBalance -= principalPayment;
-    }
-    return totalInterest;
+  const handleChangeSetting = (key, value) => {
+    setSettings(prev => ({ ...prev, [key]: value }));
   };
 
-  const calculateAmortization = () => {
-    const principal = parseFloat(loanAmount);
-    const annualRatePercentage = parseFloat(annualInterestRate);
-
-    let initialTotalMonths = parseInt(loanTerm);
-
-    if (loanTermUnit === 'years') {
-      initialTotalMonths = initialTotalMonths * 12;
+  const describeExtraPayment = (ep) => {
+    const amount = formatCurrency(ep.amount);
+    if (ep.type !== 'recurring') {
+      return ep.date
+        ? t('extra.describe.onDate', { amount, date: formatDate(ep.date) })
+        : t('extra.describe.inPeriod', { amount, period: periodLabel, month: ep.month });
     }
-
-    if (isNaN(principal) || isNaN(annualRatePercentage) || isNaN(initialTotalMonths) || principal <= 0 || initialTotalMonths <= 0) {
-      setAmortizationSchedule([]);
-      setChartData([]);
-      setTotalInterestSaved(0);
-      return;
+    let frequency = paymentFrequency === 'monthly' ? t('extra.describe.everyMonth') : t('extra.describe.everyPeriod');
+    if (ep.frequency === 'interval') {
+      frequency = t('extra.describe.everyInterval', { interval: ep.interval, periods: periodsLabel });
+    } else if (ep.frequency === 'calendarMonths') {
+      frequency = t('extra.describe.everyCalendarMonths', { months: ep.calendarMonths.map(m => monthNames[m - 1]).join(', ') });
     }
+    const start = ep.startDate
+      ? t('extra.describe.startDate', { date: formatDate(ep.startDate) })
+      : t('extra.describe.startPeriod', { period: periodLabel, month: ep.startMonth });
+    const range = ep.endMonth
+      ? t('extra.describe.range', { start, period: periodLabel, end: ep.endMonth })
+      : t('extra.describe.rangeOpen', { start });
+    const growth = ep.annualGrowth ? t('extra.describe.growth', { growth: ep.annualGrowth }) : '';
+    return `${amount} ${frequency}, ${range}${growth}`;
+  };
 
-    const monthlyRate = calculateTEMFromTEA(annualRatePercentage);
+  const formatUVR = (value, decimals = 2) => numberFormat.formatNumber(value, decimals);
 
-    let originalMonthlyPayment;
+  const describeRateChange = (change) => (
+    change.type === 'indexed'
+      ? `${change.indexName} ${formatRate(change.indexValue)} + ${formatRate(change.spread)} = ${t('rate.tea')} ${formatRate(getRateChangeAnnualRate(change))}`
+      : `${t('rate.tea')} ${formatRate(change.tea)}`
+  );
 
-    if (monthlyRate === 0) {
-      originalMonthlyPayment = principal / initialTotalMonths;
+  // Consecutive installments that were charged the same TEA.
+  const ratePeriods = amortizationSchedule.reduce((periods, row) => {
+    const last = periods[periods.length - 1];
+    if (last && last.annualRate === row.annualRate) {
+      last.to = row.month;
     } else {
-      originalMonthlyPayment = principal * (monthlyRate / (1 - Math.pow(1 + monthlyRate, -initialTotalMonths)));
+      periods.push({ from: row.month, to: row.month, annualRate: row.annualRate });
     }
+    return periods;
+  }, []);
 
-    const baselineTotalInterest = calculateTotalInterestWithoutExtraPayments(principal, annualRatePercentage, initialTotalMonths);
+  const handleAddRateChange = () => {
+    const month = parseInt(newRateChangeMonth);
 
-    let currentRemainingBalance = principal;
-    const schedule = [];
-    const dataForChart = [];
-    let currentTotalInterestPaid = 0;
-
-    const sortedExtraPayments = [...extraPayments].sort((a, b) => a.month - b.month);
-    let extraPaymentIdx = 0;
-
-    for (let i = 1; i <= initialTotalMonths * 2 + 1 && currentRemainingBalance > 0.01; i++) {
-      let interestPaymentThisMonth = currentRemainingBalance * monthlyRate;
-      let regularPrincipalPaymentThisMonth = originalMonthlyPayment - interestPaymentThisMonth;
-      let extraPaymentAppliedThisMonth = 0;
-
-      let actualMonthlyPaymentRecorded;
+    if (isNaN(month) || month <= 1 || month > totalPeriods) {
+      setMessage({ key: 'rateChange.error.month', params: { max: totalPeriods } });
+      return;
+    }
 
-      while (extraPaymentIdx < sortedExtraPayments.length && sortedExtraPayments[extraPaymentIdx].month === i) {
-        const ep = sortedExtraPayments[extraPaymentIdx];
-        if (currentRemainingBalance > 0.01) {
-          extraPaymentAppliedThisMonth += ep.amount;
-          currentRemainingBalance = Math.max(0, currentRemainingBalance - ep.amount);
-        }
-        extraPaymentIdx++;
-        if (currentRemainingBalance <= 0.01) break;
+    let change;
+    if (newRateChangeType === 'indexed') {
+      const indexValue = parseFloat(newRateChangeIndexValue);
+      const spread = parseFloat(newRateChangeSpread);
+      if (isNaN(indexValue) || isNaN(spread)) {
+        setMessage({ key: 'rateChange.error.index' });
+        return;
       }
-
-      if (currentRemainingBalance <= 0.01) {
-        interestPaymentThisMonth = 0;
-        regularPrincipalPaymentThisMonth = 0;
-        actualMonthlyPaymentRecorded = 0;
-      } else {
-        interestPaymentThisMonth = currentRemainingBalance * monthlyRate;
-        regularPrincipalPaymentThisMonth = originalMonthlyPayment - interestPaymentThisMonth;
-
-        if (regularPrincipalPaymentThisMonth > currentRemainingBalance + 0.01) {
-          regularPrincipalPaymentThisMonth = currentRemainingBalance;
-          actualMonthlyPaymentRecorded = regularPrincipalPaymentThisMonth + interestPaymentThisMonth;
-          currentRemainingBalance = 0;
-        } else {
-          actualMonthlyPaymentRecorded = originalMonthlyPayment;
-          currentRemainingBalance -= regularPrincipalPaymentThisMonth;
-        }
-
-        if (regularPrincipalPaymentThisMonth < 0) regularPrincipalPaymentThisMonth = 0;
-        if (interestPaymentThisMonth < 0) interestPaymentThisMonth = 0;
+      change = { id: Date.now(), month, type: 'indexed', indexName: newRateChangeIndexName, indexValue, spread };
+    } else {
+      const tea = parseFloat(newRateChangeTea);
+      if (isNaN(tea) || tea < 0) {
+        setMessage({ key: 'rateChange.error.tea' });
+        return;
       }
+      change = { id: Date.now(), month, type: 'tea', tea };
+    }
 
-      currentTotalInterestPaid += interestPaymentThisMonth;
-
-      schedule.push({
-        month: i,
-        monthlyPayment: actualMonthlyPaymentRecorded,
-        principalPayment: regularPrincipalPaymentThisMonth,
-        interestPayment: interestPaymentThisMonth,
-        remainingBalance: currentRemainingBalance,
-        extraPaymentApplied: extraPaymentAppliedThisMonth > 0 ? extraPaymentAppliedThisMonth : null,
-      });
-
-      dataForChart.push({
-        month: i,
-        'Pago a Capital (Regular)': regularPrincipalPaymentThisMonth,
-        'Pago de Interés': interestPaymentThisMonth,
-        'Abono Extraordinario': extraPaymentAppliedThisMonth > 0 ? extraPaymentAppliedThisMonth : 0,
-        'Saldo Restante': currentRemainingBalance,
-      });
+    setRateChanges(prev => [...prev.filter(rc => rc.month !== month), change].sort((a, b) => a.month - b.month));
+    setNewRateChangeMonth('');
+    setMessage(null);
+  };
 
-      if (currentRemainingBalance <= 0.01) break;
-    }
+  const handleRemoveRateChange = (idToRemove) => {
+    setRateChanges(prev => prev.filter(rc => rc.id !== idToRemove));
+    setMessage(null);
+  };
 
-    setAmortizationSchedule(schedule);
-    setChartData(dataForChart);
-    setTotalInterestSaved(baselineTotalInterest - currentTotalInterestPaid);
+  const handleToggleRecurringCalendarMonth = (month) => {
+    setNewRecurringCalendarMonths(prev => (
+      prev.includes(month) ? prev.filter(m => m !== month) : [...prev, month].sort((a, b) => a - b)
+    ));
   };
 
   const handleAddExtraPayment = () => {
     const amount = newExtraPaymentAmount;
-    const month = parseInt(newExtraPaymentMonth);
-    let initialTotalMonths = parseInt(loanTerm);
-    if (loanTermUnit === 'years') {
-      initialTotalMonths = initialTotalMonths * 12;
-    }
+    const scheduledByDate = newExtraPaymentScheduleBy === 'date' && loanCalendar !== null;
+    const month = scheduledByDate ? getMonthForDate(loanCalendar.dueDates, newExtraPaymentDate) : parseInt(newExtraPaymentMonth);
 
     if (isNaN(amount) || amount <= 0) {
-      setMessage('Por favor, ingresa un monto válido para el abono extraordinario.');
+      setMessage({ key: 'extra.error.amount' });
       return;
     }
-    if (isNaN(month) || month <= 0 || month > initialTotalMonths * 2 + 1) {
-      setMessage(`Por favor, ingresa un mes válido (entre 1 y ${initialTotalMonths * 2 + 1}).`);
+    if (scheduledByDate && (month === null || parseDate(newExtraPaymentDate) < loanCalendar.dueDates[0])) {
+      setMessage({ key: 'extra.error.date' });
       return;
     }
+    if (isNaN(month) || month <= 0 || month > totalPeriods * 2 + 1) {
+      setMessage({ key: 'extra.error.month', params: { max: totalPeriods * 2 + 1 } });
+      return;
+    }
+
+    if (newExtraPaymentType === 'recurring') {
+      const endMonth = newRecurringEndMonth === '' ? null : parseInt(newRecurringEndMonth);
+      const interval = parseInt(newRecurringInterval);
+      const annualGrowth = newRecurringAnnualGrowth === '' ? 0 : parseFloat(newRecurringAnnualGrowth);
+
+      if (endMonth !== null && (isNaN(endMonth) || endMonth < month)) {
+        setMessage({ key: 'extra.error.endMonth' });
+        return;
+      }
+      if (newRecurringFrequency === 'interval' && (isNaN(interval) || interval < 1)) {
+        setMessage({ key: 'extra.error.interval' });
+        return;
+      }
+      if (newRecurringFrequency === 'calendarMonths' && newRecurringCalendarMonths.length === 0) {
+        setMessage({ key: 'extra.error.calendarMonths' });
+        return;
+      }
+      if (isNaN(annualGrowth) || annualGrowth < 0) {
+        setMessage({ key: 'extra.error.growth' });
+        return;
+      }
 
-    setExtraPayments(prev => [...prev, { id: Date.now(), amount, month }]);
+      setExtraPayments(prev => [...prev, {
+        id: Date.now(),
+        type: 'recurring',
+        amount,
+        startMonth: month,
+        ...(scheduledByDate ? { startDate: newExtraPaymentDate } : {}),
+        endMonth,
+        frequency: newRecurringFrequency,
+        interval,
+        calendarMonths: newRecurringCalendarMonths,
+        annualGrowth,
+        mode: newExtraPaymentMode,
+      }]);
+    } else {
+      setExtraPayments(prev => [...prev, {
+        id: Date.now(),
+        amount,
+        month,
+        ...(scheduledByDate ? { date: newExtraPaymentDate } : {}),
+        mode: newExtraPaymentMode,
+      }]);
+    }
     setNewExtraPaymentAmount(0);
     setNewExtraPaymentMonth('');
-    setMessage('');
+    setNewExtraPaymentDate('');
+    setNewRecurringEndMonth('');
+    setMessage(null);
   };
 
-  const handleRemoveExtraPayment = (idToRemove) => {
-    setExtraPayments(prev => prev.filter(ep => ep.id !== idToRemove));
-    setMessage('');
+  const handleApplyPrepaymentPlan = (extraPayment, keepExisting) => {
+    const planned = { id: Date.now(), ...extraPayment };
+    setExtraPayments(prev => (keepExisting ? [...prev, planned] : [planned]));
+    setMessage(null);
   };
 
-  const generatePDF = async () => {
-    await new Promise((resolve, reject) => {
-      if (window.jspdf) return resolve();
-      const s1 = document.createElement('script');
-      s1.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js';
-      s1.onload = () => {
-        const s2 = document.createElement('script');
-        s2.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf-autotable/3.8.2/jspdf.plugin.autotable.min.js';
-        s2.onload = resolve;
-        s2.onerror = reject;
-        document.head.appendChild(s2);
-      };
-      s1.onerror = reject;
-      document.head.appendChild(s1);
-    });
-
-    const { jsPDF } = window.jspdf;
+  const writePDF = async () => {
+    // Bundled with the app and loaded on demand, so the PDF also works offline.
+    const [{ jsPDF }, { applyPlugin }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+    applyPlugin(jsPDF);
     const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
     const pageW = doc.internal.pageSize.getWidth();
+    const pageH = doc.internal.pageSize.getHeight();
     const margin = 18;
     const colW = (pageW - margin * 2) / 2;
 
+    const headerLines = [
+      pdfAdvisor.trim() && t('pdf.advisor', { name: pdfAdvisor.trim() }),
+      pdfCustomer.trim() && t('pdf.customer', { name: pdfCustomer.trim() }),
+    ].filter(Boolean);
+    const headerH = headerLines.length > 0 ? 34 : 28;
     doc.setFillColor(29, 78, 216);
-    doc.rect(0, 0, pageW, 28, 'F');
+    doc.rect(0, 0, pageW, headerH, 'F');
     doc.setTextColor(255, 255, 255);
     doc.setFontSize(18);
     doc.setFont('helvetica', 'bold');
-    doc.text('Simulador de Prestamos', pageW / 2, 12, { align: 'center' });
+    doc.text(pdfEntity.trim() || t('app.title'), pageW / 2, 12, { align: 'center' });
     doc.setFontSize(9);
     doc.setFont('helvetica', 'normal');
-    const today = new Date().toLocaleDateString('es-CO', { year: 'numeric', month: 'long', day: 'numeric' });
-    doc.text('Generado el ' + today, pageW / 2, 21, { align: 'center' });
+    const today = new Date().toLocaleDateString(settings.locale, { year: 'numeric', month: 'long', day: 'numeric' });
+    doc.text(t(pdfEntity.trim() ? 'pdf.subtitleWithEntity' : 'pdf.subtitle', { date: today }), pageW / 2, 20, { align: 'center' });
+    if (headerLines.length > 0) {
+      doc.text(headerLines.join('     '), pageW / 2, 27, { align: 'center' });
+    }
 
-    let y = 36;
+    let y = headerH + 8;
     doc.setTextColor(30, 41, 59);
     doc.setFontSize(12);
     doc.setFont('helvetica', 'bold');
-    doc.text('Condiciones del Prestamo', margin, y);
+    doc.text(t('pdf.conditions'), margin, y);
     y += 2;
     doc.setDrawColor(29, 78, 216);
     doc.setLineWidth(0.5);
     doc.line(margin, y, pageW - margin, y);
     y += 6;
 
-    const totalMonths = loanTermUnit === 'years' ? parseInt(loanTerm) * 12 : parseInt(loanTerm);
-    const monthlyRatePct = (Math.pow(1 + parseFloat(annualInterestRate) / 100, 1 / 12) - 1) * 100;
-    const totalInterestPaid = amortizationSchedule.reduce((s, r) => s + r.interestPayment, 0);
+    const periodicRatePct = calculatePeriodRate(effectiveAnnualRate, 1 / PAYMENT_FREQUENCIES[paymentFrequency].periodsPerYear) * 100;
 
     const summaryItems = [
-      ['Monto Original', formatCurrency(loanAmount)],
-      ['Tasa Efectiva Anual (TEA)', parseFloat(annualInterestRate).toFixed(2) + '%'],
-      ['Tasa Efectiva Mensual (TEM)', monthlyRatePct.toFixed(4) + '%'],
-      ['Plazo', loanTerm + ' ' + (loanTermUnit === 'years' ? 'anos' : 'meses') + ' (' + totalMonths + ' meses)'],
+      [t('pdf.loanAmount'), formatCurrency(loanAmount)],
+      ...(rateType !== 'EA' ? [[t('pdf.agreedRate'), formatRate(annualInterestRate) + ' ' + rateType]] : []),
+      [isUVR ? t('pdf.realRate') : t('pdf.effectiveAnnualRate'), formatRate(effectiveAnnualRate)],
+      [t('pdf.periodicRate', frequencyParams), formatRate(periodicRatePct, 4)],
+      [t('pdf.term'), t(loanTermUnit === 'years' ? 'pdf.termYears' : 'pdf.termMonths', { term: loanTerm, installments: totalPeriods })],
+      [t('pdf.paymentFrequency'), frequencyName],
+      [t('pdf.amortizationSystem'), t(`amortizationSystem.${amortizationSystem}`)],
     ];
+    if (amortizationSystem === 'growingInstallment') {
+      summaryItems.push([t('pdf.installmentGrowth'), formatRate(installmentGrowth || 0)]);
+    }
+    if (amortizationSystem === 'balloon') {
+      summaryItems.push([t('pdf.balloon'), formatRate(balloonPercentage || 0) + ' (' + formatCurrency(loanAmount * (parseFloat(balloonPercentage) || 0) / 100) + ')']);
+    }
+    if (isUVR) {
+      summaryItems.push([t('pdf.uvrInitialValue'), formatUVR(uvrInitialValue, 4)]);
+      summaryItems.push([t('pdf.uvrAmount'), formatUVR(loanAmount / uvrInitialValue)]);
+      summaryItems.push([t('pdf.inflation'), parseInflationPath(inflationPath).map(v => formatRate(v, 1)).join(' / ')]);
+    }
+    if (rateChanges.length > 0) {
+      ratePeriods.forEach(period => {
+        summaryItems.push([t('pdf.ratePeriods', { periods: capitalize(periodsLabel), from: period.from, to: period.to }), rateLabel + ' ' + formatRate(period.annualRate)]);
+      });
+    }
+    if (loanCalendar) {
+      summaryItems.push([t('pdf.disbursementDate'), formatDate(disbursementDate)]);
+      summaryItems.push([t('pdf.firstInstallment'), formatDate(formatISODate(loanCalendar.dueDates[1])) + ' (' + dayCountConvention + ')']);
+    }
+    if (parseFloat(usuryRate) > 0) {
+      summaryItems.push([t('pdf.usuryRate'), formatRate(usuryRate) + (usuryExcess > 0 ? ' ' + t('pdf.usuryExceeded') : '')]);
+    }
+    if (parsedGraceMonths > 0) {
+      summaryItems.push([t('pdf.grace'), t(graceType === 'total' ? 'pdf.graceTotal' : 'pdf.gracePartial', { count: parsedGraceMonths, periods: periodsLabel })]);
+    }
+    if (parseFloat(lifeInsuranceRate) > 0) {
+      summaryItems.push([t('pdf.lifeInsurance'), t('pdf.lifeInsuranceRate', { rate: formatRate(lifeInsuranceRate, 3) })]);
+    }
+    if (parseFloat(propertyInsuranceRate) > 0) {
+      summaryItems.push([t('pdf.propertyInsurance'), t('pdf.propertyInsuranceRate', { rate: formatRate(propertyInsuranceRate, 3), value: formatCurrency(propertyValue) })]);
+    }
+    if (monthlyFee > 0) {
+      summaryItems.push([t('pdf.managementFee'), formatCurrency(monthlyFee)]);
+    }
+    if (upfrontFees > 0) {
+      summaryItems.push([t('pdf.upfrontFees'), formatCurrency(upfrontFees)]);
+    }
     const resultItems = [
-      ['Cuota Mensual', formatCurrency(amortizationSchedule[0]?.monthlyPayment || 0)],
-      ['Numero de Pagos Reales', '' + amortizationSchedule.length],
-      ['Interes Total Pagado', formatCurrency(totalInterestPaid)],
-      ['Interes Total Ahorrado', formatCurrency(totalInterestSaved)],
+      [installmentLabel, formatCurrency(monthlyPayment)],
+      [t('pdf.numberOfPayments'), '' + amortizationSchedule.length],
+      [t('pdf.totalInterest'), formatCurrency(totalInterestPaid)],
+      [t('pdf.interestSaved'), formatCurrency(totalInterestSaved)],
     ];
+    if (totalCapitalizedInterest > 0) {
+      resultItems.push([t('pdf.capitalizedInterest'), formatCurrency(totalCapitalizedInterest)]);
+    }
+    if (hasCosts) {
+      resultItems.push([t('pdf.totalPayment', frequencyParams), formatCurrency(firstInstallmentRow?.totalPayment || 0)]);
+      resultItems.push([t('pdf.totalInsurance'), formatCurrency(totalInsurance)]);
+      resultItems.push([t('pdf.totalManagementFees'), formatCurrency(totalManagementFees)]);
+    }
+    resultItems.push([t('pdf.effectiveAnnualCost'), isNaN(effectiveAnnualCost) ? '-' : formatRate(effectiveAnnualCost)]);
 
     const drawKeyValue = (items, startX, startY) => {
       doc.setFontSize(9);
@@ -329,7 +604,7 @@ function App() {
       doc.setFontSize(12);
       doc.setFont('helvetica', 'bold');
       doc.setTextColor(30, 41, 59);
-      doc.text('Abonos Extraordinarios', margin, y);
+      doc.text(t('pdf.extraPayments'), margin, y);
       y += 2;
       doc.setDrawColor(234, 179, 8);
       doc.line(margin, y, pageW - margin, y);
@@ -337,45 +612,97 @@ function App() {
 
       doc.autoTable({
         startY: y,
-        head: [['Mes', 'Monto del Abono']],
-        body: [...extraPayments].sort((a, b) => a.month - b.month).map(ep => [ep.month, formatCurrency(ep.amount)]),
+        head: [[t('pdf.extraPayment'), t('pdf.extraPaymentMode'), t('pdf.extraPaymentTotal')]],
+        body: [...extraPayments]
+          .sort((a, b) => (a.month ?? a.startMonth) - (b.month ?? b.startMonth))
+          .map(ep => [
+            describeExtraPayment(ep),
+            t(`extraPaymentMode.${ep.mode || 'reduceTerm'}`),
+            formatCurrency(extraPaymentTotals[ep.id]?.total || 0),
+          ]),
         styles: { fontSize: 8, cellPadding: 2.5 },
         headStyles: { fillColor: [234, 179, 8], textColor: [30, 41, 59], fontStyle: 'bold' },
         alternateRowStyles: { fillColor: [254, 252, 232] },
         margin: { left: margin, right: margin },
-        tableWidth: 80,
       });
       y = doc.lastAutoTable.finalY + 8;
     }
 
-    doc.setFontSize(12);
-    doc.setFont('helvetica', 'bold');
-    doc.setTextColor(30, 41, 59);
-    doc.text('Tabla de Amortizacion Detallada', margin, y);
-    y += 2;
-    doc.setDrawColor(29, 78, 216);
-    doc.line(margin, y, pageW - margin, y);
-    y += 4;
+    const drawSectionTitle = (title) => {
+      if (y + 80 > pageH - 15) {
+        doc.addPage();
+        y = 20;
+      }
+      doc.setFontSize(12);
+      doc.setFont('helvetica', 'bold');
+      doc.setTextColor(30, 41, 59);
+      doc.text(title, margin, y);
+      y += 2;
+      doc.setDrawColor(29, 78, 216);
+      doc.setLineWidth(0.5);
+      doc.line(margin, y, pageW - margin, y);
+      y += 6;
+    };
+    drawSectionTitle(paymentFrequency === 'monthly' ? t('pdf.monthlyPayments') : t('pdf.periodPayments'));
+    y = drawStackedBarChart(doc, {
+      x: margin,
+      y,
+      width: pageW - margin * 2,
+      height: 60,
+      data: chartData,
+      series: [
+        { key: 'Pago a Capital (Regular)', label: t('chart.principal'), color: '#4299E1' },
+        { key: 'Pago de Interés', label: t('chart.interest'), color: '#81C784' },
+        ...(totalCapitalizedInterest > 0 ? [{ key: 'Interés Capitalizado', label: t('chart.capitalizedInterest'), color: '#A78BFA' }] : []),
+        { key: 'Abono Extraordinario', label: t('chart.extraPayment'), color: '#FFA500' },
+      ],
+      formatValue: numberFormat.formatCompactCurrency,
+      xLabel: periodLabel,
+    }) + 6;
+
+    drawSectionTitle(t('pdf.balanceEvolution'));
+    drawLineChart(doc, {
+      x: margin,
+      y,
+      width: pageW - margin * 2,
+      height: 60,
+      data: chartData,
+      series: [{ key: 'Saldo Restante', label: t('chart.balance'), color: '#1D4ED8' }],
+      initialValues: { 'Saldo Restante': loanAmount },
+      formatValue: numberFormat.formatCompactCurrency,
+      xLabel: periodLabel,
+    });
+
+    doc.addPage();
+    y = 20;
+    drawSectionTitle(t('table.title'));
 
     const scheduleSnapshot = [...amortizationSchedule];
     const tableBody = scheduleSnapshot.map(row => [
-      row.month + (row.extraPaymentApplied ? ' *' : ''),
+      row.month + (row.extraPaymentApplied ? ' *' : '') + (row.installmentReduced ? ' ' + t('pdf.installmentReduced') : '') + (row.grace ? ' ' + t('pdf.graceRow') : ''),
+      ...(hasDueDates ? [formatDate(row.dueDate)] : []),
+      formatRate(row.annualRate),
       formatCurrency(row.monthlyPayment),
       formatCurrency(row.interestPayment),
       formatCurrency(row.principalPayment),
       row.extraPaymentApplied ? formatCurrency(row.extraPaymentApplied) : '-',
+      ...(hasCosts ? [formatCurrency(row.lifeInsurance + row.propertyInsurance), formatCurrency(row.managementFee), formatCurrency(row.totalPayment)] : []),
       formatCurrency(row.remainingBalance),
+      ...(hasUVRColumns ? [formatUVR(row.uvrValue, 4), formatUVR(row.uvr.remainingBalance)] : []),
     ]);
 
     doc.autoTable({
       startY: y,
-      head: [['Mes', 'Cuota Mensual', 'Intereses', 'Capital', 'Abono Extra', 'Saldo Restante']],
+      head: [[periodLabel, ...(hasDueDates ? [t('table.date')] : []), rateLabel, installmentColumnLabel, t('table.interest'), t('table.principal'), t('pdf.extraPaymentColumn'), ...(hasCosts ? [t('pdf.insurance'), t('pdf.managementFeeColumn'), t('table.totalPayment')] : []), t('table.balance'), ...(hasUVRColumns ? [t('table.uvrValue'), t('table.uvrBalance')] : [])]],
       body: tableBody,
-      styles: { fontSize: 7.5, cellPadding: 2, halign: 'right' },
+      styles: { fontSize: hasUVRColumns || hasCosts ? 6.5 : 7.5, cellPadding: 2, halign: 'right' },
       headStyles: { fillColor: [29, 78, 216], textColor: 255, fontStyle: 'bold', halign: 'center' },
       columnStyles: { 0: { halign: 'center' } },
       alternateRowStyles: { fillColor: [239, 246, 255] },
       didParseCell: (data) => {
+        if (data.section === 'body' && scheduleSnapshot[data.row.index]?.grace) {
+          data.cell.styles.fillColor = [237, 233, 254];
+        }
         if (data.section === 'body' && scheduleSnapshot[data.row.index]?.extraPaymentApplied) {
           data.cell.styles.fillColor = [254, 249, 195];
           data.cell.styles.fontStyle = 'bold';
@@ -390,31 +717,176 @@ function App() {
       doc.setFontSize(7.5);
       doc.setTextColor(148, 163, 184);
       doc.setFont('helvetica', 'normal');
-      doc.text('Pagina ' + i + ' de ' + totalPages, pageW / 2, doc.internal.pageSize.getHeight() - 8, { align: 'center' });
-      doc.text('Simulador de Prestamos', margin, doc.internal.pageSize.getHeight() - 8);
+      doc.text(t('pdf.page', { page: i, pages: totalPages }), pageW / 2, pageH - 8, { align: 'center' });
+      doc.text(pdfEntity.trim() || t('app.title'), margin, pageH - 8);
     }
 
-    doc.save('tabla_amortizacion.pdf');
+    doc.save(t('export.fileName') + '.pdf');
+  };
+
+  // Loading the PDF libraries or writing the file can still fail, for example
+  // when a newer version of the app has replaced their chunks.
+  const generatePDF = async () => {
+    try {
+      await writePDF();
+    } catch {
+      setMessage({ key: 'pdf.error' });
+    }
+  };
+
+  // Loan conditions, totals and the schedule with plain numbers, for the CSV and
+  // Excel downloads. Rates are percentages and amounts are in the chosen currency.
+  const buildExportSheets = () => {
+    const roundMoney = (value) => Math.round((value || 0) * 100) / 100;
+    const conditions = [
+      [t('export.loanAmount'), roundMoney(loanAmount)],
+      [t('export.currency'), settings.currency],
+      [t('export.agreedRate'), parseFloat(annualInterestRate) || 0],
+      [t('export.rateType'), rateType],
+      [isUVR ? t('export.realRate') : t('export.effectiveAnnualRate'), effectiveAnnualRate],
+      [t('export.periodicRate', frequencyParams), calculatePeriodRate(effectiveAnnualRate, 1 / PAYMENT_FREQUENCIES[paymentFrequency].periodsPerYear) * 100],
+      [t('export.numberOfInstallments'), totalPeriods],
+      [t('export.paymentFrequency'), frequencyName],
+      [t('export.amortizationSystem'), t(`amortizationSystem.${amortizationSystem}`)],
+      [t('export.denomination'), denomination],
+      ...(isUVR ? [[t('export.uvrInitialValue'), parseFloat(uvrInitialValue) || 0]] : []),
+      ...(loanCalendar ? [[t('export.disbursementDate'), disbursementDate], [t('export.dayCountConvention'), dayCountConvention]] : []),
+      ...(parsedGraceMonths > 0 ? [[t('export.grace', { periods: periodsLabel }), parsedGraceMonths], [t('export.graceType'), t(`graceType.${graceType}`)]] : []),
+      ...(upfrontFees > 0 ? [[t('export.upfrontFees'), roundMoney(upfrontFees)]] : []),
+    ];
+    const totals = [
+      [installmentLabel, roundMoney(monthlyPayment)],
+      [t('export.numberOfPayments'), amortizationSchedule.length],
+      [t('export.totalInterest'), roundMoney(totalInterestPaid)],
+      [t('export.interestSaved'), roundMoney(totalInterestSaved)],
+      ...(totalCapitalizedInterest > 0 ? [[t('export.capitalizedInterest'), roundMoney(totalCapitalizedInterest)]] : []),
+      [t('export.extraPayments'), roundMoney(amortizationSchedule.reduce((sum, row) => sum + (row.extraPaymentApplied || 0), 0))],
+      ...(hasCosts ? [[t('export.insurance'), roundMoney(totalInsurance)], [t('export.managementFees'), roundMoney(totalManagementFees)]] : []),
+      [t('export.effectiveAnnualCost'), isNaN(effectiveAnnualCost) ? null : effectiveAnnualCost],
+    ];
+    const columns = [
+      periodLabel,
+      ...(hasDueDates ? [t('table.date')] : []),
+      `${rateLabel} (%)`,
+      installmentColumnLabel,
+      t('table.interest'),
+      t('table.principal'),
+      t('export.extraPayment'),
+      ...(hasCosts ? [t('export.insurance'), t('export.managementFee'), t('export.totalPayment')] : []),
+      t('export.balance'),
+      ...(hasUVRColumns ? [t('table.uvrValue'), t('table.uvrBalance')] : []),
+    ];
+    const rows = amortizationSchedule.map(row => [
+      row.month,
+      ...(hasDueDates ? [row.dueDate] : []),
+      row.annualRate,
+      roundMoney(row.monthlyPayment),
+      roundMoney(row.interestPayment),
+      roundMoney(row.principalPayment),
+      roundMoney(row.extraPaymentApplied),
+      ...(hasCosts ? [roundMoney(row.lifeInsurance + row.propertyInsurance), roundMoney(row.managementFee), roundMoney(row.totalPayment)] : []),
+      roundMoney(row.remainingBalance),
+      ...(hasUVRColumns ? [row.uvrValue, row.uvr.remainingBalance] : []),
+    ]);
+    return [
+      { name: t('export.summarySheet'), sections: [{ title: t('export.conditions'), rows: conditions }, { title: t('export.totals'), rows: totals }] },
+      { name: t('export.scheduleSheet'), sections: [{ columns, rows }] },
+    ];
+  };
+
+  const downloadFile = (content, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // With ';' the file opens directly in Excel configured for Spanish.
+  const exportCSV = (separator) => {
+    downloadFile(toCSV(buildExportSheets(), separator), t('export.fileName') + '.csv', 'text/csv;charset=utf-8');
+  };
+
+  const exportXLSX = () => {
+    downloadFile(toXLSX(buildExportSheets()), t('export.fileName') + '.xlsx', XLSX_MIME_TYPE);
   };
 
   return (
     <div className="min-h-screen bg-gray-50 flex flex-col py-12 px-4 font-sans text-gray-800 w-screen">
       {message && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-xl relative mb-4 max-w-md mx-auto text-center" role="alert">
-          <span className="block sm:inline">{message}</span>
-          <span className="absolute top-0 bottom-0 right-0 px-4 py-3 cursor-pointer" onClick={() => setMessage('')}>
-            <svg className="fill-current h-6 w-6 text-red-500" role="button" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><title>Cerrar</title><path d="M14.348 14.849a1.2 1.2 0 0 1-1.697 0L10 11.819l-2.651 3.029a1.2 1.2 0 1 1-1.697-1.697l2.758-3.15-2.759-3.152a1.2 1.2 0 1 1 1.697-1.697L10 8.183l2.651-3.031a1.2 1.2 0 1 1 1.697 1.697l-2.758 3.152 2.758 3.15a1.2 1.2 0 0 1 0 1.698z" /></svg>
+          <span className="block sm:inline">{t(message.key, { period: periodLabel.toLowerCase(), periods: periodsLabel, ...message.params })}</span>
+          <span className="absolute top-0 bottom-0 right-0 px-4 py-3 cursor-pointer" onClick={() => setMessage(null)}>
+            <svg className="fill-current h-6 w-6 text-red-500" role="button" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20"><title>{t('common.close')}</title><path d="M14.348 14.849a1.2 1.2 0 0 1-1.697 0L10 11.819l-2.651 3.029a1.2 1.2 0 1 1-1.697-1.697l2.758-3.15-2.759-3.152a1.2 1.2 0 1 1 1.697-1.697L10 8.183l2.651-3.031a1.2 1.2 0 1 1 1.697 1.697l-2.758 3.152 2.758 3.15a1.2 1.2 0 0 1 0 1.698z" /></svg>
           </span>
         </div>
       )}
 
-      <h1 className="text-4xl md:text-5xl font-bold text-gray-800 mb-10 text-center mx-auto max-w-screen-xl">
-        Simulador de Préstamos
+      <h1 className="text-4xl md:text-5xl font-bold text-gray-800 mb-6 text-center mx-auto max-w-screen-xl">
+        {t('app.title')}
       </h1>
 
+      {/* Language, number format and currency */}
+      <div className="flex flex-wrap justify-center gap-4 mb-10 text-sm">
+        <label className="flex items-center gap-2 text-gray-600 font-semibold">
+          {t('settings.language')}
+          <select
+            className="px-3 py-1 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800 font-normal"
+            value={settings.language}
+            onChange={(e) => handleChangeSetting('language', e.target.value)}
+          >
+            {Object.entries(LANGUAGES).map(([code, { name }]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-gray-600 font-semibold">
+          {t('settings.numberFormat')}
+          <select
+            className="px-3 py-1 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800 font-normal"
+            value={settings.locale}
+            onChange={(e) => handleChangeSetting('locale', e.target.value)}
+          >
+            {NUMBER_LOCALES.map(locale => (
+              <option key={locale} value={locale}>
+                {locale} · {new Intl.NumberFormat(locale, { minimumFractionDigits: 2 }).format(1234567.89)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-2 text-gray-600 font-semibold">
+          {t('settings.currency')}
+          <select
+            className="px-3 py-1 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 text-gray-800 font-normal"
+            value={settings.currency}
+            onChange={(e) => handleChangeSetting('currency', e.target.value)}
+          >
+            {Object.keys(CURRENCIES).map(currency => (
+              <option key={currency} value={currency}>{currency} · {getCurrencyName(currency, settings.language)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {usuryExcess > 0 && (
+        <div className="bg-red-50 border border-red-400 text-red-700 px-4 py-3 rounded-xl mb-6 max-w-5xl w-full mx-auto text-center" role="alert">
+          {t('usury.alert', { rate: formatRate(effectiveAnnualRate), usuryRate: formatRate(usuryRate) })}
+        </div>
+      )}
+
       {/* Summary Block */}
       <div className="bg-white p-6 md:p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto mb-10 border border-gray-100">
-        <div className="flex justify-end mb-4">
+        <div className="flex flex-wrap justify-end gap-3 mb-4">
+          <button
+            onClick={handleCopyShareLink}
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-300"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M12.586 4.586a2 2 0 112.828 2.828l-3 3a2 2 0 01-2.828 0 1 1 0 00-1.414 1.414 4 4 0 005.656 0l3-3a4 4 0 00-5.656-5.656l-1.5 1.5a1 1 0 101.414 1.414l1.5-1.5zm-5 5a2 2 0 012.828 0 1 1 0 101.414-1.414 4 4 0 00-5.656 0l-3 3a4 4 0 105.656 5.656l1.5-1.5a1 1 0 10-1.414-1.414l-1.5 1.5a2 2 0 11-2.828-2.828l3-3z" clipRule="evenodd" />
+            </svg>
+            {t('share.copy')}
+          </button>
           <button
             onClick={generatePDF}
             disabled={amortizationSchedule.length === 0}
@@ -423,22 +895,103 @@ function App() {
             <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
               <path fillRule="evenodd" d="M6 2a2 2 0 00-2 2v12a2 2 0 002 2h8a2 2 0 002-2V7.414A2 2 0 0015.414 6L12 2.586A2 2 0 0010.586 2H6zm5 6a1 1 0 10-2 0v3.586l-1.293-1.293a1 1 0 10-1.414 1.414l3 3a1 1 0 001.414 0l3-3a1 1 0 00-1.414-1.414L11 11.586V8z" clipRule="evenodd" />
             </svg>
-            Descargar PDF
+            {t('pdf.download')}
+          </button>
+          <button
+            onClick={exportXLSX}
+            disabled={amortizationSchedule.length === 0}
+            className="bg-green-700 hover:bg-green-800 disabled:opacity-40 disabled:cursor-not-allowed text-white font-bold py-2 px-5 rounded-lg shadow-md transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-green-300"
+          >
+            {t('export.excelButton')}
+          </button>
+          <button
+            onClick={() => exportCSV(';')}
+            disabled={amortizationSchedule.length === 0}
+            title={t('export.csvSemicolon')}
+            className="bg-white hover:bg-green-50 disabled:opacity-40 disabled:cursor-not-allowed text-green-800 font-bold py-2 px-4 rounded-lg border border-green-700 shadow-sm transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-green-300"
+          >
+            {t('export.csvSemicolonButton')}
+          </button>
+          <button
+            onClick={() => exportCSV(',')}
+            disabled={amortizationSchedule.length === 0}
+            title={t('export.csvComma')}
+            className="bg-white hover:bg-green-50 disabled:opacity-40 disabled:cursor-not-allowed text-green-800 font-bold py-2 px-4 rounded-lg border border-green-700 shadow-sm transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-green-300"
+          >
+            {t('export.csvCommaButton')}
           </button>
         </div>
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-4 md:gap-6 text-center items-stretch">
+        <details className="mb-4 text-sm">
+          <summary className="cursor-pointer text-right text-gray-600 font-semibold">{t('pdf.header')}</summary>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-3">
+            {[
+              ['pdfEntity', pdfEntity, setPdfEntity],
+              ['pdfAdvisor', pdfAdvisor, setPdfAdvisor],
+              ['pdfCustomer', pdfCustomer, setPdfCustomer],
+            ].map(([id, value, setValue]) => (
+              <div key={id}>
+                <label htmlFor={id} className="block text-gray-700 font-semibold mb-1">{t(`pdf.${id}`)}</label>
+                <input
+                  type="text"
+                  id={id}
+                  className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                  placeholder={t(`pdf.${id}Placeholder`)}
+                  value={value}
+                  onChange={(e) => setValue(e.target.value)}
+                />
+              </div>
+            ))}
+          </div>
+        </details>
+        {/* Hidden again once the simulation changes and the link no longer matches it. */}
+        {shareUrl && shareUrl === buildShareUrl(window.location, loanInputs) && (
+          <div className="mb-4">
+            {shareLinkCopied ? (
+              <p className="text-sm text-green-700 text-right" role="status">{t('share.copied')}</p>
+            ) : (
+              <>
+                <label htmlFor="shareUrl" className="block text-sm text-gray-600 mb-1">{t('share.copyManually')}</label>
+                <input
+                  type="text"
+                  id="shareUrl"
+                  readOnly
+                  value={shareUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm text-gray-700"
+                />
+              </>
+            )}
+          </div>
+        )}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-4 md:gap-6 text-center items-stretch">
 
           {/* Cuota Mensual */}
           <div className="bg-blue-700 p-3 md:p-4 rounded-lg text-white shadow-md flex flex-col justify-center min-h-[80px]">
-            <p className="text-sm md:text-base opacity-80 mb-1">Cuota Mensual:</p>
+            <p className="text-sm md:text-base opacity-80 mb-1">{installmentLabel}:</p>
+            <FitText className="text-sm md:text-base lg:text-lg">
+              {formatCurrency(monthlyPayment)}
+            </FitText>
+            {hasCosts && (
+              <p className="text-xs opacity-80 mt-1">
+                {t('summary.withCosts', { amount: formatCurrency(firstInstallmentRow?.totalPayment || 0) })}
+              </p>
+            )}
+          </div>
+
+          {/* Costo Efectivo Anual */}
+          <div className="bg-blue-900 p-3 md:p-4 rounded-lg text-white shadow-md flex flex-col justify-center min-h-[80px]">
+            <p className="text-sm md:text-base opacity-80 mb-1">{t('summary.effectiveAnnualCost')}</p>
             <FitText className="text-sm md:text-base lg:text-lg">
-              {formatCurrency(amortizationSchedule[0]?.monthlyPayment || 0)}
+              {isNaN(effectiveAnnualCost) ? '-' : formatRate(effectiveAnnualCost)}
             </FitText>
+            <p className="text-xs opacity-80 mt-1">
+              {isUVR ? t('summary.realRate') : t('summary.advertisedRate')}: {isNaN(effectiveAnnualRate) ? '-' : formatRate(effectiveAnnualRate)}
+            </p>
           </div>
 
           {/* Número de pagos */}
           <div className="bg-blue-700 p-3 md:p-4 rounded-lg text-white shadow-md flex flex-col justify-center min-h-[80px]">
-            <p className="text-sm md:text-base opacity-80 mb-1">Número de pagos:</p>
+            <p className="text-sm md:text-base opacity-80 mb-1">{t('summary.numberOfPayments')}</p>
             <FitText className="text-lg md:text-xl lg:text-2xl">
               {amortizationSchedule.length}
             </FitText>
@@ -446,23 +999,33 @@ function App() {
 
           {/* Interés Total Pagado */}
           <div className="bg-blue-700 p-3 md:p-4 rounded-lg text-white shadow-md flex flex-col justify-center min-h-[80px]">
-            <p className="text-sm md:text-base opacity-80 mb-1">Interés Total Pagado:</p>
+            <p className="text-sm md:text-base opacity-80 mb-1">{t('summary.totalInterest')}</p>
             <FitText className="text-sm md:text-base lg:text-lg">
-              {formatCurrency(amortizationSchedule.reduce((sum, row) => sum + row.interestPayment, 0))}
+              {formatCurrency(totalInterestPaid)}
             </FitText>
           </div>
 
           {/* Interés Total Ahorrado */}
           <div className="bg-green-600 p-3 md:p-4 rounded-lg text-white shadow-md flex flex-col justify-center min-h-[80px]">
-            <p className="text-sm md:text-base opacity-80 mb-1">Interés Total Ahorrado:</p>
+            <p className="text-sm md:text-base opacity-80 mb-1">{t('summary.interestSaved')}</p>
             <FitText className="text-sm md:text-base lg:text-lg">
               {formatCurrency(totalInterestSaved)}
             </FitText>
           </div>
 
+          {/* Interés Capitalizado */}
+          {totalCapitalizedInterest > 0 && (
+            <div className="bg-violet-600 p-3 md:p-4 rounded-lg text-white shadow-md flex flex-col justify-center min-h-[80px]">
+              <p className="text-sm md:text-base opacity-80 mb-1">{t('summary.capitalizedInterest')}</p>
+              <FitText className="text-sm md:text-base lg:text-lg">
+                {formatCurrency(totalCapitalizedInterest)}
+              </FitText>
+            </div>
+          )}
+
           {/* Monto Original */}
           <div className="bg-blue-700 p-3 md:p-4 rounded-lg text-white shadow-md flex flex-col justify-center min-h-[80px]">
-            <p className="text-sm md:text-base opacity-80 mb-1">Monto Original:</p>
+            <p className="text-sm md:text-base opacity-80 mb-1">{t('summary.loanAmount')}</p>
             <FitText className="text-sm md:text-base lg:text-lg">
               {formatCurrency(loanAmount)}
             </FitText>
@@ -475,54 +1038,130 @@ function App() {
       <div className="flex flex-col lg:flex-row gap-6 md:gap-10 w-full max-w-5xl mx-auto mb-10">
         {/* Main Calculator Inputs */}
         <div className="bg-blue-100 p-8 md:p-10 rounded-3xl shadow-xl w-full lg:w-1/2 border border-blue-200">
-          <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">Detalles del Préstamo</h2>
+          <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">{t('loan.title')}</h2>
+          <LoanSolver
+            inputs={loanInputs}
+            periodsPerYear={PAYMENT_FREQUENCIES[paymentFrequency].periodsPerYear}
+            installment={monthlyPayment}
+            installmentLabel={installmentColumnLabel}
+            formatCurrency={formatCurrency}
+            numberFormat={numberFormat}
+            t={t}
+            onApply={handleApplySolution}
+          />
           <div className="grid grid-cols-1 gap-6 md:gap-8 mb-6">
             <div>
               <label htmlFor="loanAmount" className="block text-gray-600 text-sm font-semibold mb-2">
-                Monto del Préstamo:
+                {t('loan.amount')}
+              </label>
+              <CurrencyInput id="loanAmount" value={loanAmount} onChange={setLoanAmount} numberFormat={numberFormat} />
+            </div>
+            <div>
+              <label htmlFor="denomination" className="block text-gray-600 text-sm font-semibold mb-2">
+                {t('loan.denomination')}
               </label>
-              <div className="relative">
-                <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-600 font-bold">$</span>
+              <select
+                id="denomination"
+                className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                value={denomination}
+                onChange={(e) => setDenomination(e.target.value)}
+              >
+                <option value="COP">{capitalize(getCurrencyName(settings.currency, settings.language))} ({settings.currency})</option>
+                <option value="UVR">{t('loan.denominationUVR')}</option>
+              </select>
+            </div>
+            {isUVR && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="uvrInitialValue" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('loan.uvrInitialValue')}
+                  </label>
+                  <input
+                    type="number"
+                    id="uvrInitialValue"
+                    className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={uvrInitialValue}
+                    onChange={(e) => setUvrInitialValue(e.target.value)}
+                    min="0"
+                    step="0.0001"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">{t('loan.uvrAmount', { amount: formatUVR(loanAmount / uvrInitialValue) })}</p>
+                </div>
+                <div>
+                  <label htmlFor="inflationPath" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('loan.inflation')}
+                  </label>
+                  <input
+                    type="text"
+                    id="inflationPath"
+                    className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={inflationPath}
+                    onChange={(e) => setInflationPath(e.target.value)}
+                    placeholder={`5; 4; ${numberFormat.formatNumber(3.5, 1)}`}
+                  />
+                  <p className="mt-1 text-xs text-gray-500">{t('loan.inflationHint')}</p>
+                </div>
+              </div>
+            )}
+            <div>
+              <label htmlFor="annualInterestRate" className="block text-gray-600 text-sm font-semibold mb-2">
+                {isUVR ? t('loan.realRate') : t('loan.interestRate')}
+              </label>
+              <div className="flex items-center gap-2">
                 <input
-                  type="text"
-                  id="loanAmount"
-                  className="w-full pl-8 pr-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800 text-right"
-                  value={displayLoanAmount}
-                  onChange={(e) => {
-                    const rawValue = e.target.value;
-                    setDisplayLoanAmount(rawValue);
-                    const cleanNum = cleanNumberInput(rawValue);
-                    setLoanAmount(cleanNum !== '' ? parseFloat(cleanNum) : 0);
-                  }}
-                  onBlur={() => {
-                    if (typeof loanAmount === 'number' && !isNaN(loanAmount)) {
-                      setDisplayLoanAmount(new Intl.NumberFormat('es-CO', { minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(loanAmount));
-                    } else {
-                      setDisplayLoanAmount('');
-                    }
-                  }}
-                  inputMode="numeric"
-                  pattern="[0-9,]*"
+                  type="number"
+                  id="annualInterestRate"
+                  className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                  value={annualInterestRate}
+                  onChange={(e) => setAnnualInterestRate(e.target.value)}
+                  min="0"
+                  step="0.01"
                 />
+                <select
+                  id="rateType"
+                  className="px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                  value={rateType}
+                  onChange={(e) => setRateType(e.target.value)}
+                  aria-label={t('loan.rateType')}
+                >
+                  {Object.keys(RATE_CODES).map(code => (
+                    <option key={code} value={code}>{t(`rateCode.${code}`)}</option>
+                  ))}
+                </select>
               </div>
+              {!isNaN(effectiveAnnualRate) && (
+                <div className="mt-3 grid grid-cols-3 gap-2 text-center">
+                  {EQUIVALENT_RATE_CODES.map(code => (
+                    <div key={code} className={`rounded-lg px-2 py-1 border ${code === rateType ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-blue-200'}`}>
+                      <p className="text-xs font-semibold">{code}</p>
+                      <p className="text-sm">{formatRate(fromEffectiveAnnual(effectiveAnnualRate, code), 4)}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
             <div>
-              <label htmlFor="annualInterestRate" className="block text-gray-600 text-sm font-semibold mb-2">
-                Tasa Efectiva Anual (TEA) en %:
+              <label htmlFor="usuryRate" className="block text-gray-600 text-sm font-semibold mb-2">
+                {t('loan.usuryRate')}
               </label>
               <input
                 type="number"
-                id="annualInterestRate"
+                id="usuryRate"
                 className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
-                value={annualInterestRate}
-                onChange={(e) => setAnnualInterestRate(e.target.value)}
+                value={usuryRate}
+                onChange={(e) => setUsuryRate(e.target.value)}
                 min="0"
                 step="0.01"
               />
+              {usuryExcess > 0 && (
+                <p className="mt-2 text-sm text-red-600 font-semibold" role="alert">
+                  {t('loan.usuryExceeded', { rate: formatRate(effectiveAnnualRate), usuryRate: formatRate(usuryRate), points: numberFormat.formatNumber(usuryExcess, 2) })}
+                </p>
+              )}
             </div>
             <div>
               <label htmlFor="loanTerm" className="block text-gray-600 text-sm font-semibold mb-2">
-                Plazo:
+                {t('loan.term')}
               </label>
               <div className="flex items-center gap-2">
                 <input
@@ -539,160 +1178,664 @@ function App() {
                   value={loanTermUnit}
                   onChange={(e) => setLoanTermUnit(e.target.value)}
                 >
-                  <option value="years">Años</option>
-                  <option value="months">Meses</option>
+                  <option value="years">{t('loan.years')}</option>
+                  <option value="months">{t('loan.months')}</option>
+                </select>
+              </div>
+            </div>
+            <div>
+              <label htmlFor="paymentFrequency" className="block text-gray-600 text-sm font-semibold mb-2">
+                {t('loan.paymentFrequency')}
+              </label>
+              <select
+                id="paymentFrequency"
+                className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                value={paymentFrequency}
+                onChange={(e) => setPaymentFrequency(e.target.value)}
+              >
+                {Object.keys(PAYMENT_FREQUENCIES).map(value => (
+                  <option key={value} value={value}>{t(`frequency.${value}`)}</option>
+                ))}
+              </select>
+              {!isNaN(effectiveAnnualRate) && (
+                <p className="mt-2 text-sm text-gray-500">
+                  {t('loan.periodicRate', { ...frequencyParams, installments: totalPeriods, rate: formatRate(calculatePeriodRate(effectiveAnnualRate, 1 / PAYMENT_FREQUENCIES[paymentFrequency].periodsPerYear) * 100, 4) })}
+                </p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="disbursementDate" className="block text-gray-600 text-sm font-semibold mb-2">
+                {t('loan.disbursementDate')}
+              </label>
+              <input
+                type="date"
+                id="disbursementDate"
+                className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                value={disbursementDate}
+                onChange={(e) => setDisbursementDate(e.target.value)}
+              />
+            </div>
+            {disbursementDate && (
+              <>
+                <div>
+                  {!PAYMENT_FREQUENCIES[paymentFrequency].days && (
+                    <>
+                      <label htmlFor="paymentDay" className="block text-gray-600 text-sm font-semibold mb-2">
+                        {t('loan.paymentDay')}
+                      </label>
+                      <input
+                        type="number"
+                        id="paymentDay"
+                        className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                        value={paymentDay}
+                        onChange={(e) => setPaymentDay(e.target.value)}
+                        min="1"
+                        max="31"
+                      />
+                    </>
+                  )}
+                  {paymentDayInvalid && (
+                    <p className="mt-2 text-sm text-red-600">{t('loan.paymentDayInvalid')}</p>
+                  )}
+                  {loanCalendar && (
+                    <p className="mt-2 text-sm text-gray-500">
+                      {t('loan.firstInstallment', { date: formatDate(formatISODate(loanCalendar.dueDates[1])) })}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label htmlFor="dayCountConvention" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('loan.dayCountConvention')}
+                  </label>
+                  <select
+                    id="dayCountConvention"
+                    className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={dayCountConvention}
+                    onChange={(e) => setDayCountConvention(e.target.value)}
+                  >
+                    {DAY_COUNT_CONVENTIONS.map(convention => (
+                      <option key={convention} value={convention}>{t(`dayCount.${convention}`)}</option>
+                    ))}
+                  </select>
+                </div>
+              </>
+            )}
+            <div>
+              <label htmlFor="amortizationSystem" className="block text-gray-600 text-sm font-semibold mb-2">
+                {t('loan.amortizationSystem')}
+              </label>
+              <select
+                id="amortizationSystem"
+                className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                value={amortizationSystem}
+                onChange={(e) => setAmortizationSystem(e.target.value)}
+              >
+                {AMORTIZATION_SYSTEMS.map(value => (
+                  <option key={value} value={value}>{t(`amortizationSystem.${value}`)}</option>
+                ))}
+              </select>
+            </div>
+            {amortizationSystem === 'growingInstallment' && (
+              <div>
+                <label htmlFor="installmentGrowth" className="block text-gray-600 text-sm font-semibold mb-2">
+                  {t('loan.installmentGrowth')}
+                </label>
+                <input
+                  type="number"
+                  id="installmentGrowth"
+                  className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                  value={installmentGrowth}
+                  onChange={(e) => setInstallmentGrowth(e.target.value)}
+                  min="0"
+                  step="0.1"
+                />
+              </div>
+            )}
+            {amortizationSystem === 'balloon' && (
+              <div>
+                <label htmlFor="balloonPercentage" className="block text-gray-600 text-sm font-semibold mb-2">
+                  {t('loan.balloon')}
+                </label>
+                <input
+                  type="number"
+                  id="balloonPercentage"
+                  className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                  value={balloonPercentage}
+                  onChange={(e) => setBalloonPercentage(e.target.value)}
+                  min="0"
+                  max="100"
+                  step="0.1"
+                />
+              </div>
+            )}
+            <div>
+              <label htmlFor="graceMonths" className="block text-gray-600 text-sm font-semibold mb-2">
+                {t('loan.grace', { periods: periodsLabel })}
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="number"
+                  id="graceMonths"
+                  className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                  value={graceMonths}
+                  onChange={(e) => setGraceMonths(e.target.value)}
+                  min="0"
+                />
+                <select
+                  id="graceType"
+                  className="px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                  value={graceType}
+                  onChange={(e) => setGraceType(e.target.value)}
+                  aria-label={t('loan.graceType')}
+                >
+                  {GRACE_TYPES.map(value => (
+                    <option key={value} value={value}>{t(`graceType.${value}`)}</option>
+                  ))}
                 </select>
               </div>
+              {graceMonthsInvalid && (
+                <p className="mt-2 text-sm text-red-600">{t('loan.graceInvalid')}</p>
+              )}
+            </div>
+            <div className="border-t border-blue-200 pt-6">
+              <h3 className="text-lg font-semibold text-gray-700 mb-4">{t('rateChange.title')}</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="newRateChangeMonth" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('common.fromPeriod', { period: periodLabel.toLowerCase() })}
+                  </label>
+                  <input
+                    type="number"
+                    id="newRateChangeMonth"
+                    className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={newRateChangeMonth}
+                    onChange={(e) => setNewRateChangeMonth(e.target.value)}
+                    min="2"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="newRateChangeType" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('rateChange.newRate')}
+                  </label>
+                  <select
+                    id="newRateChangeType"
+                    className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={newRateChangeType}
+                    onChange={(e) => setNewRateChangeType(e.target.value)}
+                  >
+                    <option value="indexed">{t('rateChange.indexed')}</option>
+                    <option value="tea">{t('rateChange.fixed')}</option>
+                  </select>
+                </div>
+                {newRateChangeType === 'indexed' ? (
+                  <>
+                    <div>
+                      <label htmlFor="newRateChangeIndexValue" className="block text-gray-600 text-sm font-semibold mb-2">
+                        {t('rateChange.indexValue')}
+                      </label>
+                      <div className="flex items-center gap-2">
+                        <select
+                          id="newRateChangeIndexName"
+                          className="px-2 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                          value={newRateChangeIndexName}
+                          onChange={(e) => setNewRateChangeIndexName(e.target.value)}
+                          aria-label={t('rateChange.indexName')}
+                        >
+                          <option value="IBR">IBR</option>
+                          <option value="DTF">DTF</option>
+                        </select>
+                        <input
+                          type="number"
+                          id="newRateChangeIndexValue"
+                          className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                          value={newRateChangeIndexValue}
+                          onChange={(e) => setNewRateChangeIndexValue(e.target.value)}
+                          step="0.01"
+                        />
+                      </div>
+                    </div>
+                    <div>
+                      <label htmlFor="newRateChangeSpread" className="block text-gray-600 text-sm font-semibold mb-2">
+                        {t('rateChange.spread')}
+                      </label>
+                      <input
+                        type="number"
+                        id="newRateChangeSpread"
+                        className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                        value={newRateChangeSpread}
+                        onChange={(e) => setNewRateChangeSpread(e.target.value)}
+                        step="0.01"
+                      />
+                    </div>
+                  </>
+                ) : (
+                  <div className="sm:col-span-2">
+                    <label htmlFor="newRateChangeTea" className="block text-gray-600 text-sm font-semibold mb-2">
+                      {t('rateChange.tea')}
+                    </label>
+                    <input
+                      type="number"
+                      id="newRateChangeTea"
+                      className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                      value={newRateChangeTea}
+                      onChange={(e) => setNewRateChangeTea(e.target.value)}
+                      min="0"
+                      step="0.01"
+                    />
+                  </div>
+                )}
+              </div>
+              <button
+                onClick={handleAddRateChange}
+                className="w-full mt-4 bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-6 rounded-lg shadow-md transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-300 active:bg-blue-800"
+              >
+                {t('rateChange.add')}
+              </button>
+              {rateChanges.length > 0 && (
+                <ul className="space-y-2 mt-4">
+                  {rateChanges.map((rc) => (
+                    <li key={rc.id} className="flex items-center justify-between bg-white p-3 rounded-lg shadow-sm border border-blue-100">
+                      <span className="text-gray-800 text-sm">
+                        {periodLabel} {rc.month}: {describeRateChange(rc)}
+                      </span>
+                      <button
+                        onClick={() => handleRemoveRateChange(rc.id)}
+                        className="text-red-500 hover:text-red-700 transition-colors duration-200"
+                        aria-label={t('rateChange.remove', { period: periodLabel, month: rc.month })}
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                          <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 11-2 0v6a1 1 0 112 0V8z" clipRule="evenodd" />
+                        </svg>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className="border-t border-blue-200 pt-6">
+              <h3 className="text-lg font-semibold text-gray-700 mb-4">{t('costs.title')}</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="lifeInsuranceRate" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('costs.lifeInsurance')}
+                  </label>
+                  <input
+                    type="number"
+                    id="lifeInsuranceRate"
+                    className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={lifeInsuranceRate}
+                    onChange={(e) => setLifeInsuranceRate(e.target.value)}
+                    min="0"
+                    step="0.001"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="monthlyFee" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('costs.monthlyFee')}
+                  </label>
+                  <CurrencyInput id="monthlyFee" value={monthlyFee} onChange={setMonthlyFee} numberFormat={numberFormat} />
+                </div>
+                <div>
+                  <label htmlFor="propertyValue" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('costs.propertyValue')}
+                  </label>
+                  <CurrencyInput id="propertyValue" value={propertyValue} onChange={setPropertyValue} numberFormat={numberFormat} />
+                </div>
+                <div>
+                  <label htmlFor="propertyInsuranceRate" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('costs.propertyInsurance')}
+                  </label>
+                  <input
+                    type="number"
+                    id="propertyInsuranceRate"
+                    className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={propertyInsuranceRate}
+                    onChange={(e) => setPropertyInsuranceRate(e.target.value)}
+                    min="0"
+                    step="0.001"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="openingFee" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('costs.openingFee')}
+                  </label>
+                  <CurrencyInput id="openingFee" value={openingFee} onChange={setOpeningFee} numberFormat={numberFormat} />
+                </div>
+                <div>
+                  <label htmlFor="studyFee" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('costs.studyFee')}
+                  </label>
+                  <CurrencyInput id="studyFee" value={studyFee} onChange={setStudyFee} numberFormat={numberFormat} />
+                </div>
+              </div>
             </div>
           </div>
         </div>
 
         {/* Extra Payments Section */}
         <div className="bg-blue-100 p-8 md:p-10 rounded-3xl shadow-xl w-full lg:w-1/2 border border-blue-200">
-          <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">Abonos Extraordinarios</h2>
+          <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">{t('extra.title')}</h2>
+          <PrepaymentPlanner
+            inputs={loanInputs}
+            totalPeriods={totalPeriods}
+            periodLabel={periodLabel}
+            formatCurrency={formatCurrency}
+            numberFormat={numberFormat}
+            t={t}
+            onApply={handleApplyPrepaymentPlan}
+          />
           <div className="grid grid-cols-1 gap-6 mb-6">
+            <div className="flex rounded-xl overflow-hidden border border-blue-300 bg-white" role="group" aria-label={t('extra.type')}>
+              {[['single', t('extra.single')], ['recurring', t('extra.recurring')]].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => setNewExtraPaymentType(value)}
+                  className={`w-1/2 py-2 text-sm font-semibold transition-colors duration-200 ${newExtraPaymentType === value ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-blue-50'}`}
+                  aria-pressed={newExtraPaymentType === value}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
             <div>
               <label htmlFor="newExtraPaymentAmount" className="block text-gray-600 text-sm font-semibold mb-2">
-                Monto del Abono:
+                {t('extra.amount')}
               </label>
-              <div className="relative">
-                <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-600 font-bold">$</span>
+              <CurrencyInput id="newExtraPaymentAmount" value={newExtraPaymentAmount} onChange={setNewExtraPaymentAmount} numberFormat={numberFormat} />
+            </div>
+            {loanCalendar && (
+              <div className="flex rounded-xl overflow-hidden border border-blue-300 bg-white" role="group" aria-label={t('extra.scheduleBy')}>
+                {[['month', t('extra.byPeriod', { period: periodLabel.toLowerCase() })], ['date', t('extra.byDate')]].map(([value, label]) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setNewExtraPaymentScheduleBy(value)}
+                    className={`w-1/2 py-2 text-sm font-semibold transition-colors duration-200 ${newExtraPaymentScheduleBy === value ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-blue-50'}`}
+                    aria-pressed={newExtraPaymentScheduleBy === value}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {loanCalendar && newExtraPaymentScheduleBy === 'date' ? (
+              <div>
+                <label htmlFor="newExtraPaymentDate" className="block text-gray-600 text-sm font-semibold mb-2">
+                  {newExtraPaymentType === 'recurring' ? t('extra.fromDate') : t('extra.date')}
+                </label>
                 <input
-                  type="text"
-                  id="newExtraPaymentAmount"
-                  className="w-full pl-8 pr-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800 text-right"
-                  value={displayNewExtraPaymentAmount}
-                  onChange={(e) => {
-                    const rawValue = e.target.value;
-                    setDisplayNewExtraPaymentAmount(rawValue);
-                    const cleanNum = cleanNumberInput(rawValue);
-                    setNewExtraPaymentAmount(cleanNum !== '' ? parseFloat(cleanNum) : 0);
-                  }}
-                  onBlur={() => {
-                    if (typeof newExtraPaymentAmount === 'number' && !isNaN(newExtraPaymentAmount)) {
-                      setDisplayNewExtraPaymentAmount(new Intl.NumberFormat('es-CO', { minimumFractionDigits: 0, maximumFractionDigits: 0 }).format(newExtraPaymentAmount));
-                    } else {
-                      setDisplayNewExtraPaymentAmount('');
-                    }
-                  }}
-                  inputMode="numeric"
-                  pattern="[0-9,]*"
+                  type="date"
+                  id="newExtraPaymentDate"
+                  className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                  value={newExtraPaymentDate}
+                  onChange={(e) => setNewExtraPaymentDate(e.target.value)}
+                  min={disbursementDate}
                 />
+                <p className="mt-2 text-sm text-gray-500">
+                  {t('extra.dateHint')}
+                </p>
               </div>
-            </div>
+            ) : (
+              <div>
+                <label htmlFor="newExtraPaymentMonth" className="block text-gray-600 text-sm font-semibold mb-2">
+                  {newExtraPaymentType === 'recurring' ? t('common.fromPeriod', { period: periodLabel.toLowerCase() }) : t('extra.period', { period: periodLabel })}
+                </label>
+                <input
+                  type="number"
+                  id="newExtraPaymentMonth"
+                  className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                  value={newExtraPaymentMonth}
+                  onChange={(e) => setNewExtraPaymentMonth(e.target.value)}
+                  min="1"
+                />
+              </div>
+            )}
+            {newExtraPaymentType === 'recurring' && (
+              <>
+                <div>
+                  <label htmlFor="newRecurringEndMonth" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('extra.endPeriod', { period: periodLabel.toLowerCase() })}
+                  </label>
+                  <input
+                    type="number"
+                    id="newRecurringEndMonth"
+                    className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={newRecurringEndMonth}
+                    onChange={(e) => setNewRecurringEndMonth(e.target.value)}
+                    min="1"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="newRecurringFrequency" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('extra.frequency')}
+                  </label>
+                  <select
+                    id="newRecurringFrequency"
+                    className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={newRecurringFrequency}
+                    onChange={(e) => setNewRecurringFrequency(e.target.value)}
+                  >
+                    <option value="monthly">{capitalize(paymentFrequency === 'monthly' ? t('extra.describe.everyMonth') : t('extra.describe.everyPeriod'))}</option>
+                    <option value="interval">{t('extra.everyN', { periods: periodsLabel })}</option>
+                    <option value="calendarMonths">{t('extra.calendarMonths')}</option>
+                  </select>
+                </div>
+                {newRecurringFrequency === 'interval' && (
+                  <div>
+                    <label htmlFor="newRecurringInterval" className="block text-gray-600 text-sm font-semibold mb-2">
+                      {t('extra.interval', { periods: periodsLabel })}
+                    </label>
+                    <input
+                      type="number"
+                      id="newRecurringInterval"
+                      className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                      value={newRecurringInterval}
+                      onChange={(e) => setNewRecurringInterval(e.target.value)}
+                      min="1"
+                    />
+                  </div>
+                )}
+                {newRecurringFrequency === 'calendarMonths' && (
+                  <>
+                    <div>
+                      <span className="block text-gray-600 text-sm font-semibold mb-2">{t('extra.monthsOfYear')}</span>
+                      <div className="grid grid-cols-4 gap-2">
+                        {monthNames.map((name, index) => (
+                          <button
+                            key={name}
+                            type="button"
+                            onClick={() => handleToggleRecurringCalendarMonth(index + 1)}
+                            className={`py-1 text-xs font-semibold rounded-lg border transition-colors duration-200 ${newRecurringCalendarMonths.includes(index + 1) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-blue-200 hover:bg-blue-50'}`}
+                            aria-pressed={newRecurringCalendarMonths.includes(index + 1)}
+                          >
+                            {capitalize(name.slice(0, 3))}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    {!loanCalendar && (
+                      <div>
+                        <label htmlFor="firstPaymentCalendarMonth" className="block text-gray-600 text-sm font-semibold mb-2">
+                          {t('extra.firstPaymentMonth')}
+                        </label>
+                        <select
+                          id="firstPaymentCalendarMonth"
+                          className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                          value={firstPaymentCalendarMonth}
+                          onChange={(e) => setFirstPaymentCalendarMonth(parseInt(e.target.value))}
+                        >
+                          {monthNames.map((name, index) => (
+                            <option key={name} value={index + 1}>{capitalize(name)}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                  </>
+                )}
+                <div>
+                  <label htmlFor="newRecurringAnnualGrowth" className="block text-gray-600 text-sm font-semibold mb-2">
+                    {t('extra.growth')}
+                  </label>
+                  <input
+                    type="number"
+                    id="newRecurringAnnualGrowth"
+                    className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                    value={newRecurringAnnualGrowth}
+                    onChange={(e) => setNewRecurringAnnualGrowth(e.target.value)}
+                    min="0"
+                    step="0.1"
+                  />
+                </div>
+              </>
+            )}
             <div>
-              <label htmlFor="newExtraPaymentMonth" className="block text-gray-600 text-sm font-semibold mb-2">
-                Mes en el que se realiza:
+              <label htmlFor="newExtraPaymentMode" className="block text-gray-600 text-sm font-semibold mb-2">
+                {t('extra.mode')}
               </label>
-              <input
-                type="number"
-                id="newExtraPaymentMonth"
-                className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
-                value={newExtraPaymentMonth}
-                onChange={(e) => setNewExtraPaymentMonth(e.target.value)}
-                min="1"
-              />
+              <select
+                id="newExtraPaymentMode"
+                className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+                value={newExtraPaymentMode}
+                onChange={(e) => setNewExtraPaymentMode(e.target.value)}
+              >
+                {EXTRA_PAYMENT_MODES.map(mode => (
+                  <option key={mode} value={mode}>{t(`extraPaymentMode.${mode}`)}</option>
+                ))}
+              </select>
             </div>
             <button
               onClick={handleAddExtraPayment}
               className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg shadow-md transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-300 active:bg-blue-800"
             >
-              Agregar Abono
+              {t('extra.add')}
             </button>
           </div>
 
-          {extraPayments.length > 0 && (
-            <div className="mt-6 border-t border-blue-200 pt-6">
-              <h3 className="text-lg font-semibold text-gray-700 mb-4">Abonos Agregados:</h3>
-              <ul className="space-y-3">
-                {extraPayments.map((ep) => (
-                  <li key={ep.id} className="flex items-center justify-between bg-white p-3 rounded-lg shadow-sm border border-blue-100">
-                    <span className="text-gray-800 text-sm md:text-base">
-                      {formatCurrency(ep.amount)} en el Mes {ep.month}
-                    </span>
-                    <button
-                      onClick={() => handleRemoveExtraPayment(ep.id)}
-                      className="text-red-500 hover:text-red-700 transition-colors duration-200"
-                      aria-label={`Eliminar abono de ${formatCurrency(ep.amount)} en el Mes ${ep.month}`}
-                    >
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                        <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 11-2 0v6a1 1 0 112 0V8z" clipRule="evenodd" />
-                      </svg>
-                    </button>
-                  </li>
-                ))}
-              </ul>
-            </div>
-          )}
+          <ExtraPaymentList
+            extraPayments={extraPayments}
+            setExtraPayments={setExtraPayments}
+            history={extraPaymentHistory}
+            extraPaymentTotals={extraPaymentTotals}
+            warnings={extraPaymentWarnings}
+            describeExtraPayment={describeExtraPayment}
+            loanCalendar={loanCalendar}
+            maxMonth={totalPeriods * 2 + 1}
+            numberFormat={numberFormat}
+            formatCurrency={formatCurrency}
+            periodLabel={periodLabel}
+            periodsLabel={periodsLabel}
+            t={t}
+          />
         </div>
       </div>
 
+      {/* Saved Scenarios and Comparison */}
+      <ScenarioComparison
+        scenarios={scenarios}
+        onSave={handleSaveScenario}
+        onLoad={handleLoadScenario}
+        onDelete={handleDeleteScenario}
+        formatCurrency={formatCurrency}
+        locale={settings.locale}
+        t={t}
+      />
+
+      <PrepayVsInvest inputs={calculatedLoanInputs} formatCurrency={formatCurrency} formatRate={formatRate} periodLabel={periodLabel} t={t} />
+
+      {/* Late-payment interest in Colombia may not exceed the usury rate, so it is the starting value. */}
+      <PaymentReconciliation
+        schedule={amortizationSchedule}
+        loanCalendar={loanCalendar}
+        loanAmount={loanAmount}
+        isUVR={isUVR}
+        defaultLateInterestRate={usuryRate}
+        formatCurrency={formatCurrency}
+        formatDate={formatDate}
+        numberFormat={numberFormat}
+        periodLabel={periodLabel}
+        t={t}
+      />
+
+      <InterestCertificate
+        schedule={amortizationSchedule}
+        paymentFrequency={calculatedInputs.paymentFrequency}
+        loanAmount={calculatedInputs.loanAmount}
+        pdfHeader={{ entity: pdfEntity, customer: pdfCustomer }}
+        numberFormat={numberFormat}
+        formatCurrency={formatCurrency}
+        formatDate={formatDate}
+        locale={settings.locale}
+        t={t}
+      />
+
+      <DebtPortfolio
+        currentLoan={{ loanAmount, annualInterestRate: effectiveAnnualRate, loanTerm: getTotalPeriods(loanTerm, loanTermUnit), amortizationSystem }}
+        numberFormat={numberFormat}
+        formatCurrency={formatCurrency}
+        formatRate={formatRate}
+        formatDate={formatDate}
+        t={t}
+      />
+
       {/* Amortization Chart */}
       {amortizationSchedule.length > 0 && (
+        <PaymentCharts
+          schedule={amortizationSchedule}
+          chartData={chartData}
+          baselineSchedule={baselineSchedule}
+          loanAmount={loanAmount}
+          periodsPerYear={PAYMENT_FREQUENCIES[paymentFrequency].periodsPerYear}
+          graceMonths={parsedGraceMonths}
+          showCapitalizedInterest={totalCapitalizedInterest > 0}
+          formatCurrency={formatCurrency}
+          formatRate={formatRate}
+          periodLabel={periodLabel}
+          periodsLabel={periodsLabel}
+          t={t}
+        />
+      )}
+
+      {/* UVR Balance Chart */}
+      {hasUVRColumns && (
         <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto mb-10 border border-gray-100">
-          <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">Visualización de los pagos mes a mes</h2>
+          <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">{t('chart.uvrTitle')}</h2>
           <ResponsiveContainer width="100%" aspect={2}>
-            <BarChart
-              data={chartData}
-              margin={{ top: 25, right: 10, left: 10, bottom: 10 }}
-            >
+            <LineChart data={chartData} margin={{ top: 25, right: 10, left: 10, bottom: 10 }}>
               <CartesianGrid stroke="rgba(148, 163, 184, 0.35)" strokeDasharray="2 6" vertical={false} />
-              <XAxis dataKey="month" />
-              <YAxis
-                tickFormatter={formatCurrency}
-                domain={[0, chartData.length > 0 ? Math.max(...chartData.map(item => (item['Pago a Capital (Regular)'] || 0) + (item['Pago de Interés'] || 0) + (item['Abono Extraordinario'] || 0))) * 1.1 : 'auto']}
-                width={100}
-              />
+              <XAxis dataKey="month" label={{ value: periodLabel, position: 'insideBottomRight', offset: -5 }} />
+              <YAxis yAxisId="cop" tickFormatter={formatCurrency} width={110} />
+              <YAxis yAxisId="uvr" orientation="right" tickFormatter={(value) => formatUVR(value, 0)} width={80} />
               <Tooltip
-                formatter={(value, name) => [`${formatCurrency(value)}`, name]}
+                formatter={(value, name, item) => [item.dataKey === 'Saldo en UVR' ? `${formatUVR(value)} UVR` : formatCurrency(value), name]}
                 contentStyle={{ backgroundColor: '#ffffff', border: 'none', borderRadius: '14px', boxShadow: '0 18px 45px rgba(15, 23, 42, 0.12)' }}
                 labelStyle={{ color: '#0f172a', fontWeight: '600', fontSize: 13 }}
               />
               <Legend />
-              <Bar dataKey="Pago a Capital (Regular)" stackId="a" fill="#4299E1" radius={[0, 0, 0, 0]} />
-              <Bar dataKey="Pago de Interés" stackId="a" fill="#81C784" radius={[0, 0, 0, 0]} />
-              <Bar dataKey="Abono Extraordinario" stackId="a" fill="#FFA500" radius={[4, 4, 0, 0]} />
-            </BarChart>
+              <Line yAxisId="cop" type="monotone" dataKey="Saldo Restante" name={t('chart.balanceCurrency')} stroke="#1D4ED8" strokeWidth={2} dot={false} />
+              <Line yAxisId="uvr" type="monotone" dataKey="Saldo en UVR" name={t('chart.balanceUVR')} stroke="#F59E0B" strokeWidth={2} dot={false} />
+            </LineChart>
           </ResponsiveContainer>
         </div>
       )}
 
       {/* Amortization Table */}
       {amortizationSchedule.length > 0 && (
-        <div className="bg-white p-6 md:p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto border border-gray-100">
-          <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">Tabla de Amortización Detallada</h2>
-          <div className="overflow-x-auto overflow-y-auto max-h-[500px] relative rounded-lg border border-gray-200">
-            <table className="min-w-full divide-y divide-gray-100">
-              <thead className="bg-blue-700 text-white sticky top-0 z-10 shadow-sm">
-                <tr>
-                  <th scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider rounded-tl-lg">Mes</th>
-                  <th scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider">Cuota Mensual</th>
-                  <th scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider">Intereses</th>
-                  <th scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider">Capital</th>
-                  <th scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider rounded-tr-lg">Saldo Restante</th>
-                </tr>
-              </thead>
-              <tbody className="bg-white divide-y divide-gray-100">
-                {amortizationSchedule.map((row, index) => (
-                  <tr key={row.month} className={`${index % 2 === 0 ? 'bg-white' : 'bg-gray-50'} ${row.extraPaymentApplied ? 'bg-yellow-50 font-semibold border-l-4 border-yellow-500' : ''} hover:bg-blue-50 transition-colors duration-150`}>
-                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
-                      {row.month}
-                      {row.extraPaymentApplied && (
-                        <span className="ml-2 px-2 py-0.5 text-xs font-bold text-yellow-800 bg-yellow-200 rounded-full">
-                          Abono {formatCurrency(row.extraPaymentApplied)}
-                        </span>
-                      )}
-                    </td>
-                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-800">{formatCurrency(row.monthlyPayment)}</td>
-                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-800">{formatCurrency(row.interestPayment)}</td>
-                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-800">{formatCurrency(row.principalPayment)}</td>
-                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-800 font-semibold">{formatCurrency(row.remainingBalance)}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-        </div>
+        <AmortizationTable
+          schedule={amortizationSchedule}
+          periodsPerYear={PAYMENT_FREQUENCIES[paymentFrequency].periodsPerYear}
+          hasCosts={hasCosts}
+          hasUVRColumns={hasUVRColumns}
+          rateLabel={rateLabel}
+          installmentColumnLabel={installmentColumnLabel}
+          periodLabel={periodLabel}
+          periodsLabel={periodsLabel}
+          formatCurrency={formatCurrency}
+          formatDate={formatDate}
+          formatRate={formatRate}
+          formatUVR={formatUVR}
+          t={t}
+        />
       )}
     </div>
   );
@@ -0,0 +1,37 @@
+import React, { useEffect, useState } from 'react';
+
+// Whole amounts are shown without decimals.
+const formatAmount = ({ decimals, formatNumber }, number) => formatNumber(number, Number.isInteger(number) ? 0 : decimals);
+
+// Amount input that shows the group separators of the chosen locale while keeping
+// a numeric value. `numberFormat` comes from createNumberFormat.
+function CurrencyInput({ id, value, onChange, numberFormat }) {
+  const { currencySymbol, decimals, parseNumber } = numberFormat;
+  const [display, setDisplay] = useState(formatAmount(numberFormat, value || 0));
+
+  // Follow values set from outside, e.g. when a saved scenario is loaded or the
+  // number format changes.
+  useEffect(() => {
+    setDisplay(current => ((numberFormat.parseNumber(current) || 0) === (value || 0) ? current : formatAmount(numberFormat, value || 0)));
+  }, [value, numberFormat]);
+
+  return (
+    <div className="relative">
+      <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-600 font-bold">{currencySymbol}</span>
+      <input
+        type="text"
+        id={id}
+        className="w-full pl-8 pr-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800 text-right"
+        value={display}
+        onChange={(e) => {
+          setDisplay(e.target.value);
+          onChange(parseNumber(e.target.value) || 0);
+        }}
+        onBlur={() => setDisplay(formatAmount(numberFormat, value || 0))}
+        inputMode={decimals > 0 ? 'decimal' : 'numeric'}
+      />
+    </div>
+  );
+}
+
+export default CurrencyInput;
@@ -0,0 +1,321 @@
+import React, { useMemo, useState } from 'react';
+import { formatISODate, getDueDates, parseDate } from './calendar';
+import { PORTFOLIO_STRATEGIES, PORTFOLIO_SYSTEMS, comparePortfolioStrategies } from './portfolio';
+import { useDebouncedValue } from './useDebouncedValue';
+import CurrencyInput from './CurrencyInput';
+
+const inputClassName = 'w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800';
+const iconButtonClassName = 'px-2 py-1 text-sm font-semibold text-blue-700 bg-white border border-blue-300 rounded-lg hover:bg-blue-50 transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Each strategy simulates the whole portfolio month by month, so it waits for typing to pause.
+const CALCULATION_DELAY = 250;
+
+// Several debts paid together with a monthly budget for extra payments, comparing
+// the snowball, avalanche and custom strategies. `currentLoan` is the loan in the
+// simulator, which can be added to the portfolio.
+function DebtPortfolio({ currentLoan, numberFormat, formatCurrency, formatRate, formatDate, t }) {
+  const [loans, setLoans] = useState([]);
+  const [monthlyBudget, setMonthlyBudget] = useState(0);
+  const [strategy, setStrategy] = useState('avalanche');
+  const [firstPaymentDate, setFirstPaymentDate] = useState('');
+
+  const portfolioInputs = useMemo(() => ({ loans, monthlyBudget }), [loans, monthlyBudget]);
+  const calculatedInputs = useDebouncedValue(portfolioInputs, CALCULATION_DELAY);
+  const results = useMemo(
+    () => (calculatedInputs.loans.length > 0 ? comparePortfolioStrategies(calculatedInputs.loans, calculatedInputs.monthlyBudget) : null),
+    [calculatedInputs]
+  );
+  const selected = results?.[strategy] || null;
+
+  // Months are counted from the first payment of the plan; with its date they are shown as due dates.
+  const dueDates = useMemo(() => {
+    const start = parseDate(firstPaymentDate);
+    return start && selected ? getDueDates(firstPaymentDate, start.getUTCDate(), selected.baselinePayoffMonth) : null;
+  }, [firstPaymentDate, selected]);
+  const describeMonth = (month) => (dueDates
+    ? formatDate(formatISODate(dueDates[month - 1]))
+    : `${t('period.month')} ${month}`);
+  const getLoanName = (id) => loans.find(loan => loan.id === id)?.name || t('portfolio.unnamed');
+
+  const handleAddLoan = (loan = {}) => {
+    setLoans(prev => [...prev, {
+      id: Date.now(),
+      name: t('portfolio.defaultName', { number: prev.length + 1 }),
+      loanAmount: 0,
+      annualInterestRate: '',
+      loanTerm: '',
+      amortizationSystem: 'french',
+      ...loan,
+    }]);
+  };
+
+  const handleAddCurrentLoan = () => {
+    handleAddLoan({
+      name: t('portfolio.simulatedLoan'),
+      loanAmount: parseFloat(currentLoan.loanAmount) || 0,
+      annualInterestRate: String(Math.round(currentLoan.annualInterestRate * 100) / 100),
+      loanTerm: String(currentLoan.loanTerm),
+      amortizationSystem: PORTFOLIO_SYSTEMS.includes(currentLoan.amortizationSystem) ? currentLoan.amortizationSystem : 'french',
+    });
+  };
+
+  const handleChangeLoan = (id, field, value) => {
+    setLoans(prev => prev.map(loan => (loan.id === id ? { ...loan, [field]: value } : loan)));
+  };
+
+  const handleMoveLoan = (index, offset) => {
+    setLoans(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const handleRemoveLoan = (id) => {
+    setLoans(prev => prev.filter(loan => loan.id !== id));
+  };
+
+  const bestStrategy = results && PORTFOLIO_STRATEGIES
+    .filter(value => results[value])
+    .reduce((best, value) => (best === null || results[value].totalInterest < results[best].totalInterest - 0.5 ? value : best), null);
+
+  return (
+    <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto mb-10 border border-gray-100">
+      <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-2">{t('portfolio.title')}</h2>
+      <p className="text-center text-sm text-gray-500 mb-6">{t('portfolio.subtitle')}</p>
+
+      {loans.length > 0 && (
+        <ul className="space-y-3 mb-4">
+          {loans.map((loan, index) => (
+            <li key={loan.id} className="grid grid-cols-2 md:grid-cols-12 gap-3 items-end bg-blue-50 p-3 rounded-xl border border-blue-100">
+              <div className="col-span-2 md:col-span-3">
+                <label htmlFor={`portfolioName-${loan.id}`} className="block text-xs text-gray-600 font-semibold mb-1">{t('portfolio.name')}</label>
+                <input
+                  type="text"
+                  id={`portfolioName-${loan.id}`}
+                  className={inputClassName}
+                  value={loan.name}
+                  onChange={(e) => handleChangeLoan(loan.id, 'name', e.target.value)}
+                />
+              </div>
+              <div className="col-span-2 md:col-span-3">
+                <label htmlFor={`portfolioAmount-${loan.id}`} className="block text-xs text-gray-600 font-semibold mb-1">{t('portfolio.balance')}</label>
+                <CurrencyInput
+                  id={`portfolioAmount-${loan.id}`}
+                  value={loan.loanAmount}
+                  onChange={(value) => handleChangeLoan(loan.id, 'loanAmount', value)}
+                  numberFormat={numberFormat}
+                />
+              </div>
+              <div className="md:col-span-1">
+                <label htmlFor={`portfolioRate-${loan.id}`} className="block text-xs text-gray-600 font-semibold mb-1">{t('portfolio.rate')}</label>
+                <input
+                  type="number"
+                  id={`portfolioRate-${loan.id}`}
+                  min="0"
+                  step="0.01"
+                  className={inputClassName}
+                  value={loan.annualInterestRate}
+                  onChange={(e) => handleChangeLoan(loan.id, 'annualInterestRate', e.target.value)}
+                />
+              </div>
+              <div className="md:col-span-1">
+                <label htmlFor={`portfolioTerm-${loan.id}`} className="block text-xs text-gray-600 font-semibold mb-1">{t('portfolio.term')}</label>
+                <input
+                  type="number"
+                  id={`portfolioTerm-${loan.id}`}
+                  min="1"
+                  step="1"
+                  className={inputClassName}
+                  value={loan.loanTerm}
+                  onChange={(e) => handleChangeLoan(loan.id, 'loanTerm', e.target.value)}
+                />
+              </div>
+              <div className="col-span-2 md:col-span-2">
+                <label htmlFor={`portfolioSystem-${loan.id}`} className="block text-xs text-gray-600 font-semibold mb-1">{t('portfolio.system')}</label>
+                <select
+                  id={`portfolioSystem-${loan.id}`}
+                  className={inputClassName}
+                  value={loan.amortizationSystem}
+                  onChange={(e) => handleChangeLoan(loan.id, 'amortizationSystem', e.target.value)}
+                >
+                  {PORTFOLIO_SYSTEMS.map(value => (
+                    <option key={value} value={value}>{t(`amortizationSystem.${value}`)}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-span-2 md:col-span-2 flex gap-1 justify-end">
+                <button type="button" onClick={() => handleMoveLoan(index, -1)} disabled={index === 0} className={iconButtonClassName} aria-label={t('portfolio.moveUp', { name: loan.name })}>↑</button>
+                <button type="button" onClick={() => handleMoveLoan(index, 1)} disabled={index === loans.length - 1} className={iconButtonClassName} aria-label={t('portfolio.moveDown', { name: loan.name })}>↓</button>
+                <button
+                  type="button"
+                  onClick={() => handleRemoveLoan(loan.id)}
+                  className="px-2 py-1 text-red-500 hover:text-red-700 transition-colors duration-200"
+                  aria-label={t('portfolio.remove', { name: loan.name })}
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                    <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 11-2 0v6a1 1 0 112 0V8z" clipRule="evenodd" />
+                  </svg>
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-wrap gap-3 mb-6">
+        <button
+          type="button"
+          onClick={() => handleAddLoan()}
+          className="px-4 py-2 bg-blue-600 text-white font-bold rounded-xl shadow-md hover:bg-blue-700 transition-colors duration-200"
+        >
+          {t('portfolio.add')}
+        </button>
+        <button
+          type="button"
+          onClick={handleAddCurrentLoan}
+          disabled={!(parseFloat(currentLoan.loanAmount) > 0) || !(currentLoan.loanTerm > 0)}
+          className="px-4 py-2 text-sm font-semibold text-blue-700 bg-white border border-blue-300 rounded-xl hover:bg-blue-50 transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed"
+        >
+          {t('portfolio.addCurrent')}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div>
+          <label htmlFor="portfolioBudget" className="block text-gray-600 text-sm font-semibold mb-2">{t('portfolio.budget')}</label>
+          <CurrencyInput id="portfolioBudget" value={monthlyBudget} onChange={setMonthlyBudget} numberFormat={numberFormat} />
+        </div>
+        <div>
+          <label htmlFor="portfolioFirstPaymentDate" className="block text-gray-600 text-sm font-semibold mb-2">{t('portfolio.firstPaymentDate')}</label>
+          <input
+            type="date"
+            id="portfolioFirstPaymentDate"
+            className={inputClassName}
+            value={firstPaymentDate}
+            onChange={(e) => setFirstPaymentDate(e.target.value)}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-6">{t('portfolio.rolloverHint')}</p>
+
+      {selected === null ? (
+        <p className="text-center text-gray-500 text-sm">
+          {loans.length === 0 ? t('portfolio.empty') : t('portfolio.invalid')}
+        </p>
+      ) : (
+        <>
+          <div className="overflow-x-auto rounded-lg border border-gray-200 mb-6">
+            <table className="min-w-full divide-y divide-gray-100 text-sm">
+              <thead className="bg-blue-700 text-white">
+                <tr>
+                  {[t('portfolio.column.strategy'), t('portfolio.column.totalInterest'), t('portfolio.column.interestSaved'), t('portfolio.column.debtFree')].map(label => (
+                    <th key={label} scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                <tr className="text-gray-600">
+                  <td className="px-4 py-2 whitespace-nowrap">{t('portfolio.strategy.minimum')}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">{formatCurrency(selected.baselineInterest)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">-</td>
+                  <td className="px-4 py-2 whitespace-nowrap">{describeMonth(selected.baselinePayoffMonth)}</td>
+                </tr>
+                {PORTFOLIO_STRATEGIES.map(value => (
+                  <tr key={value} className={value === strategy ? 'bg-blue-50 font-semibold' : ''}>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">
+                      {t(`portfolio.strategy.${value}`)}
+                      {value === bestStrategy && <span className="ml-2 text-xs text-green-700">{t('portfolio.lowestInterest')}</span>}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(results[value].totalInterest)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-green-700">{formatCurrency(results[value].baselineInterest - results[value].totalInterest)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{describeMonth(results[value].payoffMonth)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex rounded-xl overflow-hidden border border-blue-300 bg-white mb-2" role="group" aria-label={t('portfolio.strategyGroup')}>
+            {PORTFOLIO_STRATEGIES.map(value => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setStrategy(value)}
+                className={`flex-1 py-2 text-sm font-semibold transition-colors duration-200 ${strategy === value ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-blue-50'}`}
+                aria-pressed={strategy === value}
+              >
+                {t(`portfolio.strategy.${value}`)}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mb-4">{t(`portfolio.strategyHint.${strategy}`)}</p>
+
+          <div className="overflow-x-auto rounded-lg border border-gray-200 mb-6">
+            <table className="min-w-full divide-y divide-gray-100 text-sm">
+              <thead className="bg-blue-700 text-white">
+                <tr>
+                  {[t('portfolio.column.loan'), t('portfolio.column.rate'), t('portfolio.column.withoutPlan'), t('portfolio.column.payoff'), t('portfolio.column.extraPayments'), t('portfolio.column.interest')].map(label => (
+                    <th key={label} scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                {[...selected.loans].sort((a, b) => a.payoffMonth - b.payoffMonth).map(loan => (
+                  <tr key={loan.id}>
+                    <td className="px-4 py-2 whitespace-nowrap font-semibold text-gray-800">{getLoanName(loan.id)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">{formatRate(calculatedInputs.loans.find(item => item.id === loan.id)?.annualInterestRate)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">{describeMonth(loan.baselinePayoffMonth)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap font-semibold text-blue-700">{describeMonth(loan.payoffMonth)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(loan.totalExtraPayments)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(loan.totalInterest)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 className="text-lg font-semibold text-gray-700 mb-3">{t('portfolio.combinedSchedule')}</h3>
+          <div className="overflow-x-auto overflow-y-auto max-h-[500px] relative rounded-lg border border-gray-200">
+            <table className="min-w-full divide-y divide-gray-100 text-sm">
+              <thead className="bg-blue-700 text-white sticky top-0 z-10 shadow-sm">
+                <tr>
+                  {[
+                    dueDates ? t('table.date') : t('period.month'),
+                    t('portfolio.column.installments'),
+                    t('portfolio.column.extraPayments'),
+                    t('table.interest'),
+                    t('table.principal'),
+                    t('portfolio.column.totalBalance'),
+                    ...selected.loans.map(loan => getLoanName(loan.id)),
+                  ].map((label, index) => (
+                    <th key={index} scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                {selected.schedule.map(row => (
+                  <tr key={row.month}>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{describeMonth(row.month)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(row.payment)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-yellow-700">{row.extraPayment > 0 ? formatCurrency(row.extraPayment) : '-'}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(row.interest)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(row.principal)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap font-semibold text-gray-800">{formatCurrency(row.balance)}</td>
+                    {selected.loans.map(loan => (
+                      <td key={loan.id} className="px-4 py-2 whitespace-nowrap text-gray-600">
+                        {row.balances[loan.id] > 0.01 ? formatCurrency(row.balances[loan.id]) : '-'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DebtPortfolio;
@@ -0,0 +1,280 @@
+import React, { useState } from 'react';
+import { EXTRA_PAYMENT_MODES } from './amortization';
+import { getMonthForDate, parseDate } from './calendar';
+import { getExtraPaymentMonth, parseExtraPaymentsCSV } from './extraPayments';
+import CurrencyInput from './CurrencyInput';
+
+const inputClassName = 'w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800';
+const secondaryButtonClassName = 'px-3 py-1 text-sm font-semibold text-blue-700 bg-white border border-blue-300 rounded-lg hover:bg-blue-50 transition-colors duration-200 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// The extra payments added so far, by month: each can be edited in place, changes
+// can be undone and redone, and more can be imported from text or a CSV file.
+// `warnings` come from checkExtraPayments.
+function ExtraPaymentList({
+  extraPayments,
+  setExtraPayments,
+  history,
+  extraPaymentTotals,
+  warnings,
+  describeExtraPayment,
+  loanCalendar,
+  maxMonth,
+  numberFormat,
+  formatCurrency,
+  periodLabel,
+  periodsLabel,
+  t,
+}) {
+  const [editing, setEditing] = useState(null);
+  const [importText, setImportText] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const sortedExtraPayments = [...extraPayments].sort((a, b) => getExtraPaymentMonth(a) - getExtraPaymentMonth(b));
+  const periodParams = { period: periodLabel.toLowerCase(), periods: periodsLabel };
+
+  // Month of a payment scheduled on `date`, or null if the date is before the
+  // disbursement or beyond the calendar.
+  const getMonthOnDate = (date) => {
+    const month = getMonthForDate(loanCalendar.dueDates, date);
+    return month !== null && parseDate(date) >= loanCalendar.dueDates[0] ? month : null;
+  };
+
+  const startEditing = (ep) => {
+    const date = ep.type === 'recurring' ? ep.startDate : ep.date;
+    setEditing({ id: ep.id, amount: ep.amount, month: String(getExtraPaymentMonth(ep)), date: loanCalendar && date ? date : null });
+    setError('');
+    setNotice('');
+  };
+
+  const handleSaveEdit = (ep) => {
+    const month = editing.date !== null ? getMonthOnDate(editing.date) : parseInt(editing.month);
+    if (!(editing.amount > 0)) {
+      setError(t('extra.error.amount'));
+      return;
+    }
+    if (editing.date !== null && month === null) {
+      setError(t('extra.error.date'));
+      return;
+    }
+    if (isNaN(month) || month <= 0 || month > maxMonth) {
+      setError(t('extra.error.month', { ...periodParams, max: maxMonth }));
+      return;
+    }
+    if (ep.type === 'recurring' && ep.endMonth && ep.endMonth < month) {
+      setError(t('extra.error.endMonth', periodParams));
+      return;
+    }
+    const [monthKey, dateKey] = ep.type === 'recurring' ? ['startMonth', 'startDate'] : ['month', 'date'];
+    const edited = { ...ep, amount: editing.amount, [monthKey]: month };
+    if (editing.date !== null) {
+      edited[dateKey] = editing.date;
+    } else {
+      delete edited[dateKey];
+    }
+    setExtraPayments(prev => prev.map(item => (item.id === ep.id ? edited : item)));
+    setEditing(null);
+    setError('');
+  };
+
+  const handleChangeMode = (id, mode) => {
+    setExtraPayments(prev => prev.map(ep => (ep.id === id ? { ...ep, mode } : ep)));
+  };
+
+  const handleRemove = (id) => {
+    setExtraPayments(prev => prev.filter(ep => ep.id !== id));
+    if (editing?.id === id) setEditing(null);
+    setNotice('');
+  };
+
+  // Payments dated before the disbursement or outside the loan are skipped along
+  // with unreadable lines; dates need the disbursement date to find their month.
+  const importExtraPayments = (text) => {
+    const { extraPayments: parsed, skippedLines } = parseExtraPaymentsCSV(text, numberFormat.parseNumber);
+    const idBase = Date.now();
+    const imported = parsed
+      .map((ep) => {
+        if (!ep.date) return ep;
+        return loanCalendar ? { ...ep, month: getMonthOnDate(ep.date) } : null;
+      })
+      .filter(ep => ep !== null && ep.month !== null && ep.month <= maxMonth)
+      .map((ep, index) => ({ id: idBase + index, ...ep }));
+    const skipped = skippedLines + parsed.length - imported.length;
+    if (imported.length === 0) {
+      setError(t('extra.import.none', periodParams));
+      setNotice('');
+      return;
+    }
+    setExtraPayments(prev => [...prev, ...imported]);
+    setImportText('');
+    setError('');
+    setNotice(skipped > 0
+      ? t('extra.import.doneSkipping', { count: imported.length, skipped })
+      : t('extra.import.done', { count: imported.length }));
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (file) importExtraPayments(await file.text());
+    e.target.value = '';
+  };
+
+  const renderWarning = (ep) => {
+    const warning = warnings[ep.id];
+    if (!warning) return null;
+    return (
+      <span className="block text-xs text-amber-700">
+        {warning.type === 'afterPayoff'
+          ? t('extra.warning.afterPayoff', periodParams)
+          : t('extra.warning.exceedsBalance', { ...periodParams, balance: formatCurrency(warning.balance) })}
+      </span>
+    );
+  };
+
+  return (
+    <div className="mt-6 border-t border-blue-200 pt-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-700">{t('extra.list')}</h3>
+        <div className="flex gap-2">
+          <button type="button" onClick={() => { history.undo(); setEditing(null); }} disabled={!history.canUndo} className={secondaryButtonClassName}>
+            {t('extra.undo')}
+          </button>
+          <button type="button" onClick={() => { history.redo(); setEditing(null); }} disabled={!history.canRedo} className={secondaryButtonClassName}>
+            {t('extra.redo')}
+          </button>
+        </div>
+      </div>
+
+      {sortedExtraPayments.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">{t('extra.empty')}</p>
+      ) : (
+        <ul className="space-y-3 mb-4">
+          {sortedExtraPayments.map((ep) => (editing?.id === ep.id ? (
+            <li key={ep.id} className="bg-white p-3 rounded-lg shadow-sm border border-blue-300">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 items-end">
+                <div>
+                  <label htmlFor={`editExtraPaymentAmount-${ep.id}`} className="block text-xs text-gray-600 font-semibold mb-1">
+                    {ep.type === 'recurring' ? t('extra.edit.amountEach') : t('extra.edit.amount')}
+                  </label>
+                  <CurrencyInput
+                    id={`editExtraPaymentAmount-${ep.id}`}
+                    value={editing.amount}
+                    onChange={(amount) => setEditing(prev => ({ ...prev, amount }))}
+                    numberFormat={numberFormat}
+                  />
+                </div>
+                {editing.date !== null ? (
+                  <div>
+                    <label htmlFor={`editExtraPaymentDate-${ep.id}`} className="block text-xs text-gray-600 font-semibold mb-1">
+                      {ep.type === 'recurring' ? t('extra.edit.startDate') : t('extra.edit.date')}
+                    </label>
+                    <input
+                      type="date"
+                      id={`editExtraPaymentDate-${ep.id}`}
+                      className={inputClassName}
+                      value={editing.date}
+                      onChange={(e) => setEditing(prev => ({ ...prev, date: e.target.value }))}
+                    />
+                  </div>
+                ) : (
+                  <div>
+                    <label htmlFor={`editExtraPaymentMonth-${ep.id}`} className="block text-xs text-gray-600 font-semibold mb-1">
+                      {ep.type === 'recurring' ? t('extra.edit.startPeriod', { period: periodLabel }) : t('extra.edit.period', { period: periodLabel })}
+                    </label>
+                    <input
+                      type="number"
+                      id={`editExtraPaymentMonth-${ep.id}`}
+                      min="1"
+                      max={maxMonth}
+                      className={inputClassName}
+                      value={editing.month}
+                      onChange={(e) => setEditing(prev => ({ ...prev, month: e.target.value }))}
+                      onKeyDown={(e) => e.key === 'Enter' && handleSaveEdit(ep)}
+                    />
+                  </div>
+                )}
+              </div>
+              <div className="flex justify-end gap-2 mt-3">
+                <button type="button" onClick={() => { setEditing(null); setError(''); }} className={secondaryButtonClassName}>
+                  {t('extra.edit.cancel')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleSaveEdit(ep)}
+                  className="px-3 py-1 text-sm font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors duration-200"
+                >
+                  {t('extra.edit.save')}
+                </button>
+              </div>
+            </li>
+          ) : (
+            <li key={ep.id} className={`flex items-center justify-between bg-white p-3 rounded-lg shadow-sm border ${warnings[ep.id] ? 'border-amber-300' : 'border-blue-100'}`}>
+              <span className="text-gray-800 text-sm md:text-base">
+                {describeExtraPayment(ep)}
+                {ep.type === 'recurring' && (
+                  <span className="block text-xs text-gray-500">
+                    {t('extra.applied', { count: extraPaymentTotals[ep.id]?.count || 0, total: formatCurrency(extraPaymentTotals[ep.id]?.total || 0) })}
+                  </span>
+                )}
+                {renderWarning(ep)}
+              </span>
+              <select
+                className="ml-auto mr-3 px-2 py-1 border border-blue-200 rounded-lg bg-white text-xs md:text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                value={ep.mode || 'reduceTerm'}
+                onChange={(e) => handleChangeMode(ep.id, e.target.value)}
+                aria-label={t('extra.modeOf', { description: describeExtraPayment(ep) })}
+              >
+                {EXTRA_PAYMENT_MODES.map(mode => (
+                  <option key={mode} value={mode}>{t(`extraPaymentMode.${mode}`)}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => startEditing(ep)}
+                className="mr-3 text-blue-600 hover:text-blue-800 transition-colors duration-200"
+                aria-label={t('extra.edit.of', { description: describeExtraPayment(ep) })}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z" />
+                </svg>
+              </button>
+              <button
+                onClick={() => handleRemove(ep.id)}
+                className="text-red-500 hover:text-red-700 transition-colors duration-200"
+                aria-label={t('extra.remove', { description: describeExtraPayment(ep) })}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 11-2 0v6a1 1 0 112 0V8z" clipRule="evenodd" />
+                </svg>
+              </button>
+            </li>
+          )))}
+        </ul>
+      )}
+
+      <details className="text-sm">
+        <summary className="cursor-pointer text-gray-600 font-semibold">{t('extra.import.title')}</summary>
+        <div className="mt-3 space-y-3">
+          <p className="text-xs text-gray-500">{t('extra.import.hint', periodParams)}</p>
+          <input type="file" accept=".csv,.txt,text/csv" onChange={handleFileChange} className="block text-sm text-gray-600" />
+          <label htmlFor="extraPaymentsText" className="block text-gray-600">{t('extra.import.paste')}</label>
+          <textarea
+            id="extraPaymentsText"
+            rows={4}
+            className={`${inputClassName} font-mono text-xs`}
+            placeholder={`12;${numberFormat.formatNumber(5000000, 0)}\n24;${numberFormat.formatNumber(5000000, 0)};${t('extra.import.installmentKeyword')}`}
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+          />
+          <button type="button" onClick={() => importExtraPayments(importText)} className={secondaryButtonClassName}>
+            {t('extra.import.button')}
+          </button>
+        </div>
+      </details>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      {notice && <p className="mt-3 text-sm text-green-700">{notice}</p>}
+    </div>
+  );
+}
+
+export default ExtraPaymentList;
@@ -0,0 +1,236 @@
+import React, { useMemo, useState } from 'react';
+import { DEFAULT_UVT_VALUE, HOUSING_INTEREST_CAP_UVT, buildInterestCertificate } from './interestDeduction';
+import CurrencyInput from './CurrencyInput';
+
+const inputClassName = 'w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800';
+
+// Interest paid per calendar year and the part of it that can be deducted from
+// income tax, as a simulated certificate on screen and as a one-page PDF.
+// `pdfHeader` holds the entity and customer names typed for the PDF report.
+function InterestCertificate({ schedule, paymentFrequency, loanAmount, pdfHeader, numberFormat, formatCurrency, formatDate, locale, t }) {
+  const [firstPaymentDate, setFirstPaymentDate] = useState('');
+  const [uvtValue, setUvtValue] = useState(DEFAULT_UVT_VALUE);
+  const [capUVT, setCapUVT] = useState(HOUSING_INTEREST_CAP_UVT);
+  const [pdfFailed, setPdfFailed] = useState(false);
+
+  const hasDueDates = schedule.length > 0 && schedule[0].dueDate !== null;
+  const certificate = useMemo(
+    () => (schedule.length > 0 ? buildInterestCertificate(schedule, { firstPaymentDate, paymentFrequency, uvtValue, capUVT }) : null),
+    [schedule, firstPaymentDate, paymentFrequency, uvtValue, capUVT]
+  );
+  const capDescription = t('certificate.capDescription', {
+    uvt: numberFormat.formatNumber(parseFloat(capUVT) || 0, 0),
+    uvtValue: formatCurrency(uvtValue),
+    cap: formatCurrency(certificate?.cap || 0),
+  });
+  const columns = [
+    t('certificate.column.year'),
+    t('certificate.column.installments'),
+    t('certificate.column.interest'),
+    t('certificate.column.principal'),
+    t('certificate.column.extraPayments'),
+    t('certificate.column.closingBalance'),
+    t('certificate.column.deductible'),
+  ];
+
+  const writePDF = async () => {
+    const [{ jsPDF }, { applyPlugin }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+    applyPlugin(jsPDF);
+    const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+    const pageW = doc.internal.pageSize.getWidth();
+    const pageH = doc.internal.pageSize.getHeight();
+    const margin = 18;
+    const entity = pdfHeader.entity.trim() || t('app.title');
+
+    doc.setFillColor(29, 78, 216);
+    doc.rect(0, 0, pageW, 28, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.text(entity, pageW / 2, 12, { align: 'center' });
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.text(t('certificate.title'), pageW / 2, 21, { align: 'center' });
+
+    let y = 40;
+    doc.setTextColor(30, 41, 59);
+    doc.setFontSize(9.5);
+    const today = new Date().toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+    const intro = t(pdfHeader.customer.trim() ? 'certificate.pdfIntroCustomer' : 'certificate.pdfIntro', {
+      customer: pdfHeader.customer.trim(),
+      amount: formatCurrency(loanAmount),
+      date: today,
+    });
+    const introLines = doc.splitTextToSize(intro, pageW - margin * 2);
+    doc.text(introLines, margin, y);
+    y += introLines.length * 5 + 2;
+    doc.text(capDescription, margin, y);
+    y += 6;
+
+    doc.autoTable({
+      startY: y,
+      head: [columns],
+      body: certificate.years.map(year => [
+        year.year,
+        year.installments,
+        formatCurrency(year.interest),
+        formatCurrency(year.principal),
+        year.extraPayment > 0 ? formatCurrency(year.extraPayment) : '-',
+        formatCurrency(year.closingBalance),
+        formatCurrency(year.deductible),
+      ]),
+      foot: [[
+        t('certificate.total'),
+        '',
+        formatCurrency(certificate.totals.interest),
+        formatCurrency(certificate.totals.principal),
+        formatCurrency(certificate.totals.extraPayment),
+        '',
+        formatCurrency(certificate.totals.deductible),
+      ]],
+      styles: { fontSize: 8, cellPadding: 2.5, halign: 'right' },
+      headStyles: { fillColor: [29, 78, 216], textColor: 255, fontStyle: 'bold', halign: 'center' },
+      footStyles: { fillColor: [239, 246, 255], textColor: [30, 41, 59], fontStyle: 'bold' },
+      columnStyles: { 0: { halign: 'center' }, 1: { halign: 'center' } },
+      alternateRowStyles: { fillColor: [239, 246, 255] },
+      margin: { left: margin, right: margin },
+    });
+
+    doc.setFontSize(7.5);
+    doc.setTextColor(100, 116, 139);
+    const disclaimer = doc.splitTextToSize(t('certificate.disclaimer'), pageW - margin * 2);
+    doc.text(disclaimer, margin, Math.min(doc.lastAutoTable.finalY + 8, pageH - 20));
+    doc.setTextColor(148, 163, 184);
+    doc.text(entity, margin, pageH - 8);
+
+    doc.save(t('certificate.fileName') + '.pdf');
+  };
+
+  const generatePDF = async () => {
+    setPdfFailed(false);
+    try {
+      await writePDF();
+    } catch {
+      setPdfFailed(true);
+    }
+  };
+
+  return (
+    <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto mb-10 border border-gray-100">
+      <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-2">{t('certificate.title')}</h2>
+      <p className="text-center text-sm text-gray-500 mb-6">{t('certificate.subtitle')}</p>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+        {!hasDueDates && (
+          <div>
+            <label htmlFor="certificateFirstPaymentDate" className="block text-gray-600 text-sm font-semibold mb-2">
+              {t('certificate.firstPaymentDate')}
+            </label>
+            <input
+              type="date"
+              id="certificateFirstPaymentDate"
+              className={inputClassName}
+              value={firstPaymentDate}
+              onChange={(e) => setFirstPaymentDate(e.target.value)}
+            />
+          </div>
+        )}
+        <div>
+          <label htmlFor="certificateUvtValue" className="block text-gray-600 text-sm font-semibold mb-2">
+            {t('certificate.uvtValue')}
+          </label>
+          <CurrencyInput id="certificateUvtValue" value={uvtValue} onChange={setUvtValue} numberFormat={numberFormat} />
+        </div>
+        <div>
+          <label htmlFor="certificateCapUVT" className="block text-gray-600 text-sm font-semibold mb-2">
+            {t('certificate.capUVT')}
+          </label>
+          <input
+            type="number"
+            id="certificateCapUVT"
+            className={inputClassName}
+            value={capUVT}
+            onChange={(e) => setCapUVT(e.target.value)}
+            min="0"
+            step="1"
+          />
+        </div>
+      </div>
+
+      {certificate === null ? (
+        <p className="text-center text-gray-500 text-sm">
+          {schedule.length === 0 ? t('certificate.empty') : t('certificate.needsDate')}
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center mb-4">
+            <div className="bg-green-600 p-3 rounded-lg text-white shadow-md">
+              <p className="text-sm opacity-80 mb-1">{t('certificate.totalInterest')}</p>
+              <p className="font-bold">{formatCurrency(certificate.totals.interest)}</p>
+            </div>
+            <div className="bg-blue-700 p-3 rounded-lg text-white shadow-md">
+              <p className="text-sm opacity-80 mb-1">{t('certificate.totalDeductible')}</p>
+              <p className="font-bold">{formatCurrency(certificate.totals.deductible)}</p>
+            </div>
+            <div className="bg-gray-700 p-3 rounded-lg text-white shadow-md">
+              <p className="text-sm opacity-80 mb-1">{t('certificate.yearlyCap')}</p>
+              <p className="font-bold">{formatCurrency(certificate.cap)}</p>
+            </div>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            {capDescription}
+            {hasDueDates && ` ${t('certificate.datesFromCalendar', { date: formatDate(schedule[0].dueDate) })}`}
+          </p>
+
+          <div className="overflow-x-auto rounded-lg border border-gray-200 mb-4">
+            <table className="min-w-full divide-y divide-gray-100 text-sm">
+              <thead className="bg-blue-700 text-white">
+                <tr>
+                  {columns.map(label => (
+                    <th key={label} scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-100">
+                {certificate.years.map(year => (
+                  <tr key={year.year} className={year.interest > year.deductible + 0.5 ? 'bg-amber-50' : ''}>
+                    <td className="px-4 py-2 whitespace-nowrap font-semibold text-gray-800">{year.year}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">{year.installments}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(year.interest)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(year.principal)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{year.extraPayment > 0 ? formatCurrency(year.extraPayment) : '-'}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(year.closingBalance)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap font-semibold text-blue-700">{formatCurrency(year.deductible)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-blue-50 font-bold text-gray-800">
+                <tr>
+                  <td className="px-4 py-2">{t('certificate.total')}</td>
+                  <td />
+                  <td className="px-4 py-2 whitespace-nowrap">{formatCurrency(certificate.totals.interest)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">{formatCurrency(certificate.totals.principal)}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">{formatCurrency(certificate.totals.extraPayment)}</td>
+                  <td />
+                  <td className="px-4 py-2 whitespace-nowrap text-blue-700">{formatCurrency(certificate.totals.deductible)}</td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mb-4">{t('certificate.disclaimer')}</p>
+          {pdfFailed && <p className="mb-4 text-sm text-red-600 text-right">{t('pdf.error')}</p>}
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={generatePDF}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-5 rounded-lg shadow-md transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-300"
+            >
+              {t('certificate.download')}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default InterestCertificate;
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import CurrencyInput from './CurrencyInput';
+import { fromEffectiveAnnual } from './rates';
+import { SOLVE_FOR, getAffordableInstallment, solveLoan } from './solver';
+
+// Reverse mode of the simulator: finds the amount, term or rate that gives a
+// target installment, optionally capped at a share of the monthly income.
+function LoanSolver({ inputs, periodsPerYear, installment, installmentLabel, formatCurrency, numberFormat, t, onApply }) {
+  const [solveFor, setSolveFor] = useState('installment');
+  const [targetInstallment, setTargetInstallment] = useState(0);
+  const [monthlyIncome, setMonthlyIncome] = useState(0);
+  const [maxIncomePercentage, setMaxIncomePercentage] = useState(30);
+  const [result, setResult] = useState(null);
+
+  const affordableInstallment = getAffordableInstallment(monthlyIncome, maxIncomePercentage, periodsPerYear);
+  // Without a target the affordable installment is used; with both, the lower one.
+  const effectiveTarget = targetInstallment > 0
+    ? Math.min(targetInstallment, affordableInstallment ?? Infinity)
+    : affordableInstallment;
+
+  const handleSolve = () => {
+    setResult({ solveFor, ...solveLoan(inputs, solveFor, effectiveTarget) });
+  };
+
+  const describeResult = () => {
+    switch (result.solveFor) {
+      case 'loanAmount':
+        return t('solver.result.loanAmount', { amount: formatCurrency(result.value) });
+      case 'loanTerm':
+        return result.value >= 12
+          ? t('solver.result.loanTermYears', { months: result.value, years: numberFormat.formatNumber(result.value / 12, Number.isInteger(result.value / 12) ? 0 : 1) })
+          : t('solver.result.loanTerm', { months: result.value });
+      case 'rate': {
+        const rateType = inputs.rateType || 'EA';
+        const rate = fromEffectiveAnnual(result.value, rateType);
+        return rateType !== 'EA'
+          ? t('solver.result.rateWithCode', { rate: numberFormat.formatRate(result.value), codeRate: numberFormat.formatRate(rate), code: rateType })
+          : t('solver.result.rate', { rate: numberFormat.formatRate(result.value) });
+      }
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-white/70 rounded-2xl border border-blue-200">
+      <label htmlFor="solveFor" className="block text-gray-600 text-sm font-semibold mb-2">
+        {t('solver.solveFor')}
+      </label>
+      <select
+        id="solveFor"
+        className="w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+        value={solveFor}
+        onChange={(e) => {
+          setSolveFor(e.target.value);
+          setResult(null);
+        }}
+      >
+        {SOLVE_FOR.map(value => (
+          <option key={value} value={value}>{t(`solver.solveFor.${value}`)}</option>
+        ))}
+      </select>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4">
+        {solveFor !== 'installment' && (
+          <div className="sm:col-span-2">
+            <label htmlFor="targetInstallment" className="block text-gray-600 text-sm font-semibold mb-2">
+              {t('solver.target', { installment: installmentLabel })}
+            </label>
+            <CurrencyInput id="targetInstallment" value={targetInstallment} onChange={setTargetInstallment} numberFormat={numberFormat} />
+            <p className="mt-1 text-xs text-gray-500">
+              {solveFor === 'rate'
+                ? t('solver.targetHint.rate')
+                : t('solver.targetHint.income')}
+            </p>
+          </div>
+        )}
+        <div>
+          <label htmlFor="monthlyIncome" className="block text-gray-600 text-sm font-semibold mb-2">
+            {t('solver.monthlyIncome')}
+          </label>
+          <CurrencyInput id="monthlyIncome" value={monthlyIncome} onChange={setMonthlyIncome} numberFormat={numberFormat} />
+        </div>
+        <div>
+          <label htmlFor="maxIncomePercentage" className="block text-gray-600 text-sm font-semibold mb-2">
+            {t('solver.maxIncomePercentage')}
+          </label>
+          <input
+            type="number"
+            id="maxIncomePercentage"
+            className="w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+            value={maxIncomePercentage}
+            onChange={(e) => setMaxIncomePercentage(e.target.value)}
+            min="0"
+            max="100"
+            step="1"
+          />
+        </div>
+      </div>
+
+      {affordableInstallment !== null && (
+        <p className={`mt-3 text-sm font-semibold ${solveFor === 'installment' && installment > affordableInstallment ? 'text-red-600' : 'text-green-700'}`}>
+          {t('solver.affordable', { amount: formatCurrency(affordableInstallment) })}
+          {solveFor === 'installment' && ` ${installment > affordableInstallment
+            ? t('solver.affordableExceeded', { amount: formatCurrency(installment - affordableInstallment) })
+            : t('solver.affordableFits')}`}
+        </p>
+      )}
+
+      {solveFor !== 'installment' && (
+        <>
+          <button
+            type="button"
+            onClick={handleSolve}
+            className="mt-4 w-full px-6 py-2 bg-blue-600 text-white font-bold rounded-xl shadow-md hover:bg-blue-700 transition-colors duration-200"
+          >
+            {t('solver.solve')}
+          </button>
+          {result?.error && <p className="mt-3 text-sm text-red-600">{t(result.error, result.errorParams)}</p>}
+          {result && !result.error && (
+            <div className="mt-3 flex flex-wrap items-center justify-between gap-3 bg-green-50 border border-green-300 rounded-xl px-4 py-3">
+              <div>
+                <p className="font-bold text-green-800">{describeResult()}</p>
+                <p className="text-xs text-gray-600">{t('solver.resultingInstallment', { installment: installmentLabel, amount: formatCurrency(result.installment) })}</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => onApply(result.solveFor, result.value)}
+                className="px-4 py-2 text-sm font-semibold text-green-800 bg-white border border-green-400 rounded-lg hover:bg-green-100 transition-colors duration-200"
+              >
+                {t('solver.apply')}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default LoanSolver;
@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+import {
+  BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceArea, ReferenceLine, Brush
+} from 'recharts';
+import { aggregateByYear, buildBalanceSeries, buildCumulativeSeries } from './chartSeries';
+
+const VIEWS = ['payments', 'balance', 'cumulative', 'annual'];
+
+const tooltipStyle = {
+  contentStyle: { backgroundColor: '#ffffff', border: 'none', borderRadius: '14px', boxShadow: '0 18px 45px rgba(15, 23, 42, 0.12)' },
+  labelStyle: { color: '#0f172a', fontWeight: '600', fontSize: 13 },
+};
+
+// Marks the periods with an extra payment on a curve.
+const renderExtraPaymentDot = ({ key, cx, cy, payload }) => (
+  payload.extraPayment > 0 && cy !== null
+    ? <circle key={key} cx={cx} cy={cy} r={4} fill="#FFA500" stroke="#ffffff" strokeWidth={1.5} />
+    : <g key={key} />
+);
+
+// The schedule as stacked payments per period, the balance against the loan
+// without extra payments, cumulative interest and principal, or yearly totals.
+// Views by period have a brush to zoom into a range.
+function PaymentCharts({
+  schedule,
+  chartData,
+  baselineSchedule,
+  loanAmount,
+  periodsPerYear,
+  graceMonths,
+  showCapitalizedInterest,
+  formatCurrency,
+  formatRate,
+  periodLabel,
+  periodsLabel,
+  t,
+}) {
+  const [view, setView] = useState('payments');
+
+  const hasExtraPayments = schedule.some(row => row.extraPaymentApplied);
+  const hasDueDates = schedule.length > 0 && schedule[0].dueDate !== null;
+  const balanceSeries = useMemo(() => buildBalanceSeries(schedule, baselineSchedule, loanAmount), [schedule, baselineSchedule, loanAmount]);
+  const cumulativeSeries = useMemo(() => buildCumulativeSeries(schedule), [schedule]);
+  const annualSeries = useMemo(() => aggregateByYear(schedule, periodsPerYear), [schedule, periodsPerYear]);
+
+  const periodTooltipLabel = (month, payload) => {
+    const extraPayment = payload?.[0]?.payload.extraPayment;
+    return extraPayment > 0
+      ? `${periodLabel} ${month} · ${t('table.extraPayment', { amount: formatCurrency(extraPayment) })}`
+      : `${periodLabel} ${month}`;
+  };
+  const yearLabel = (year) => (hasDueDates ? String(year) : `${t('chart.year')} ${year}`);
+
+  const titles = {
+    payments: periodsPerYear === 12 ? t('chart.monthlyTitle') : t('chart.periodTitle'),
+    balance: t('chart.balanceTitle'),
+    cumulative: t('chart.cumulativeTitle'),
+    annual: t('chart.annualTitle'),
+  };
+  const brush = <Brush dataKey="month" height={24} stroke="#2563EB" travellerWidth={8} />;
+
+  return (
+    <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto mb-10 border border-gray-100">
+      <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">{titles[view]}</h2>
+      <div className="flex rounded-xl overflow-hidden border border-blue-300 bg-white mb-6" role="group" aria-label={t('chart.views')}>
+        {VIEWS.map(value => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setView(value)}
+            className={`flex-1 py-2 text-sm font-semibold transition-colors duration-200 ${view === value ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-blue-50'}`}
+            aria-pressed={view === value}
+          >
+            {t(`chart.view.${value}`)}
+          </button>
+        ))}
+      </div>
+
+      <ResponsiveContainer width="100%" aspect={2}>
+        {view === 'payments' ? (
+          <BarChart data={chartData} margin={{ top: 25, right: 10, left: 10, bottom: 10 }}>
+            <CartesianGrid stroke="rgba(148, 163, 184, 0.35)" strokeDasharray="2 6" vertical={false} />
+            <XAxis dataKey="month" label={{ value: periodLabel, position: 'insideBottomRight', offset: -5 }} />
+            <YAxis
+              tickFormatter={formatCurrency}
+              domain={[0, chartData.length > 0 ? Math.max(...chartData.map(item => (item['Pago a Capital (Regular)'] || 0) + (item['Pago de Interés'] || 0) + (item['Interés Capitalizado'] || 0) + (item['Abono Extraordinario'] || 0))) * 1.1 : 'auto']}
+              width={100}
+            />
+            <Tooltip formatter={(value, name) => [formatCurrency(value), name]} labelFormatter={(month) => `${periodLabel} ${month}`} {...tooltipStyle} />
+            <Legend />
+            {graceMonths > 0 && (
+              <ReferenceArea
+                x1={1}
+                x2={Math.min(graceMonths, chartData.length)}
+                fill="#EDE9FE"
+                fillOpacity={0.6}
+                label={{ value: t('chart.grace'), position: 'insideTop', fill: '#6D28D9', fontSize: 12 }}
+              />
+            )}
+            {schedule.filter(row => row.rateChanged).map(row => (
+              <ReferenceLine
+                key={row.month}
+                x={row.month}
+                stroke="#DC2626"
+                strokeDasharray="4 4"
+                label={{ value: `${t('rate.tea')} ${formatRate(row.annualRate)}`, position: 'top', fill: '#DC2626', fontSize: 11 }}
+              />
+            ))}
+            <Bar dataKey="Pago a Capital (Regular)" name={t('chart.principal')} stackId="a" fill="#4299E1" radius={[0, 0, 0, 0]} />
+            <Bar dataKey="Pago de Interés" name={t('chart.interest')} stackId="a" fill="#81C784" radius={[0, 0, 0, 0]} />
+            {showCapitalizedInterest && (
+              <Bar dataKey="Interés Capitalizado" name={t('chart.capitalizedInterest')} stackId="a" fill="#A78BFA" radius={[0, 0, 0, 0]} />
+            )}
+            <Bar dataKey="Abono Extraordinario" name={t('chart.extraPayment')} stackId="a" fill="#FFA500" radius={[4, 4, 0, 0]} />
+            {brush}
+          </BarChart>
+        ) : view === 'balance' ? (
+          <LineChart data={balanceSeries} margin={{ top: 25, right: 10, left: 10, bottom: 10 }}>
+            <CartesianGrid stroke="rgba(148, 163, 184, 0.35)" strokeDasharray="2 6" vertical={false} />
+            <XAxis dataKey="month" label={{ value: periodLabel, position: 'insideBottomRight', offset: -5 }} />
+            <YAxis tickFormatter={formatCurrency} width={110} />
+            <Tooltip formatter={(value, name) => [formatCurrency(value), name]} labelFormatter={periodTooltipLabel} {...tooltipStyle} />
+            <Legend />
+            {hasExtraPayments && (
+              <Line type="monotone" dataKey="baselineBalance" name={t('chart.withoutExtraPayments')} stroke="#94A3B8" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+            )}
+            <Line
+              type="monotone"
+              dataKey="balance"
+              name={hasExtraPayments ? t('chart.withExtraPayments') : t('chart.balance')}
+              stroke="#1D4ED8"
+              strokeWidth={2}
+              dot={renderExtraPaymentDot}
+              activeDot={{ r: 5 }}
+            />
+            {brush}
+          </LineChart>
+        ) : view === 'cumulative' ? (
+          <LineChart data={cumulativeSeries} margin={{ top: 25, right: 10, left: 10, bottom: 10 }}>
+            <CartesianGrid stroke="rgba(148, 163, 184, 0.35)" strokeDasharray="2 6" vertical={false} />
+            <XAxis dataKey="month" label={{ value: periodLabel, position: 'insideBottomRight', offset: -5 }} />
+            <YAxis tickFormatter={formatCurrency} width={110} />
+            <Tooltip formatter={(value, name) => [formatCurrency(value), name]} labelFormatter={periodTooltipLabel} {...tooltipStyle} />
+            <Legend />
+            <Line type="monotone" dataKey="principal" name={t('chart.cumulativePrincipal')} stroke="#4299E1" strokeWidth={2} dot={renderExtraPaymentDot} activeDot={{ r: 5 }} />
+            <Line type="monotone" dataKey="interest" name={t('chart.cumulativeInterest')} stroke="#16A34A" strokeWidth={2} dot={false} />
+            {brush}
+          </LineChart>
+        ) : (
+          <BarChart data={annualSeries} margin={{ top: 25, right: 10, left: 10, bottom: 10 }}>
+            <CartesianGrid stroke="rgba(148, 163, 184, 0.35)" strokeDasharray="2 6" vertical={false} />
+            <XAxis dataKey="year" label={{ value: hasDueDates ? t('chart.year') : t('chart.loanYear'), position: 'insideBottomRight', offset: -5 }} />
+            <YAxis tickFormatter={formatCurrency} width={110} />
+            <Tooltip formatter={(value, name) => [formatCurrency(value), name]} labelFormatter={yearLabel} {...tooltipStyle} />
+            <Legend />
+            <Bar dataKey="principal" name={t('chart.principal')} stackId="a" fill="#4299E1" />
+            <Bar dataKey="interest" name={t('chart.interest')} stackId="a" fill="#81C784" />
+            {showCapitalizedInterest && (
+              <Bar dataKey="capitalizedInterest" name={t('chart.capitalizedInterest')} stackId="a" fill="#A78BFA" />
+            )}
+            <Bar dataKey="extraPayment" name={t('chart.extraPayment')} stackId="a" fill="#FFA500" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        )}
+      </ResponsiveContainer>
+      {view !== 'annual' && (
+        <p className="mt-2 text-xs text-gray-500 text-center">
+          {view !== 'payments' && hasExtraPayments && `${t('chart.extraPaymentMarkers')} `}
+          {t('chart.brushHint', { periods: periodsLabel })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default PaymentCharts;
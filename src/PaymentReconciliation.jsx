@@ -0,0 +1,246 @@
+import React, { useMemo, useState } from 'react';
+import { parsePaymentDate } from './csvParsing';
+import { parsePaymentsCSV, reconcilePayments } from './reconciliation';
+
+const inputClassName = 'w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800';
+
+// Payments actually made on the loan, typed in or imported from a bank statement,
+// reconciled against the planned schedule.
+function PaymentReconciliation({ schedule, loanCalendar, loanAmount, isUVR, defaultLateInterestRate, formatCurrency, formatDate, numberFormat, periodLabel, t }) {
+  const [payments, setPayments] = useState([]);
+  const [newPaymentDate, setNewPaymentDate] = useState('');
+  const [newPaymentAmount, setNewPaymentAmount] = useState('');
+  const [statementText, setStatementText] = useState('');
+  const [lateInterestRate, setLateInterestRate] = useState(defaultLateInterestRate || '');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const canReconcile = loanCalendar !== null && !isUVR && schedule.length > 0;
+  const reconciliation = useMemo(
+    () => (canReconcile && payments.length > 0
+      ? reconcilePayments({
+        schedule,
+        dueDates: loanCalendar.dueDates,
+        yearFractions: loanCalendar.yearFractions,
+        loanAmount,
+        payments,
+        lateInterestRate,
+      })
+      : null),
+    [canReconcile, schedule, loanCalendar, loanAmount, payments, lateInterestRate]
+  );
+
+  const addPayments = (newPayments) => {
+    const idBase = Date.now();
+    setPayments(prev => [...prev, ...newPayments.map((payment, index) => ({ id: idBase + index, ...payment }))]
+      .sort((a, b) => a.date.localeCompare(b.date)));
+  };
+
+  const handleAddPayment = () => {
+    const date = parsePaymentDate(newPaymentDate);
+    const amount = numberFormat.parseNumber(newPaymentAmount);
+    if (!date) {
+      setError(t('payments.error.date'));
+      return;
+    }
+    if (!(amount > 0)) {
+      setError(t('payments.error.amount'));
+      return;
+    }
+    addPayments([{ date, amount }]);
+    setNewPaymentAmount('');
+    setError('');
+    setNotice('');
+  };
+
+  const importStatement = (text) => {
+    const { payments: imported, skippedLines } = parsePaymentsCSV(text);
+    if (imported.length === 0) {
+      setError(t('payments.error.noPayments'));
+      setNotice('');
+      return;
+    }
+    addPayments(imported);
+    setStatementText('');
+    setError('');
+    setNotice(skippedLines > 0
+      ? t('payments.importedSkipping', { count: imported.length, skipped: skippedLines })
+      : t('payments.imported', { count: imported.length }));
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (file) importStatement(await file.text());
+    e.target.value = '';
+  };
+
+  const formatOptional = (value) => (value === null ? '-' : formatCurrency(value));
+
+  return (
+    <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto mb-10 border border-gray-100">
+      <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">{t('payments.title')}</h2>
+      {!canReconcile ? (
+        <p className="text-center text-gray-500 text-sm">
+          {isUVR
+            ? t('payments.uvrUnavailable')
+            : t('payments.needsDisbursementDate')}
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end mb-4">
+            <div>
+              <label htmlFor="paymentDate" className="block text-sm text-gray-700 font-semibold mb-1">{t('payments.date')}</label>
+              <input type="date" id="paymentDate" className={inputClassName} value={newPaymentDate} onChange={(e) => setNewPaymentDate(e.target.value)} />
+            </div>
+            <div>
+              <label htmlFor="paymentAmount" className="block text-sm text-gray-700 font-semibold mb-1">{t('payments.amount')}</label>
+              <input
+                type="text"
+                id="paymentAmount"
+                inputMode="decimal"
+                className={`${inputClassName} text-right`}
+                placeholder={`${numberFormat.currencySymbol} 0`}
+                value={newPaymentAmount}
+                onChange={(e) => setNewPaymentAmount(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddPayment()}
+              />
+            </div>
+            <button
+              type="button"
+              onClick={handleAddPayment}
+              className="px-6 py-2 bg-blue-600 text-white font-bold rounded-xl shadow-md hover:bg-blue-700 transition-colors duration-200"
+            >
+              {t('payments.add')}
+            </button>
+            <div>
+              <label htmlFor="lateInterestRate" className="block text-sm text-gray-700 font-semibold mb-1">{t('payments.lateInterestRate')}</label>
+              <input
+                type="number"
+                id="lateInterestRate"
+                min="0"
+                step="0.01"
+                className={inputClassName}
+                value={lateInterestRate}
+                onChange={(e) => setLateInterestRate(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <details className="mb-4 text-sm">
+            <summary className="cursor-pointer text-gray-600 font-semibold">{t('payments.importStatement')}</summary>
+            <div className="mt-3 space-y-3">
+              <input type="file" accept=".csv,.txt,text/csv" onChange={handleFileChange} className="block text-sm text-gray-600" />
+              <label htmlFor="statementText" className="block text-gray-600">{t('payments.pasteStatement')}</label>
+              <textarea
+                id="statementText"
+                rows={4}
+                className={`${inputClassName} font-mono text-xs`}
+                placeholder={'15/02/2025;PAGO CREDITO;888.487,89\n15/03/2025;PAGO CREDITO;888.487,89'}
+                value={statementText}
+                onChange={(e) => setStatementText(e.target.value)}
+              />
+              <button
+                type="button"
+                onClick={() => importStatement(statementText)}
+                className="px-4 py-2 text-sm font-semibold text-blue-700 bg-white border border-blue-300 rounded-lg hover:bg-blue-100 transition-colors duration-200"
+              >
+                {t('payments.import')}
+              </button>
+            </div>
+          </details>
+
+          {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+          {notice && <p className="mb-4 text-sm text-green-700">{notice}</p>}
+
+          {payments.length > 0 && (
+            <ul className="flex flex-wrap gap-2 mb-6">
+              {payments.map(payment => (
+                <li key={payment.id} className="flex items-center gap-2 bg-blue-50 border border-blue-200 rounded-xl px-3 py-1 text-sm">
+                  <span className="text-gray-600">{formatDate(payment.date)}</span>
+                  <span className="font-semibold text-gray-800">{formatCurrency(payment.amount)}</span>
+                  <button
+                    type="button"
+                    onClick={() => setPayments(prev => prev.filter(item => item.id !== payment.id))}
+                    className="text-red-600 hover:text-red-800 font-bold"
+                    aria-label={t('payments.remove', { date: formatDate(payment.date) })}
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+              <li>
+                <button type="button" onClick={() => setPayments([])} className="text-sm text-red-600 hover:underline px-2 py-1">
+                  {t('payments.removeAll')}
+                </button>
+              </li>
+            </ul>
+          )}
+
+          {reconciliation && (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-center mb-6">
+                <div className="bg-blue-700 p-3 rounded-lg text-white shadow-md">
+                  <p className="text-sm opacity-80 mb-1">{t('payments.currentBalance', { date: formatDate(reconciliation.asOfDate) })}</p>
+                  <p className="font-bold">{formatCurrency(reconciliation.currentBalance)}</p>
+                </div>
+                <div className={`p-3 rounded-lg shadow-md ${reconciliation.overdueAmount > 1 ? 'bg-red-600 text-white' : 'bg-green-600 text-white'}`}>
+                  <p className="text-sm opacity-80 mb-1">{t('payments.overdueAmount')}</p>
+                  <p className="font-bold">{formatCurrency(reconciliation.overdueAmount)}</p>
+                </div>
+                <div className="bg-orange-500 p-3 rounded-lg text-white shadow-md">
+                  <p className="text-sm opacity-80 mb-1">{t('payments.lateInterest')}</p>
+                  <p className="font-bold">{formatCurrency(reconciliation.totalLateInterest)}</p>
+                </div>
+                <div className="bg-yellow-500 p-3 rounded-lg text-white shadow-md">
+                  <p className="text-sm opacity-80 mb-1">{t('payments.extraPayments')}</p>
+                  <p className="font-bold">{formatCurrency(reconciliation.totalExtraPayments)}</p>
+                </div>
+              </div>
+              {reconciliation.prepaid > 1 && (
+                <p className="text-sm text-gray-600 mb-4">
+                  {t('payments.prepaid', { amount: formatCurrency(reconciliation.prepaid) })}
+                </p>
+              )}
+
+              <div className="overflow-x-auto overflow-y-auto max-h-[500px] relative rounded-lg border border-gray-200">
+                <table className="min-w-full divide-y divide-gray-100 text-sm">
+                  <thead className="bg-blue-700 text-white sticky top-0 z-10 shadow-sm">
+                    <tr>
+                      {[periodLabel, t('table.date'), t('payments.column.plannedPayment'), t('payments.column.actualPaid'), t('payments.column.lateInterest'), t('payments.column.runningDifference'), t('payments.column.plannedBalance'), t('payments.column.actualBalance'), t('payments.column.overdueAmount')].map(label => (
+                        <th key={label} scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider">{label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-100">
+                    {reconciliation.rows.map(row => (
+                      <tr key={row.month} className={row.overdueAmount > 1 ? 'bg-red-50' : ''}>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-800">{row.month}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-600">{formatDate(row.dueDate)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(row.plannedPayment)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-800">
+                          {row.actualPaid > 0 ? formatCurrency(row.actualPaid) : '-'}
+                          {row.extraPayment > 1 && (
+                            <span className="block text-xs text-yellow-700">{t('payments.extraPayment', { amount: formatCurrency(row.extraPayment) })}</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-orange-700">{row.lateInterest > 0.5 ? formatCurrency(row.lateInterest) : '-'}</td>
+                        <td className={`px-4 py-2 whitespace-nowrap font-semibold ${row.runningDifference < -1 ? 'text-red-600' : 'text-green-700'}`}>
+                          {formatOptional(row.runningDifference)}
+                        </td>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-800">{formatCurrency(row.plannedBalance)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-gray-800 font-semibold">{formatOptional(row.actualBalance)}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-red-600">{row.overdueAmount > 1 ? formatCurrency(row.overdueAmount) : '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PaymentReconciliation;
@@ -0,0 +1,107 @@
+import React, { useMemo, useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { comparePrepayingWithInvesting } from './investment';
+
+const inputClassName = 'w-full px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800';
+
+// Whether the planned extra payments do better in the loan or in an investment
+// such as a CDT, measured as net worth over the original term.
+function PrepayVsInvest({ inputs, formatCurrency, formatRate, periodLabel, t }) {
+  const [returnRate, setReturnRate] = useState(10);
+  const [withholdingTax, setWithholdingTax] = useState(4);
+
+  const comparison = useMemo(
+    () => comparePrepayingWithInvesting(inputs, { returnRate, withholdingTax }),
+    [inputs, returnRate, withholdingTax]
+  );
+
+  return (
+    <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto mb-10 border border-gray-100">
+      <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">{t('invest.title')}</h2>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-6">
+        <div>
+          <label htmlFor="investmentReturnRate" className="block text-gray-600 text-sm font-semibold mb-2">
+            {t('invest.returnRate')}
+          </label>
+          <input
+            type="number"
+            id="investmentReturnRate"
+            className={inputClassName}
+            value={returnRate}
+            onChange={(e) => setReturnRate(e.target.value)}
+            min="0"
+            step="0.1"
+          />
+        </div>
+        <div>
+          <label htmlFor="withholdingTax" className="block text-gray-600 text-sm font-semibold mb-2">
+            {t('invest.withholdingTax')}
+          </label>
+          <input
+            type="number"
+            id="withholdingTax"
+            className={inputClassName}
+            value={withholdingTax}
+            onChange={(e) => setWithholdingTax(e.target.value)}
+            min="0"
+            max="100"
+            step="0.1"
+          />
+        </div>
+      </div>
+
+      {comparison === null ? (
+        <p className="text-center text-gray-500 text-sm">
+          {t('invest.empty')}
+        </p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-center mb-4">
+            <div className="bg-blue-700 p-3 rounded-lg text-white shadow-md">
+              <p className="text-sm opacity-80 mb-1">{t('invest.prepayNetWorth')}</p>
+              <p className="font-bold">{formatCurrency(comparison.prepayNetWorth)}</p>
+            </div>
+            <div className="bg-emerald-600 p-3 rounded-lg text-white shadow-md">
+              <p className="text-sm opacity-80 mb-1">{t('invest.investNetWorth')}</p>
+              <p className="font-bold">{formatCurrency(comparison.investNetWorth)}</p>
+            </div>
+            <div className="bg-gray-700 p-3 rounded-lg text-white shadow-md">
+              <p className="text-sm opacity-80 mb-1">{t('invest.breakEvenRate')}</p>
+              <p className="font-bold">{isNaN(comparison.breakEvenRate) ? '-' : t('invest.effectiveAnnual', { rate: formatRate(comparison.breakEvenRate) })}</p>
+            </div>
+          </div>
+          <p className={`text-center font-semibold mb-6 ${comparison.advantage >= 0 ? 'text-blue-700' : 'text-emerald-700'}`}>
+            {comparison.advantage >= 0
+              ? t('invest.prepayWins', { amount: formatCurrency(comparison.advantage) })
+              : t('invest.investWins', { amount: formatCurrency(-comparison.advantage) })}
+            {!isNaN(comparison.breakEvenRate) && ` ${t('invest.breakEvenHint', { rate: formatRate(comparison.breakEvenRate) })}`}
+          </p>
+
+          <ResponsiveContainer width="100%" aspect={2}>
+            <LineChart data={comparison.points} margin={{ top: 10, right: 10, left: 10, bottom: 10 }}>
+              <CartesianGrid stroke="rgba(148, 163, 184, 0.35)" strokeDasharray="2 6" vertical={false} />
+              <XAxis dataKey="month" label={{ value: periodLabel, position: 'insideBottomRight', offset: -5 }} />
+              <YAxis tickFormatter={formatCurrency} width={110} />
+              <Tooltip
+                formatter={(value, name) => [formatCurrency(value), name]}
+                labelFormatter={(value) => `${periodLabel} ${value}`}
+                contentStyle={{ backgroundColor: '#ffffff', border: 'none', borderRadius: '14px', boxShadow: '0 18px 45px rgba(15, 23, 42, 0.12)' }}
+                labelStyle={{ color: '#0f172a', fontWeight: '600', fontSize: 13 }}
+              />
+              <Legend />
+              <Line type="monotone" dataKey="prepay" name={t('invest.prepay')} stroke="#1D4ED8" strokeWidth={2} dot={false} />
+              <Line type="monotone" dataKey="invest" name={t('invest.invest')} stroke="#059669" strokeWidth={2} dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+          <p className="mt-2 text-xs text-gray-500 text-center">
+            {t('invest.note', { period: periodLabel.toLowerCase() })}
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PrepayVsInvest;
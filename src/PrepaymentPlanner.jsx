@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import CurrencyInput from './CurrencyInput';
+import { planPrepayments } from './prepayments';
+
+const inputClassName = 'w-full px-3 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800';
+
+// Labels are in the message catalogs under `planner.pattern.<pattern>`.
+const PATTERNS = ['monthly', 'primas'];
+
+// Works backwards from a goal to the recurring extra payment that reaches it,
+// and loads it into the extra payments list.
+function PrepaymentPlanner({ inputs, totalPeriods, periodLabel, formatCurrency, numberFormat, t, onApply }) {
+  const [goalType, setGoalType] = useState('payoffMonth');
+  const [goalMonth, setGoalMonth] = useState('');
+  const [goalAmount, setGoalAmount] = useState(0);
+  const [pattern, setPattern] = useState('monthly');
+  const [startMonth, setStartMonth] = useState(1);
+  const [maxAmount, setMaxAmount] = useState(0);
+  const [keepExisting, setKeepExisting] = useState(false);
+  const [plan, setPlan] = useState(null);
+
+  const handlePlan = () => {
+    const month = parseInt(goalMonth);
+    const start = parseInt(startMonth);
+    if (goalType === 'payoffMonth' && (isNaN(month) || month < 1 || month >= totalPeriods)) {
+      setPlan({ error: 'planner.error.payoffMonth', errorParams: { max: totalPeriods - 1 } });
+      return;
+    }
+    if (goalType === 'interestSaved' && !(goalAmount > 0)) {
+      setPlan({ error: 'planner.error.savingsAmount' });
+      return;
+    }
+    if (isNaN(start) || start < 1 || start > totalPeriods) {
+      setPlan({ error: 'planner.error.startMonth', errorParams: { max: totalPeriods } });
+      return;
+    }
+    const goal = goalType === 'payoffMonth' ? { type: goalType, month } : { type: goalType, amount: goalAmount };
+    setPlan(planPrepayments(inputs, goal, { pattern, startMonth: start, maxAmount, keepExisting }));
+  };
+
+  return (
+    <details className="bg-white/70 rounded-2xl border border-blue-200 p-4 mb-6">
+      <summary className="cursor-pointer font-semibold text-gray-700">{t('planner.title')}</summary>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-4 text-sm">
+        <div>
+          <label htmlFor="plannerGoal" className="block text-gray-600 font-semibold mb-2">{t('planner.goal')}</label>
+          <select id="plannerGoal" className={inputClassName} value={goalType} onChange={(e) => setGoalType(e.target.value)}>
+            <option value="payoffMonth">{t('planner.goal.payoffMonth', { period: periodLabel.toLowerCase() })}</option>
+            <option value="interestSaved">{t('planner.goal.interestSaved')}</option>
+          </select>
+        </div>
+        <div>
+          {goalType === 'payoffMonth' ? (
+            <>
+              <label htmlFor="plannerGoalMonth" className="block text-gray-600 font-semibold mb-2">{t('planner.payoffMonth', { period: periodLabel })}</label>
+              <input
+                type="number"
+                id="plannerGoalMonth"
+                className={inputClassName}
+                value={goalMonth}
+                onChange={(e) => setGoalMonth(e.target.value)}
+                min="1"
+                max={totalPeriods - 1}
+                placeholder={t('planner.example', { value: Math.round(totalPeriods * 0.6) })}
+              />
+            </>
+          ) : (
+            <>
+              <label htmlFor="plannerGoalAmount" className="block text-gray-600 font-semibold mb-2">{t('planner.savingsAmount')}</label>
+              <CurrencyInput id="plannerGoalAmount" value={goalAmount} onChange={setGoalAmount} numberFormat={numberFormat} />
+            </>
+          )}
+        </div>
+        <div>
+          <label htmlFor="plannerPattern" className="block text-gray-600 font-semibold mb-2">{t('planner.pattern')}</label>
+          <select id="plannerPattern" className={inputClassName} value={pattern} onChange={(e) => setPattern(e.target.value)}>
+            {PATTERNS.map(value => (
+              <option key={value} value={value}>{t(`planner.pattern.${value}`)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="plannerStartMonth" className="block text-gray-600 font-semibold mb-2">{t('common.fromPeriod', { period: periodLabel.toLowerCase() })}</label>
+          <input
+            type="number"
+            id="plannerStartMonth"
+            className={inputClassName}
+            value={startMonth}
+            onChange={(e) => setStartMonth(e.target.value)}
+            min="1"
+            max={totalPeriods}
+          />
+        </div>
+        <div>
+          <label htmlFor="plannerMaxAmount" className="block text-gray-600 font-semibold mb-2">{t('planner.maxAmount')}</label>
+          <CurrencyInput id="plannerMaxAmount" value={maxAmount} onChange={setMaxAmount} numberFormat={numberFormat} />
+          <p className="mt-1 text-xs text-gray-500">{t('planner.maxAmountHint')}</p>
+        </div>
+        <label className="flex items-center gap-2 text-gray-700 self-center">
+          <input type="checkbox" className="h-4 w-4 accent-blue-600" checked={keepExisting} onChange={(e) => setKeepExisting(e.target.checked)} />
+          {t('planner.keepExisting')}
+        </label>
+      </div>
+      <button
+        type="button"
+        onClick={handlePlan}
+        className="mt-4 w-full px-6 py-2 bg-blue-600 text-white font-bold rounded-xl shadow-md hover:bg-blue-700 transition-colors duration-200"
+      >
+        {t('planner.plan')}
+      </button>
+
+      {plan?.error && (
+        <p className="mt-3 text-sm text-red-600 font-semibold" role="alert">
+          {t(plan.error, {
+            period: periodLabel.toLowerCase(),
+            payments: plan.result?.numberOfPayments,
+            amount: formatCurrency(plan.result?.totalInterestSaved),
+            ...plan.errorParams,
+          })}
+        </p>
+      )}
+      {plan?.extraPayment && (
+        <div className="mt-3 flex flex-wrap items-center justify-between gap-3 bg-green-50 border border-green-300 rounded-xl px-4 py-3 text-sm">
+          <div>
+            <p className="font-bold text-green-800">
+              {t(plan.extraPayment.frequency === 'calendarMonths' ? 'planner.result.primas' : 'planner.result.monthly', {
+                amount: formatCurrency(plan.extraPayment.amount),
+                period: periodLabel.toLowerCase(),
+                month: plan.extraPayment.startMonth,
+              })}
+            </p>
+            <p className="text-gray-600">
+              {t('planner.result.summary', { payments: plan.result.numberOfPayments, amount: formatCurrency(plan.result.totalInterestSaved) })}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => {
+              onApply(plan.extraPayment, keepExisting);
+              setPlan(null);
+            }}
+            className="px-4 py-2 font-semibold text-green-800 bg-white border border-green-400 rounded-lg hover:bg-green-100 transition-colors duration-200"
+          >
+            {t('planner.apply')}
+          </button>
+        </div>
+      )}
+    </details>
+  );
+}
+
+export default PrepaymentPlanner;
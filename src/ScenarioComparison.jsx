@@ -0,0 +1,214 @@
+import React, { useMemo, useState } from 'react';
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import { capitalize } from './i18n';
+import { MAX_COMPARED_SCENARIOS, calculateScenario, mergeBalanceCurves } from './scenarios';
+
+const LINE_COLORS = ['#2563EB', '#DC2626', '#16A34A', '#D97706'];
+
+// Figures compared across scenarios; `best` tells which end of the range wins.
+// Row labels are in the message catalogs under `scenarios.row.<key>`.
+const COMPARISON_ROWS = [
+  { key: 'monthlyPayment', best: 'min', currency: true },
+  { key: 'numberOfPayments', best: 'min' },
+  { key: 'totalInterest', best: 'min', currency: true },
+  { key: 'totalPaid', best: 'min', currency: true },
+  { key: 'totalInterestSaved', best: 'max', currency: true },
+];
+
+// Saves the current simulator inputs under a name and compares up to four saved
+// scenarios. Saving under an existing name replaces that scenario.
+function ScenarioComparison({ scenarios, onSave, onLoad, onDelete, formatCurrency, locale, t }) {
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const selectedScenarios = useMemo(
+    () => scenarios.filter(scenario => selectedIds.includes(scenario.id)),
+    [scenarios, selectedIds]
+  );
+  const results = useMemo(
+    () => selectedScenarios.map(scenario => ({ id: scenario.id, name: scenario.name, ...calculateScenario(scenario.inputs) })),
+    [selectedScenarios]
+  );
+  const chartData = useMemo(() => mergeBalanceCurves(results), [results]);
+
+  const handleSave = () => {
+    if (name.trim() === '') {
+      setError(t('scenarios.error.name'));
+      return;
+    }
+    onSave(name.trim());
+    setName('');
+    setError('');
+  };
+
+  const handleToggle = (id) => {
+    setSelectedIds(prev => (
+      prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id].slice(-MAX_COMPARED_SCENARIOS)
+    ));
+  };
+
+  const handleDelete = (id) => {
+    setSelectedIds(prev => prev.filter(selectedId => selectedId !== id));
+    onDelete(id);
+  };
+
+  const cheapestTotalPaid = results.length > 0 ? Math.min(...results.map(result => result.totalPaid)) : 0;
+
+  return (
+    <div className="bg-white p-8 rounded-2xl shadow-xl w-full max-w-5xl mx-auto mb-10 border border-gray-100">
+      <h2 className="text-xl md:text-2xl font-bold text-center text-gray-700 mb-6">{t('scenarios.title')}</h2>
+      <div className="flex flex-col sm:flex-row gap-3 mb-6">
+        <label htmlFor="scenarioName" className="sr-only">{t('scenarios.name')}</label>
+        <input
+          type="text"
+          id="scenarioName"
+          className="flex-1 px-4 py-2 border border-blue-300 rounded-xl bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent transition-all duration-200 text-gray-800"
+          placeholder={t('scenarios.namePlaceholder')}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+        />
+        <button
+          type="button"
+          onClick={handleSave}
+          className="px-6 py-2 bg-blue-600 text-white font-bold rounded-xl shadow-md hover:bg-blue-700 transition-colors duration-200"
+        >
+          {t('scenarios.save')}
+        </button>
+      </div>
+      {error && <p className="-mt-4 mb-4 text-sm text-red-600">{error}</p>}
+
+      {scenarios.length === 0 ? (
+        <p className="text-center text-gray-500 text-sm">
+          {t('scenarios.empty')}
+        </p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-3">
+            {t('scenarios.select', { max: MAX_COMPARED_SCENARIOS })}
+          </p>
+          <ul className="space-y-2 mb-6">
+            {scenarios.map(scenario => (
+              <li key={scenario.id} className="flex flex-wrap items-center gap-3 bg-blue-50 border border-blue-200 rounded-xl px-4 py-2">
+                <input
+                  type="checkbox"
+                  id={`compare-${scenario.id}`}
+                  checked={selectedIds.includes(scenario.id)}
+                  onChange={() => handleToggle(scenario.id)}
+                  className="h-4 w-4 accent-blue-600"
+                />
+                <label htmlFor={`compare-${scenario.id}`} className="flex-1 text-gray-800 font-semibold">
+                  {scenario.name}
+                  <span className="ml-2 text-xs font-normal text-gray-500">
+                    {new Date(scenario.savedAt).toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' })}
+                  </span>
+                </label>
+                <button
+                  type="button"
+                  onClick={() => onLoad(scenario)}
+                  className="px-3 py-1 text-sm font-semibold text-blue-700 bg-white border border-blue-300 rounded-lg hover:bg-blue-100 transition-colors duration-200"
+                >
+                  {t('scenarios.load')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(scenario.id)}
+                  className="px-3 py-1 text-sm font-semibold text-red-600 bg-white border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-200"
+                  aria-label={t('scenarios.removeNamed', { name: scenario.name })}
+                >
+                  {t('scenarios.remove')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {results.length >= 2 && (
+        <>
+          <div className="overflow-x-auto mb-8">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-blue-700 text-white">
+                <tr>
+                  <th scope="col" className="px-4 py-3 text-left text-xs font-bold uppercase tracking-wider rounded-tl-lg">{t('scenarios.concept')}</th>
+                  {results.map((result, index) => (
+                    <th
+                      key={result.id}
+                      scope="col"
+                      className={`px-4 py-3 text-right text-xs font-bold uppercase tracking-wider ${index === results.length - 1 ? 'rounded-tr-lg' : ''}`}
+                    >
+                      {result.name}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {COMPARISON_ROWS.map(({ key, best, currency }) => {
+                  const values = results.map(result => result[key]);
+                  const bestValue = best === 'min' ? Math.min(...values) : Math.max(...values);
+                  return (
+                    <tr key={key}>
+                      <th scope="row" className="px-4 py-3 text-left font-semibold text-gray-700">{t(`scenarios.row.${key}`)}</th>
+                      {results.map(result => (
+                        <td
+                          key={result.id}
+                          className={`px-4 py-3 text-right whitespace-nowrap ${result[key] === bestValue ? 'text-green-700 font-bold' : 'text-gray-800'}`}
+                        >
+                          {currency ? formatCurrency(result[key]) : result[key]}
+                          {key === 'totalPaid' && result.totalPaid > cheapestTotalPaid && (
+                            <span className="block text-xs font-semibold text-red-600">
+                              {t('scenarios.vsCheapest', { amount: formatCurrency(result.totalPaid - cheapestTotalPaid) })}
+                            </span>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 className="text-lg font-semibold text-gray-700 text-center mb-4">{t('scenarios.balanceTitle')}</h3>
+          <ResponsiveContainer width="100%" aspect={2}>
+            <LineChart data={chartData} margin={{ top: 10, right: 10, left: 10, bottom: 10 }}>
+              <CartesianGrid stroke="rgba(148, 163, 184, 0.35)" strokeDasharray="2 6" vertical={false} />
+              <XAxis
+                dataKey="months"
+                type="number"
+                domain={[0, 'dataMax']}
+                tickFormatter={(value) => Math.round(value)}
+                label={{ value: capitalize(t('period.months')), position: 'insideBottomRight', offset: -5 }}
+              />
+              <YAxis tickFormatter={formatCurrency} width={110} />
+              <Tooltip
+                formatter={(value, name) => [formatCurrency(value), name]}
+                labelFormatter={(value) => `${t('period.month')} ${Math.round(value * 10) / 10}`}
+                contentStyle={{ backgroundColor: '#ffffff', border: 'none', borderRadius: '14px', boxShadow: '0 18px 45px rgba(15, 23, 42, 0.12)' }}
+                labelStyle={{ color: '#0f172a', fontWeight: '600', fontSize: 13 }}
+              />
+              <Legend />
+              {results.map((result, index) => (
+                <Line
+                  key={result.id}
+                  type="monotone"
+                  dataKey={String(result.id)}
+                  name={result.name}
+                  stroke={LINE_COLORS[index % LINE_COLORS.length]}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ScenarioComparison;
@@ -0,0 +1,440 @@
+// Pure amortization engine shared by the React app and the command-line tool.
+// Nothing in here touches React state or the DOM.
+import { PAYMENT_FREQUENCIES, buildLoanCalendar, formatISODate, resolveExtraPaymentDates } from './calendar.js';
+
+export const getTotalMonths = (loanTerm, loanTermUnit) => {
+  const term = parseInt(loanTerm);
+  return loanTermUnit === 'years' ? term * 12 : term;
+};
+
+// Number of installments in a term given in years or months.
+export const getTotalPeriods = (loanTerm, loanTermUnit, paymentFrequency = 'monthly') => {
+  const frequency = PAYMENT_FREQUENCIES[paymentFrequency];
+  if (!frequency) return NaN;
+  return Math.round(getTotalMonths(loanTerm, loanTermUnit) * frequency.periodsPerYear / 12);
+};
+
+export const calculateTEMFromTEA = (annualRatePercentage) => {
+  const annualRateDecimal = annualRatePercentage / 100;
+  if (annualRateDecimal === 0) return 0;
+  return Math.pow(1 + annualRateDecimal, 1 / 12) - 1;
+};
+
+// Rate for a period lasting `yearFraction` of a year, from an effective annual rate.
+export const calculatePeriodRate = (annualRatePercentage, yearFraction) => Math.pow(1 + annualRatePercentage / 100, yearFraction) - 1;
+
+export const calculateFixedPayment = (principal, periodicRate, totalMonths) => {
+  if (periodicRate === 0) {
+    return principal / totalMonths;
+  }
+  return principal * (periodicRate / (1 - Math.pow(1 + periodicRate, -totalMonths)));
+};
+
+export const EXTRA_PAYMENT_MODES = ['reduceTerm', 'reduceInstallment'];
+
+export const RECURRING_FREQUENCIES = ['monthly', 'interval', 'calendarMonths'];
+
+// Calendar month (1-12) in which loan month `month` falls.
+export const getCalendarMonth = (month, firstPaymentCalendarMonth) => ((firstPaymentCalendarMonth - 1 + month - 1) % 12) + 1;
+
+// Calendar months elapsed between the first installment and installment `month`
+// when installments are evenly spread over the year.
+const getMonthOffset = (month, periodsPerYear) => Math.floor((month - 1) * 12 / periodsPerYear);
+
+const isRecurringMonth = (rule, month, { firstPaymentCalendarMonth, monthOffset }) => {
+  switch (rule.frequency) {
+    case 'interval':
+      return (month - rule.startMonth) % Math.max(1, rule.interval || 1) === 0;
+    case 'calendarMonths': {
+      // An installment covers every calendar month since the previous one, so
+      // long periods skip no month and short ones pay on the first installment of the month.
+      const from = month === 1 ? 0 : monthOffset(month - 1) + 1;
+      for (let offset = from; offset <= monthOffset(month); offset++) {
+        if ((rule.calendarMonths || []).includes(getCalendarMonth(offset + 1, firstPaymentCalendarMonth))) return true;
+      }
+      return false;
+    }
+    default:
+      return true;
+  }
+};
+
+// Turns recurring abono rules into one-off payments. Every expanded payment keeps
+// the id of the entry it came from in `sourceId`. `monthOffset` maps an installment
+// to the calendar months elapsed since the first one; by default installments are
+// spread evenly over the year.
+export const expandExtraPayments = (extraPayments, {
+  lastMonth,
+  firstPaymentCalendarMonth = 1,
+  periodsPerYear = 12,
+  monthOffset = (month) => getMonthOffset(month, periodsPerYear),
+}) =>
+  extraPayments.flatMap((ep) => {
+    if (ep.type !== 'recurring') {
+      return [{ ...ep, sourceId: ep.id }];
+    }
+
+    const endMonth = ep.endMonth ? Math.min(ep.endMonth, lastMonth) : lastMonth;
+    const occurrences = [];
+    for (let month = ep.startMonth; month <= endMonth; month++) {
+      if (!isRecurringMonth(ep, month, { firstPaymentCalendarMonth, monthOffset })) continue;
+      const yearsElapsed = Math.floor((month - ep.startMonth) / periodsPerYear);
+      const amount = ep.amount * Math.pow(1 + (ep.annualGrowth || 0) / 100, yearsElapsed);
+      occurrences.push({ month, amount, mode: ep.mode, sourceId: ep.id });
+    }
+    return occurrences;
+  });
+
+// Labels are in the message catalogs, e.g. `amortizationSystem.french`.
+export const AMORTIZATION_SYSTEMS = ['french', 'constantPrincipal', 'growingInstallment', 'bullet', 'balloon'];
+
+// Payment multiplier for installment `month` when the installment grows once a year.
+const growthFactor = (growthPercentage, month, periodsPerYear) => Math.pow(1 + (growthPercentage || 0) / 100, Math.floor((month - 1) / periodsPerYear));
+
+// Describes how the regular installment of each system behaves from `startMonth`
+// to `endMonth` for a given outstanding `balance`.
+export const buildInstallmentPlan = (system, balance, periodicRate, startMonth, endMonth, { installmentGrowth = 0, balloonAmount = 0, periodsPerYear = 12 } = {}) => {
+  const months = endMonth - startMonth + 1;
+  const plan = { system, startMonth, endMonth, periodsPerYear, installmentGrowth: 0, balloonAmount: 0, payment: 0, principal: 0 };
+
+  switch (system) {
+    case 'constantPrincipal':
+      return { ...plan, principal: balance / months };
+    case 'bullet':
+      return plan;
+    case 'growingInstallment': {
+      let presentValueFactor = 0;
+      for (let j = 1; j <= months; j++) {
+        presentValueFactor += growthFactor(installmentGrowth, startMonth + j - 1, periodsPerYear) / Math.pow(1 + periodicRate, j);
+      }
+      return { ...plan, installmentGrowth, payment: balance / presentValueFactor };
+    }
+    case 'balloon': {
+      const residual = Math.min(balloonAmount, balance);
+      const amortizedBalance = balance - residual / Math.pow(1 + periodicRate, months);
+      return { ...plan, balloonAmount: residual, payment: calculateFixedPayment(amortizedBalance, periodicRate, months) };
+    }
+    default:
+      return { ...plan, payment: calculateFixedPayment(balance, periodicRate, months) };
+  }
+};
+
+// Regular (non-extra) principal due in `month` under `plan`. The last month of the
+// plan always settles the balance, which is where bullet and balloon loans pay off.
+export const regularPrincipalFor = (plan, month, balance, interest) => {
+  if (month >= plan.endMonth) return balance;
+  switch (plan.system) {
+    case 'constantPrincipal':
+      return plan.principal;
+    case 'bullet':
+      return 0;
+    default:
+      return plan.payment * growthFactor(plan.installmentGrowth, month, plan.periodsPerYear) - interest;
+  }
+};
+
+// Runs the regular installments of `plan` from `fromMonth` with no extra payments.
+const projectRegularPayments = (plan, balance, periodicRate, fromMonth, lastMonth) => {
+  let remainingBalance = balance;
+  let totalInterest = 0;
+  let months = 0;
+
+  for (let i = fromMonth; i <= lastMonth && remainingBalance > 0.01; i++) {
+    const interestPayment = remainingBalance * periodicRate;
+    const principalPayment = Math.min(Math.max(regularPrincipalFor(plan, i, remainingBalance, interestPayment), 0), remainingBalance);
+    totalInterest += interestPayment;
+    remainingBalance -= principalPayment;
+    months++;
+  }
+  return { months, totalInterest };
+};
+
+export const GRACE_TYPES = ['total', 'partial'];
+
+export const RATE_CHANGE_TYPES = ['tea', 'indexed'];
+
+// TEA set by a rate change. Indexed changes (IBR, DTF) add the spread to the
+// index, both expressed as effective annual percentages.
+export const getRateChangeAnnualRate = (change) => (
+  change.type === 'indexed'
+    ? (parseFloat(change.indexValue) || 0) + (parseFloat(change.spread) || 0)
+    : parseFloat(change.tea)
+);
+
+// Walks the loan installment by installment. "Month" numbers are installment
+// numbers, which are true months only with the monthly frequency. The amount,
+// rate and term are parsed by calculateAmortization; extra payments and rate
+// changes must already hold numbers, as the simulator and the CLI build them.
+// Without a `calendar` every period lasts 1 / periodsPerYear of a year.
+const runAmortization = ({
+  principal,
+  annualRatePercentage,
+  rateChanges,
+  totalMonths,
+  extraPayments,
+  firstPaymentCalendarMonth,
+  amortizationSystem,
+  planOptions,
+  graceMonths,
+  graceType,
+  calendar,
+  periodsPerYear,
+}) => {
+  let currentRemainingBalance = principal;
+  const schedule = [];
+  const chartData = [];
+  let currentTotalInterestPaid = 0;
+  let totalCapitalizedInterest = 0;
+  const extraPaymentTotals = {};
+
+  let annualRate = annualRatePercentage;
+  let periodicRate = calculatePeriodRate(annualRate, 1 / periodsPerYear);
+  const sortedRateChanges = rateChanges
+    .map(change => ({ month: parseInt(change.month), annualRate: getRateChangeAnnualRate(change) }))
+    .filter(change => change.month >= 1 && !isNaN(change.annualRate))
+    .sort((a, b) => a.month - b.month);
+  let rateChangeIdx = 0;
+
+  // During a grace period there is no installment yet: the plan is built when the
+  // grace period ends, over the months that remain, so abonos made during the
+  // grace period always lower the installment.
+  let plan = graceMonths > 0
+    ? null
+    : buildInstallmentPlan(amortizationSystem, principal, periodicRate, 1, totalMonths, planOptions);
+
+  const lastMonth = totalMonths * 2 + 1;
+  const sortedExtraPayments = expandExtraPayments(extraPayments, {
+    lastMonth,
+    firstPaymentCalendarMonth,
+    periodsPerYear,
+    ...(calendar ? { monthOffset: month => calendar.monthOffsets[month] } : {}),
+  })
+    .sort((a, b) => a.month - b.month);
+  let extraPaymentIdx = 0;
+
+  for (let i = 1; i <= lastMonth && currentRemainingBalance > 0.01; i++) {
+    const inGrace = i <= graceMonths;
+    let interestPaymentThisMonth = 0;
+    let regularPrincipalPaymentThisMonth = 0;
+    let capitalizedInterestThisMonth = 0;
+    let extraPaymentAppliedThisMonth = 0;
+    let installmentReducedThisMonth = false;
+    let rateChangedThisMonth = false;
+
+    let actualMonthlyPaymentRecorded;
+
+    // A rate reset recalculates the installment over the balance and the term that remain.
+    while (rateChangeIdx < sortedRateChanges.length && sortedRateChanges[rateChangeIdx].month === i) {
+      const newPeriodicRate = calculatePeriodRate(sortedRateChanges[rateChangeIdx].annualRate, 1 / periodsPerYear);
+      if (plan && currentRemainingBalance > 0.01) {
+        const monthsLeft = projectRegularPayments(plan, currentRemainingBalance, periodicRate, i, lastMonth).months;
+        plan = buildInstallmentPlan(amortizationSystem, currentRemainingBalance, newPeriodicRate, i, i + monthsLeft - 1, {
+          installmentGrowth: plan.installmentGrowth,
+          balloonAmount: plan.balloonAmount,
+          periodsPerYear: plan.periodsPerYear,
+        });
+      }
+      annualRate = sortedRateChanges[rateChangeIdx].annualRate;
+      periodicRate = newPeriodicRate;
+      rateChangedThisMonth = i > 1;
+      rateChangeIdx++;
+    }
+
+    while (extraPaymentIdx < sortedExtraPayments.length && sortedExtraPayments[extraPaymentIdx].month === i) {
+      const ep = sortedExtraPayments[extraPaymentIdx];
+      if (currentRemainingBalance > 0.01) {
+        // Reducing the installment keeps the term that was left before this abono.
+        // Right after a grace period there is no plan yet; it is built below from
+        // the balance left after the abono, which lowers the installment anyway.
+        const reducesInstallment = ep.mode === 'reduceInstallment' && !inGrace && plan !== null;
+        const monthsLeft = reducesInstallment
+          ? projectRegularPayments(plan, currentRemainingBalance, periodicRate, i, lastMonth).months
+          : 0;
+        // Only what the balance needs is paid; the rest of the last abono stays with the borrower.
+        const amount = Math.min(ep.amount, currentRemainingBalance);
+        extraPaymentAppliedThisMonth += amount;
+        currentRemainingBalance -= amount;
+        if (ep.sourceId !== undefined) {
+          const totals = extraPaymentTotals[ep.sourceId] || { count: 0, total: 0 };
+          extraPaymentTotals[ep.sourceId] = { count: totals.count + 1, total: totals.total + amount };
+        }
+        if (reducesInstallment && currentRemainingBalance > 0.01 && monthsLeft > 0) {
+          plan = buildInstallmentPlan(amortizationSystem, currentRemainingBalance, periodicRate, i, i + monthsLeft - 1, {
+            installmentGrowth: plan.installmentGrowth,
+            balloonAmount: plan.balloonAmount,
+            periodsPerYear: plan.periodsPerYear,
+          });
+          installmentReducedThisMonth = true;
+        }
+      }
+      extraPaymentIdx++;
+      if (currentRemainingBalance <= 0.01) break;
+    }
+
+    // Installments are planned with the periodic rate; interest accrues over the actual period.
+    const accrualRate = calendar ? calculatePeriodRate(annualRate, calendar.yearFractions[i]) : periodicRate;
+
+    if (!inGrace && !plan && currentRemainingBalance > 0.01) {
+      plan = buildInstallmentPlan(amortizationSystem, currentRemainingBalance, periodicRate, i, totalMonths, planOptions);
+    }
+
+    if (currentRemainingBalance <= 0.01) {
+      interestPaymentThisMonth = 0;
+      regularPrincipalPaymentThisMonth = 0;
+      actualMonthlyPaymentRecorded = 0;
+    } else if (inGrace && graceType === 'total') {
+      capitalizedInterestThisMonth = currentRemainingBalance * accrualRate;
+      currentRemainingBalance += capitalizedInterestThisMonth;
+      actualMonthlyPaymentRecorded = 0;
+    } else if (inGrace) {
+      interestPaymentThisMonth = currentRemainingBalance * accrualRate;
+      actualMonthlyPaymentRecorded = interestPaymentThisMonth;
+    } else {
+      interestPaymentThisMonth = currentRemainingBalance * accrualRate;
+      regularPrincipalPaymentThisMonth = Math.max(0, regularPrincipalFor(plan, i, currentRemainingBalance, interestPaymentThisMonth));
+
+      if (regularPrincipalPaymentThisMonth >= currentRemainingBalance - 0.01) {
+        regularPrincipalPaymentThisMonth = currentRemainingBalance;
+        currentRemainingBalance = 0;
+      } else {
+        currentRemainingBalance -= regularPrincipalPaymentThisMonth;
+      }
+      actualMonthlyPaymentRecorded = regularPrincipalPaymentThisMonth + interestPaymentThisMonth;
+    }
+
+    currentTotalInterestPaid += interestPaymentThisMonth;
+    totalCapitalizedInterest += capitalizedInterestThisMonth;
+
+    schedule.push({
+      month: i,
+      dueDate: calendar ? formatISODate(calendar.dueDates[i]) : null,
+      monthlyPayment: actualMonthlyPaymentRecorded,
+      principalPayment: regularPrincipalPaymentThisMonth,
+      interestPayment: interestPaymentThisMonth,
+      remainingBalance: currentRemainingBalance,
+      extraPaymentApplied: extraPaymentAppliedThisMonth > 0 ? extraPaymentAppliedThisMonth : null,
+      installmentReduced: installmentReducedThisMonth,
+      grace: inGrace ? graceType : null,
+      capitalizedInterest: capitalizedInterestThisMonth,
+      annualRate,
+      rateChanged: rateChangedThisMonth,
+    });
+
+    chartData.push({
+      month: i,
+      dueDate: calendar ? formatISODate(calendar.dueDates[i]) : null,
+      grace: inGrace ? graceType : null,
+      annualRate,
+      'Pago a Capital (Regular)': regularPrincipalPaymentThisMonth,
+      'Pago de Interés': interestPaymentThisMonth,
+      'Interés Capitalizado': capitalizedInterestThisMonth,
+      'Abono Extraordinario': extraPaymentAppliedThisMonth > 0 ? extraPaymentAppliedThisMonth : 0,
+      'Saldo Restante': currentRemainingBalance,
+    });
+
+    if (currentRemainingBalance <= 0.01) break;
+  }
+
+  return {
+    schedule,
+    chartData,
+    totalInterestPaid: currentTotalInterestPaid,
+    totalCapitalizedInterest,
+    extraPaymentTotals,
+  };
+};
+
+const EMPTY_RESULT = {
+  schedule: [],
+  chartData: [],
+  monthlyPayment: 0,
+  totalMonths: 0,
+  totalInterestPaid: 0,
+  totalCapitalizedInterest: 0,
+  baselineTotalInterest: 0,
+  totalInterestSaved: 0,
+  extraPaymentTotals: {},
+  baselineSchedule: [],
+};
+
+export const calculateAmortization = ({
+  loanAmount,
+  annualInterestRate,
+  loanTerm,
+  loanTermUnit = 'years',
+  extraPayments = [],
+  firstPaymentCalendarMonth = 1,
+  amortizationSystem = 'french',
+  installmentGrowth = 0,
+  balloonPercentage = 0,
+  graceMonths = 0,
+  graceType = 'partial',
+  rateChanges = [],
+  disbursementDate = null,
+  paymentDay = null,
+  dayCountConvention = '30/360',
+  paymentFrequency = 'monthly',
+}) => {
+  const principal = parseFloat(loanAmount);
+  const annualRatePercentage = parseFloat(annualInterestRate);
+  const initialTotalMonths = getTotalPeriods(loanTerm, loanTermUnit, paymentFrequency);
+  const parsedGraceMonths = parseInt(graceMonths) || 0;
+
+  if (isNaN(principal) || isNaN(annualRatePercentage) || isNaN(initialTotalMonths) || principal <= 0 || initialTotalMonths <= 0) {
+    return EMPTY_RESULT;
+  }
+  if (parsedGraceMonths < 0 || parsedGraceMonths >= initialTotalMonths) {
+    return EMPTY_RESULT;
+  }
+
+  const calendar = disbursementDate
+    ? buildLoanCalendar({ disbursementDate, paymentDay, dayCountConvention, paymentFrequency }, initialTotalMonths * 2 + 1)
+    : null;
+  if (disbursementDate && !calendar) {
+    return EMPTY_RESULT;
+  }
+
+  const loan = {
+    principal,
+    annualRatePercentage,
+    rateChanges,
+    totalMonths: initialTotalMonths,
+    firstPaymentCalendarMonth: calendar ? calendar.firstPaymentCalendarMonth : firstPaymentCalendarMonth,
+    amortizationSystem,
+    planOptions: {
+      installmentGrowth: parseFloat(installmentGrowth) || 0,
+      balloonAmount: principal * (parseFloat(balloonPercentage) || 0) / 100,
+      periodsPerYear: PAYMENT_FREQUENCIES[paymentFrequency].periodsPerYear,
+    },
+    graceMonths: parsedGraceMonths,
+    graceType,
+    calendar,
+    periodsPerYear: PAYMENT_FREQUENCIES[paymentFrequency].periodsPerYear,
+  };
+
+  const baseline = runAmortization({ ...loan, extraPayments: [] });
+  const result = runAmortization({
+    ...loan,
+    extraPayments: calendar ? resolveExtraPaymentDates(extraPayments, calendar.dueDates) : extraPayments,
+  });
+  const baselineTotalInterest = baseline.totalInterestPaid + baseline.totalCapitalizedInterest;
+
+  return {
+    ...result,
+    monthlyPayment: result.schedule[parsedGraceMonths]?.monthlyPayment || result.schedule[0]?.monthlyPayment || 0,
+    totalMonths: initialTotalMonths,
+    baselineTotalInterest,
+    totalInterestSaved: baselineTotalInterest - result.totalInterestPaid - result.totalCapitalizedInterest,
+    // The same loan without extra payments, to compare against.
+    baselineSchedule: baseline.schedule,
+  };
+};
+
+export const calculateTotalInterestWithoutExtraPayments = (principal, annualRatePercentage, totalMonths, options = {}) =>
+  calculateAmortization({
+    ...options,
+    loanAmount: principal,
+    annualInterestRate: annualRatePercentage,
+    loanTerm: totalMonths,
+    loanTermUnit: 'months',
+  }).baselineTotalInterest;
@@ -0,0 +1,112 @@
+// Due dates and day-count conventions. Dates are ISO strings (YYYY-MM-DD) and are
+// handled in UTC so that time zones never shift a due date.
+
+export const DAY_COUNT_CONVENTIONS = ['30/360', 'actual/365', 'actual/360'];
+
+// Installments per year, and the distance between due dates in days or months.
+export const PAYMENT_FREQUENCIES = {
+  weekly: { periodsPerYear: 52, days: 7 },
+  biweekly: { periodsPerYear: 26, days: 14 },
+  monthly: { periodsPerYear: 12, months: 1 },
+  bimonthly: { periodsPerYear: 6, months: 2 },
+  quarterly: { periodsPerYear: 4, months: 3 },
+  semiannual: { periodsPerYear: 2, months: 6 },
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const parseDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 ? date : null;
+};
+
+export const formatISODate = (date) => date.toISOString().slice(0, 10);
+
+const daysInMonth = (year, monthIndex) => new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+// Due dates for installments 0..periods. Installment 0 is the disbursement date.
+// Weekly and biweekly installments fall every 7 or 14 days; the others fall on
+// `paymentDay` of every 1, 2, 3 or 6 calendar months, or on the last day of the
+// month when it is shorter.
+export const getDueDates = (disbursementDate, paymentDay, periods, paymentFrequency = 'monthly') => {
+  const start = parseDate(disbursementDate);
+  const frequency = PAYMENT_FREQUENCIES[paymentFrequency];
+  if (!start || !frequency) return null;
+  const dates = [start];
+  for (let period = 1; period <= periods; period++) {
+    if (frequency.days) {
+      dates.push(new Date(start.getTime() + period * frequency.days * MS_PER_DAY));
+      continue;
+    }
+    const monthsAhead = start.getUTCMonth() + period * frequency.months;
+    const year = start.getUTCFullYear() + Math.floor(monthsAhead / 12);
+    const monthIndex = monthsAhead % 12;
+    dates.push(new Date(Date.UTC(year, monthIndex, Math.min(paymentDay, daysInMonth(year, monthIndex)))));
+  }
+  return dates;
+};
+
+const monthsBetween = (start, end) => (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+
+// 30E/360 with the last day of any month counted as day 30, so every regular
+// period is exactly 30 days even when the payment day is clamped.
+const days360 = (start, end) => {
+  const day = (date) => (date.getUTCDate() === daysInMonth(date.getUTCFullYear(), date.getUTCMonth()) ? 30 : Math.min(date.getUTCDate(), 30));
+  return 360 * (end.getUTCFullYear() - start.getUTCFullYear())
+    + 30 * (end.getUTCMonth() - start.getUTCMonth())
+    + day(end) - day(start);
+};
+
+export const getDayCount = (start, end, convention) => (
+  convention === '30/360' ? days360(start, end) : Math.round((end - start) / MS_PER_DAY)
+);
+
+// Fraction of a year between two dates under `convention`.
+export const getYearFraction = (start, end, convention) => {
+  const days = getDayCount(start, end, convention);
+  return days / (convention === 'actual/365' ? 365 : 360);
+};
+
+// Loan month in which an abono made on `date` is applied. Abonos are applied at the
+// start of a month, so one made between two due dates counts from the next one.
+export const getMonthForDate = (dueDates, date) => {
+  const target = parseDate(date);
+  if (!target) return null;
+  const index = dueDates.findIndex(dueDate => dueDate >= target);
+  return index === -1 ? dueDates.length : index + 1;
+};
+
+// Replaces `date`, `startDate` and `endDate` on extra payments with the loan months
+// they fall in. Entries whose date cannot be read are dropped.
+export const resolveExtraPaymentDates = (extraPayments, dueDates) => extraPayments
+  .map((ep) => {
+    const resolved = { ...ep };
+    [['date', 'month'], ['startDate', 'startMonth'], ['endDate', 'endMonth']].forEach(([dateKey, monthKey]) => {
+      if (ep[dateKey]) resolved[monthKey] = getMonthForDate(dueDates, ep[dateKey]);
+    });
+    return resolved;
+  })
+  .filter(ep => (ep.type === 'recurring' ? ep.startMonth !== null : ep.month !== null));
+
+// Calendar of a loan disbursed on `disbursementDate`: due dates, the year fraction
+// of every period, the calendar months elapsed from the first installment to each
+// one and the calendar month of the first installment. Returns null when there is
+// no valid disbursement date.
+export const buildLoanCalendar = ({ disbursementDate, paymentDay, dayCountConvention = '30/360', paymentFrequency = 'monthly' }, periods) => {
+  const start = parseDate(disbursementDate);
+  if (!start) return null;
+  const day = parseInt(paymentDay) || start.getUTCDate();
+  if (day < 1 || day > 31 || !DAY_COUNT_CONVENTIONS.includes(dayCountConvention)) return null;
+
+  const dueDates = getDueDates(disbursementDate, day, periods, paymentFrequency);
+  if (!dueDates) return null;
+  return {
+    dueDates,
+    yearFractions: dueDates.map((dueDate, period) => (period === 0 ? 0 : getYearFraction(dueDates[period - 1], dueDate, dayCountConvention))),
+    monthOffsets: dueDates.map(dueDate => monthsBetween(dueDates[1], dueDate)),
+    firstPaymentCalendarMonth: dueDates[1].getUTCMonth() + 1,
+  };
+};
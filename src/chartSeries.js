@@ -0,0 +1,58 @@
+// Views of an amortization schedule other than one row per period: balance
+// against the loan without extra payments, cumulative interest and principal,
+// and yearly groups and totals.
+
+// Balance after each period, starting from the disbursement at month 0. The
+// baseline keeps going after an early payoff, so the two curves have the
+// length of the longer schedule; a curve is null once its loan has ended.
+export const buildBalanceSeries = (schedule, baselineSchedule, loanAmount) => {
+  const principal = parseFloat(loanAmount) || 0;
+  const length = Math.max(schedule.length, baselineSchedule.length);
+  const points = [{ month: 0, balance: principal, baselineBalance: principal, extraPayment: 0 }];
+  for (let index = 0; index < length; index++) {
+    const row = schedule[index];
+    const baselineRow = baselineSchedule[index];
+    points.push({
+      month: index + 1,
+      balance: row ? row.remainingBalance : null,
+      baselineBalance: baselineRow ? baselineRow.remainingBalance : null,
+      extraPayment: row?.extraPaymentApplied || 0,
+    });
+  }
+  return points;
+};
+
+// Interest and principal paid so far after each period. Extra payments count
+// as principal; capitalized interest is left out because it is paid later as
+// principal.
+export const buildCumulativeSeries = (schedule) => {
+  let interest = 0;
+  let principal = 0;
+  return schedule.map((row) => {
+    interest += row.interestPayment;
+    principal += row.principalPayment + (row.extraPaymentApplied || 0);
+    return { month: row.month, interest, principal, extraPayment: row.extraPaymentApplied || 0 };
+  });
+};
+
+// Rows of the schedule split by year: calendar years when the schedule has due
+// dates, otherwise loan years of `periodsPerYear` installments each.
+export const groupByYear = (schedule, periodsPerYear) => {
+  const years = new Map();
+  schedule.forEach((row) => {
+    const year = row.dueDate ? Number(row.dueDate.slice(0, 4)) : Math.ceil(row.month / periodsPerYear);
+    if (!years.has(year)) years.set(year, []);
+    years.get(year).push(row);
+  });
+  return [...years].map(([year, rows]) => ({ year, rows }));
+};
+
+export const sumField = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+
+export const aggregateByYear = (schedule, periodsPerYear) => groupByYear(schedule, periodsPerYear).map(({ year, rows }) => ({
+  year,
+  principal: sumField(rows, 'principalPayment'),
+  interest: sumField(rows, 'interestPayment'),
+  capitalizedInterest: sumField(rows, 'capitalizedInterest'),
+  extraPayment: sumField(rows, 'extraPaymentApplied'),
+}));
@@ -0,0 +1,72 @@
+// Insurance and fees charged on top of the installment, and the effective annual
+// cost (costo efectivo anual) of the resulting cash flows.
+
+import { getDayCount, parseDate } from './calendar.js';
+import { findRoot } from './rootFinding.js';
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// Internal rate of return of `cashFlows`, found by bisection. Flow k happens at
+// `times[k]` periods (by default k, i.e. a monthly rate for monthly flows).
+// Returns NaN when the flows never change sign.
+export const calculateIRR = (cashFlows, low = -0.99, high = 1, times = cashFlows.map((_, k) => k)) => {
+  const npv = (rate) => cashFlows.reduce((sum, flow, k) => sum + flow / Math.pow(1 + rate, times[k]), 0);
+  return findRoot(npv, low, high, { tolerance: 1e-12 });
+};
+
+export const hasLoanCosts = (costs) => (
+  ['lifeInsuranceRate', 'propertyInsuranceRate', 'monthlyFee', 'openingFee', 'studyFee'].some(key => toNumber(costs[key]) > 0)
+);
+
+// Adds lifeInsurance, propertyInsurance, managementFee and totalPayment to every
+// schedule row. Insurance rates and the management fee are monthly: life insurance
+// on the balance at the start of the period, property insurance on `propertyValue`,
+// and all of them scaled to the months an installment covers. When the rows carry
+// due dates, the effective annual cost is measured over the actual days elapsed
+// since `disbursementDate`.
+export const applyLoanCosts = (loanAmount, schedule, costs = {}, { disbursementDate = null, periodsPerYear = 12 } = {}) => {
+  const principal = toNumber(loanAmount);
+  const monthsPerPeriod = 12 / periodsPerYear;
+  const lifeInsuranceRate = toNumber(costs.lifeInsuranceRate) / 100 * monthsPerPeriod;
+  const propertyInsurance = toNumber(costs.propertyValue) * toNumber(costs.propertyInsuranceRate) / 100 * monthsPerPeriod;
+  const monthlyFee = toNumber(costs.monthlyFee) * monthsPerPeriod;
+  const upfrontFees = toNumber(costs.openingFee) + toNumber(costs.studyFee);
+
+  let openingBalance = principal;
+  const rows = schedule.map((row) => {
+    const lifeInsurance = openingBalance * lifeInsuranceRate;
+    openingBalance = row.remainingBalance;
+    return {
+      ...row,
+      lifeInsurance,
+      propertyInsurance,
+      managementFee: monthlyFee,
+      totalPayment: row.monthlyPayment + lifeInsurance + propertyInsurance + monthlyFee,
+    };
+  });
+
+  // Abonos are applied before the period's interest accrues, so they count as paid
+  // at the end of the previous period.
+  const cashFlows = [principal - upfrontFees, ...rows.map(row => -row.totalPayment)];
+  rows.forEach((row, index) => {
+    cashFlows[index] -= row.extraPaymentApplied || 0;
+  });
+  const start = parseDate(disbursementDate);
+  let effectiveAnnualCost = NaN;
+  if (rows.length > 0 && start && rows[0].dueDate) {
+    const times = [start, ...rows.map(row => parseDate(row.dueDate))].map(date => getDayCount(start, date, 'actual/365') / 365);
+    const annualIRR = calculateIRR(cashFlows, -0.99, 10, times);
+    effectiveAnnualCost = annualIRR * 100;
+  } else if (rows.length > 0) {
+    const periodicIRR = calculateIRR(cashFlows);
+    effectiveAnnualCost = (Math.pow(1 + periodicIRR, periodsPerYear) - 1) * 100;
+  }
+
+  return {
+    schedule: rows,
+    upfrontFees,
+    totalInsurance: rows.reduce((sum, row) => sum + row.lifeInsurance + row.propertyInsurance, 0),
+    totalManagementFees: rows.reduce((sum, row) => sum + row.managementFee, 0),
+    effectiveAnnualCost,
+  };
+};
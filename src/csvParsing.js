@@ -0,0 +1,51 @@
+// Reading of amounts, dates and cells typed by hand or exported from a bank, shared
+// by every import of payments.
+import { parseDate } from './calendar.js';
+
+// Reads amounts as written in Colombian bank statements ("$ 1.234.567,89") as
+// well as plain numbers ("1234567.89"). A lone separator followed by exactly
+// three digits is taken as a thousands separator.
+export const parseAmount = (value) => {
+  const text = String(value ?? '').replace(/[^0-9.,-]/g, '');
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+  let normalized;
+  if (lastComma !== -1 && lastDot !== -1) {
+    normalized = lastComma > lastDot ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  } else {
+    const separator = lastComma !== -1 ? ',' : '.';
+    const parts = text.split(separator);
+    normalized = parts.length > 2 || (parts.length === 2 && parts[1].length === 3) ? parts.join('') : parts.join('.');
+  }
+  const amount = parseFloat(normalized);
+  return isNaN(amount) ? null : Math.abs(amount);
+};
+
+// Accepts YYYY-MM-DD, DD/MM/YYYY and DD-MM-YYYY. Returns an ISO date or null.
+export const parsePaymentDate = (value) => {
+  const text = String(value ?? '').trim();
+  if (parseDate(text)) return text;
+  const match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(text);
+  if (!match) return null;
+  const iso = `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  return parseDate(iso) ? iso : null;
+};
+
+export const splitCSVLine = (line) => {
+  const separator = /[;\t]/.test(line) ? /[;\t]/ : ',';
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (separator === ',' ? char === ',' : separator.test(char))) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells.map(value => value.trim());
+};
@@ -0,0 +1,62 @@
+// Extra payments typed in bulk, and checks of each one against the schedule it
+// is applied to.
+import { parseAmount, parsePaymentDate, splitCSVLine } from './csvParsing.js';
+
+const REDUCE_INSTALLMENT_PATTERN = /cuota|installment/i;
+
+// Loan month in which an extra payment is made, or in which a recurring one starts.
+export const getExtraPaymentMonth = (ep) => (ep.type === 'recurring' ? ep.startMonth : ep.month);
+
+// Extra payments from pasted text or a CSV file, one per line: a period number or
+// a date, then the amount, and optionally "cuota" / "installment" to reduce the
+// installment instead of the term. Lines without a period or date and an amount,
+// such as headers, are counted in `skippedLines`. Amounts are read with
+// `parseNumber`, usually the one of the user's locale.
+export const parseExtraPaymentsCSV = (text, parseNumber = parseAmount) => {
+  const extraPayments = [];
+  let skippedLines = 0;
+  String(text).split(/\r?\n/).filter(line => line.trim() !== '').forEach((line) => {
+    const [first, ...rest] = splitCSVLine(line);
+    const date = parsePaymentDate(first);
+    const month = /^\d+$/.test(first) ? parseInt(first) : null;
+    const amount = rest.map(cell => parseNumber(cell)).find(value => value > 0);
+    if ((date || month > 0) && amount) {
+      extraPayments.push({
+        amount,
+        ...(date ? { date } : { month }),
+        mode: rest.some(cell => REDUCE_INSTALLMENT_PATTERN.test(cell)) ? 'reduceInstallment' : 'reduceTerm',
+      });
+    } else {
+      skippedLines++;
+    }
+  });
+  return { extraPayments, skippedLines };
+};
+
+// Extra payments that will not be applied as entered, keyed by id: those made
+// after the loan is paid off, and one-off payments that, together with the other
+// one-off payments of their month, exceed the balance at that point. A recurring
+// payment is only flagged when it starts after payoff, since its last occurrence
+// usually pays off the loan. `extraPayments` must already have their dates
+// resolved to months.
+export const checkExtraPayments = (extraPayments, schedule, loanAmount) => {
+  const warnings = {};
+  if (schedule.length === 0) return warnings;
+  const oneOffTotals = new Map();
+  extraPayments.filter(ep => ep.type !== 'recurring').forEach((ep) => {
+    oneOffTotals.set(ep.month, (oneOffTotals.get(ep.month) || 0) + ep.amount);
+  });
+  extraPayments.forEach((ep) => {
+    const month = getExtraPaymentMonth(ep);
+    if (month > schedule.length) {
+      warnings[ep.id] = { type: 'afterPayoff' };
+      return;
+    }
+    if (ep.type === 'recurring') return;
+    const balance = month === 1 ? parseFloat(loanAmount) || 0 : schedule[month - 2].remainingBalance;
+    if (oneOffTotals.get(month) > balance + 0.01) {
+      warnings[ep.id] = { type: 'exceedsBalance', balance };
+    }
+  });
+  return warnings;
+};
@@ -0,0 +1,121 @@
+// Language, number format and currency of the simulator. UI text comes from a
+// message catalog per language in ./locales; adding a language means adding a
+// catalog with the same keys and listing it in LANGUAGES.
+import { parseDate } from './calendar.js';
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+export const LANGUAGES = {
+  es: { name: 'Español', messages: es },
+  en: { name: 'English', messages: en },
+};
+
+// Keys missing from a catalog fall back to this language.
+const FALLBACK_LANGUAGE = 'es';
+
+// Locales offered for numbers and dates.
+export const NUMBER_LOCALES = ['es-CO', 'es-MX', 'es-ES', 'en-US', 'en-GB', 'de-DE'];
+
+// Decimals shown for each currency. Pesos are quoted without cents in Colombia
+// and Chile even though ISO 4217 gives COP two decimals.
+export const CURRENCIES = {
+  COP: { decimals: 0 },
+  USD: { decimals: 2 },
+  EUR: { decimals: 2 },
+  MXN: { decimals: 2 },
+  PEN: { decimals: 2 },
+  CLP: { decimals: 0 },
+};
+
+export const DEFAULT_SETTINGS = { language: 'es', locale: 'es-CO', currency: 'COP' };
+
+export const SETTINGS_STORAGE_KEY = 'simulador-prestamos:preferencias';
+
+const getStorage = () => (typeof localStorage === 'undefined' ? null : localStorage);
+
+// Saved settings, with the default for any value that is missing or no longer offered.
+export const loadSettings = (storage = getStorage()) => {
+  try {
+    const saved = JSON.parse(storage?.getItem(SETTINGS_STORAGE_KEY) || '{}') || {};
+    return {
+      language: LANGUAGES[saved.language] ? saved.language : DEFAULT_SETTINGS.language,
+      locale: NUMBER_LOCALES.includes(saved.locale) ? saved.locale : DEFAULT_SETTINGS.locale,
+      currency: CURRENCIES[saved.currency] ? saved.currency : DEFAULT_SETTINGS.currency,
+    };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+// Returns false when the browser refuses to store them.
+export const saveSettings = (settings, storage = getStorage()) => {
+  try {
+    storage?.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Message for `key` with every `{name}` replaced by `params.name`. Unknown keys
+// are returned as they are, so a missing translation shows up on screen.
+export const translate = (language, key, params = {}) => {
+  const message = LANGUAGES[language]?.messages[key] ?? LANGUAGES[FALLBACK_LANGUAGE].messages[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+export const createTranslator = (language) => (key, params) => translate(language, key, params);
+
+// Month names of `language`, January first, as written within a sentence.
+export const getMonthNames = (language) => {
+  const format = new Intl.DateTimeFormat(language, { month: 'long', timeZone: 'UTC' });
+  return Array.from({ length: 12 }, (_, index) => format.format(new Date(Date.UTC(2000, index, 1))));
+};
+
+export const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+export const getCurrencyName = (currency, language) => {
+  try {
+    return new Intl.DisplayNames(language, { type: 'currency' }).of(currency);
+  } catch {
+    return currency;
+  }
+};
+
+// Reads a number typed with the separators of `locale`: group separators are
+// ignored and the decimal separator may appear once. Returns NaN without digits.
+export const parseLocaleNumber = (value, locale) => {
+  const decimal = new Intl.NumberFormat(locale).formatToParts(1.1).find(part => part.type === 'decimal').value;
+  const [integer, ...fractions] = String(value ?? '').split(decimal);
+  const digits = (text) => text.replace(/[^0-9]/g, '');
+  const cleaned = digits(integer) + (fractions.length > 0 ? '.' + digits(fractions.join('')) : '');
+  return /[0-9]/.test(cleaned) ? parseFloat(cleaned) : NaN;
+};
+
+// Formatting and parsing for the chosen locale and currency.
+export const createNumberFormat = ({ locale, currency }) => {
+  const { decimals } = CURRENCIES[currency] || CURRENCIES[DEFAULT_SETTINGS.currency];
+  const currencyFormat = new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  const compactFormat = new Intl.NumberFormat(locale, { style: 'currency', currency, notation: 'compact', maximumFractionDigits: 1 });
+  const dateFormat = new Intl.DateTimeFormat(locale, { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'UTC' });
+  const currencySymbol = new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' })
+    .formatToParts(0).find(part => part.type === 'currency').value;
+
+  const formatNumber = (value, fractionDigits = decimals) => new Intl.NumberFormat(locale, {
+    minimumFractionDigits: fractionDigits,
+    maximumFractionDigits: fractionDigits,
+  }).format(value || 0);
+
+  return {
+    locale,
+    currency,
+    decimals,
+    currencySymbol,
+    formatNumber,
+    formatCurrency: (value) => currencyFormat.format(parseFloat(value) || 0),
+    formatCompactCurrency: (value) => compactFormat.format(value || 0),
+    formatRate: (value, fractionDigits = 2) => `${formatNumber(parseFloat(value), fractionDigits)}%`,
+    formatDate: (isoDate) => dateFormat.format(parseDate(isoDate)),
+    parseNumber: (value) => parseLocaleNumber(value, locale),
+  };
+};
@@ -0,0 +1,50 @@
+// Simulated yearly certificate of interest paid on a housing loan. In Colombia
+// the interest on a loan to buy a home can be deducted from taxable income up to
+// a yearly cap expressed in UVT (Estatuto Tributario, art. 119).
+import { PAYMENT_FREQUENCIES, formatISODate, getDueDates, parseDate } from './calendar.js';
+import { groupByYear, sumField } from './chartSeries.js';
+
+export const HOUSING_INTEREST_CAP_UVT = 1200;
+
+// UVT in pesos for 2025; DIAN updates it every year.
+export const DEFAULT_UVT_VALUE = 49799;
+
+// Interest, principal and extra payments of `schedule` per calendar year, with the
+// interest that can be deducted under a cap of `capUVT` UVT of `uvtValue` pesos.
+// Schedules without due dates are dated from `firstPaymentDate`, the due date of
+// installment 1, every period of `paymentFrequency`. Returns null when the
+// schedule cannot be dated.
+export const buildInterestCertificate = (schedule, { firstPaymentDate = null, paymentFrequency = 'monthly', uvtValue, capUVT }) => {
+  let datedSchedule = schedule;
+  if (schedule.length > 0 && !schedule[0].dueDate) {
+    const start = parseDate(firstPaymentDate);
+    if (!start) return null;
+    const dueDates = getDueDates(firstPaymentDate, start.getUTCDate(), schedule.length - 1, paymentFrequency);
+    datedSchedule = schedule.map((row, index) => ({ ...row, dueDate: formatISODate(dueDates[index]) }));
+  }
+
+  const cap = (parseFloat(uvtValue) || 0) * (parseFloat(capUVT) || 0);
+  const years = groupByYear(datedSchedule, PAYMENT_FREQUENCIES[paymentFrequency].periodsPerYear).map(({ year, rows }) => {
+    const interest = sumField(rows, 'interestPayment');
+    return {
+      year,
+      installments: rows.length,
+      interest,
+      principal: sumField(rows, 'principalPayment'),
+      extraPayment: sumField(rows, 'extraPaymentApplied'),
+      closingBalance: rows[rows.length - 1].remainingBalance,
+      deductible: Math.min(interest, cap),
+    };
+  });
+
+  return {
+    cap,
+    years,
+    totals: {
+      interest: sumField(years, 'interest'),
+      principal: sumField(years, 'principal'),
+      extraPayment: sumField(years, 'extraPayment'),
+      deductible: sumField(years, 'deductible'),
+    },
+  };
+};
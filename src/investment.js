@@ -0,0 +1,67 @@
+// Prepaying the loan versus investing the same money. Both choices spend the same
+// cash every period: the planned extra payments plus the installment of the loan
+// without them. Prepaying sends the extra payments to the loan and invests
+// whatever the smaller or fewer installments free up; investing keeps the
+// original loan and invests the extra payments. Net worth is the investment
+// minus the loan balance.
+import { calculatePeriodRate } from './amortization.js';
+import { PAYMENT_FREQUENCIES } from './calendar.js';
+import { findRoot } from './rootFinding.js';
+import { calculateScenario } from './scenarios.js';
+
+// Highest return rate tried when looking for the break-even rate, in percent EA.
+const MAX_BREAK_EVEN_RATE = 300;
+
+const paymentOf = (row) => (row ? row.totalPayment : 0);
+
+// Net worth after each period for both choices, until the loan without extra
+// payments ends. `returnRate` is effective annual and `withholdingTax` is the
+// percentage withheld from the returns.
+const simulatePaths = (withExtras, withoutExtras, loanAmount, returnRate, withholdingTax, periodsPerYear) => {
+  const periodicReturn = calculatePeriodRate(parseFloat(returnRate) || 0, 1 / periodsPerYear) * (1 - (parseFloat(withholdingTax) || 0) / 100);
+  let prepayInvestment = 0;
+  let investInvestment = 0;
+  const points = [{ month: 0, prepay: -loanAmount, invest: -loanAmount }];
+
+  withoutExtras.forEach((row, index) => {
+    const prepayRow = withExtras[index];
+    // Extra payments are made at the start of the period, before interest accrues.
+    const extraPayment = prepayRow?.extraPaymentApplied || 0;
+    investInvestment = (investInvestment + extraPayment) * (1 + periodicReturn);
+    prepayInvestment = prepayInvestment * (1 + periodicReturn) + paymentOf(row) - paymentOf(prepayRow);
+    points.push({
+      month: row.month,
+      prepay: prepayInvestment - (prepayRow ? prepayRow.remainingBalance : 0),
+      invest: investInvestment - row.remainingBalance,
+    });
+  });
+  return points;
+};
+
+// Compares the extra payments in `inputs` (as saved in a scenario) with
+// investing them at `returnRate`. Returns the net worth paths, the final
+// advantage of prepaying (negative when investing wins) and the return rate at
+// which both choices end even, or null when there are no extra payments.
+export const comparePrepayingWithInvesting = (inputs, { returnRate, withholdingTax = 0 }) => {
+  const { periodsPerYear } = PAYMENT_FREQUENCIES[inputs.paymentFrequency] || PAYMENT_FREQUENCIES.monthly;
+  const loanAmount = parseFloat(inputs.loanAmount) || 0;
+  const withExtras = calculateScenario(inputs).schedule;
+  const withoutExtras = calculateScenario({ ...inputs, extraPayments: [] }).schedule;
+  if (withoutExtras.length === 0 || !withExtras.some(row => row.extraPaymentApplied > 0)) return null;
+
+  const finalAdvantage = (rate) => {
+    const points = simulatePaths(withExtras, withoutExtras, loanAmount, rate, withholdingTax, periodsPerYear);
+    const last = points[points.length - 1];
+    return last.prepay - last.invest;
+  };
+  const points = simulatePaths(withExtras, withoutExtras, loanAmount, returnRate, withholdingTax, periodsPerYear);
+  const last = points[points.length - 1];
+
+  return {
+    points,
+    prepayNetWorth: last.prepay,
+    investNetWorth: last.invest,
+    advantage: last.prepay - last.invest,
+    breakEvenRate: findRoot(finalAdvantage, 0, MAX_BREAK_EVEN_RATE),
+  };
+};
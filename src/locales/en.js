@@ -0,0 +1,553 @@
+// English messages, with the same keys as es.js.
+export default {
+  'frequency.weekly': 'Weekly',
+  'frequency.biweekly': 'Biweekly',
+  'frequency.monthly': 'Monthly',
+  'frequency.bimonthly': 'Bimonthly',
+  'frequency.quarterly': 'Quarterly',
+  'frequency.semiannual': 'Semiannual',
+
+  'dayCount.30/360': '30/360 (30-day months)',
+  'dayCount.actual/365': 'Actual/365',
+  'dayCount.actual/360': 'Actual/360',
+
+  'extraPaymentMode.reduceTerm': 'Shorten the term',
+  'extraPaymentMode.reduceInstallment': 'Lower the installment',
+
+  'amortizationSystem.french': 'Fixed installment (French system)',
+  'amortizationSystem.constantPrincipal': 'Constant principal (German system)',
+  'amortizationSystem.growingInstallment': 'Installment growing every year',
+  'amortizationSystem.bullet': 'Single payment at maturity (bullet)',
+  'amortizationSystem.balloon': 'Installment with residual value (balloon)',
+
+  'graceType.total': 'Full grace (interest capitalized)',
+  'graceType.partial': 'Partial grace (interest only)',
+
+  'rate.real': 'Real Rate',
+  'rate.tea': 'EAR',
+
+  'installment.column': '{frequency} Installment',
+  'installment.first': 'First {frequency} Installment',
+
+  'period.month': 'Month',
+  'period.period': 'Period',
+  'period.months': 'months',
+  'period.periods': 'periods',
+
+  'share.error.invalid': 'The simulation link is not valid. Check that it was copied in full.',
+  'share.error.olderVersion': 'The link was created with an earlier version of the simulator and can no longer be opened. Ask for a new link.',
+  'share.error.newerVersion': 'The link was created with a newer version of the simulator. Reload the page to update it.',
+  'share.error.damaged': 'The simulation link is damaged. Check that it was copied in full.',
+  'share.error.invalidData': 'The simulation link contains data that is not valid.',
+  'share.copy': 'Copy link',
+  'share.copied': 'Link copied. Anyone who opens it will see this same simulation.',
+  'share.copyManually': 'It could not be copied automatically. Copy this link:',
+
+  'rateChange.error.month': 'Please enter a valid {period} for the rate change (between 2 and {max}).',
+  'rateChange.error.index': 'Please enter the index value and the spread.',
+  'rateChange.error.tea': 'Please enter a valid effective annual rate for the rate change.',
+  'rateChange.title': 'Variable Rate (IBR / DTF)',
+  'rateChange.newRate': 'New rate:',
+  'rateChange.indexed': 'Index + spread',
+  'rateChange.fixed': 'Fixed EAR',
+  'rateChange.indexValue': 'Index value (% EA):',
+  'rateChange.indexName': 'Reference index',
+  'rateChange.spread': 'Spread (points):',
+  'rateChange.tea': 'EAR in %:',
+  'rateChange.add': 'Add Rate Change',
+  'rateChange.remove': 'Remove the rate change of {period} {month}',
+
+  'extra.error.amount': 'Please enter a valid amount for the extra payment.',
+  'extra.error.date': 'Please enter a valid date, on or after the disbursement date.',
+  'extra.error.month': 'Please enter a valid {period} (between 1 and {max}).',
+  'extra.error.endMonth': 'The last {period} must be equal to or after the first one, or left empty to keep paying until the loan is paid off.',
+  'extra.error.interval': 'Please enter every how many {periods} the extra payment repeats.',
+  'extra.error.calendarMonths': 'Please select at least one month of the year for the extra payment.',
+  'extra.error.growth': 'Please enter a valid annual growth.',
+  'extra.describe.onDate': '{amount} on {date}',
+  'extra.describe.inPeriod': '{amount} in {period} {month}',
+  'extra.describe.everyMonth': 'every month',
+  'extra.describe.everyPeriod': 'every period',
+  'extra.describe.everyInterval': 'every {interval} {periods}',
+  'extra.describe.everyCalendarMonths': 'every {months}',
+  'extra.describe.startDate': '{date}',
+  'extra.describe.startPeriod': '{period} {month}',
+  'extra.describe.range': 'from {start} to {period} {end}',
+  'extra.describe.rangeOpen': 'from {start} until the loan is paid off',
+  'extra.describe.growth': ', growing {growth}% a year',
+  'extra.title': 'Extra Payments',
+  'extra.type': 'Extra payment type',
+  'extra.single': 'One-off payment',
+  'extra.recurring': 'Recurring payment',
+  'extra.amount': 'Extra Payment Amount:',
+  'extra.scheduleBy': 'Schedule the payment by',
+  'extra.byPeriod': 'By {period} number',
+  'extra.byDate': 'By date',
+  'extra.fromDate': 'From the date:',
+  'extra.date': 'Date it is made:',
+  'extra.dateHint': 'A payment made between two installments reduces the balance from the next due date.',
+  'extra.period': '{period} it is made in:',
+  'extra.endPeriod': 'Until {period} (empty = until the loan is paid off):',
+  'extra.frequency': 'Frequency:',
+  'extra.everyN': 'Every N {periods}',
+  'extra.calendarMonths': 'In specific months of the year',
+  'extra.interval': 'Repeat every ({periods}):',
+  'extra.monthsOfYear': 'Months of the year:',
+  'extra.firstPaymentMonth': 'Installment 1 is paid in:',
+  'extra.growth': 'Annual growth of the payment in % (optional):',
+  'extra.mode': 'What should the payment reduce?',
+  'extra.add': 'Add Extra Payment',
+  'extra.list': 'Extra Payments Added:',
+  'extra.applied': '{count} payments applied · {total}',
+  'extra.modeOf': 'Mode of the payment: {description}',
+  'extra.remove': 'Remove payment: {description}',
+  'extra.empty': 'No extra payments added yet.',
+  'extra.undo': 'Undo',
+  'extra.redo': 'Redo',
+  'extra.edit.of': 'Edit payment: {description}',
+  'extra.edit.amount': 'Amount',
+  'extra.edit.amountEach': 'Amount of each payment',
+  'extra.edit.period': '{period}',
+  'extra.edit.startPeriod': 'From {period}',
+  'extra.edit.date': 'Date',
+  'extra.edit.startDate': 'From date',
+  'extra.edit.save': 'Save',
+  'extra.edit.cancel': 'Cancel',
+  'extra.warning.exceedsBalance': 'Exceeds the balance of {balance} at that {period}; only the balance is paid.',
+  'extra.warning.afterPayoff': 'The loan is already paid off by that {period}, so this payment is not applied.',
+  'extra.import.title': 'Import payments from text or CSV',
+  'extra.import.hint': 'One line per payment: the {period} or the date, and the amount. Add "installment" to reduce the installment instead of the term.',
+  'extra.import.paste': 'Or paste the payments here:',
+  'extra.import.installmentKeyword': 'installment',
+  'extra.import.button': 'Import payments',
+  'extra.import.done': 'Imported {count} payments.',
+  'extra.import.doneSkipping': 'Imported {count} payments; skipped {skipped} lines that could not be read or fall outside the loan.',
+  'extra.import.none': 'No payments found. Each line needs a {period} or a date within the loan, and an amount.',
+
+  'app.title': 'Loan Simulator',
+
+  'pdf.advisor': 'Advisor: {name}',
+  'pdf.customer': 'Customer: {name}',
+  'pdf.subtitle': 'Generated on {date}',
+  'pdf.subtitleWithEntity': 'Loan simulation · {date}',
+  'pdf.conditions': 'Loan Conditions',
+  'pdf.loanAmount': 'Original Amount',
+  'pdf.agreedRate': 'Agreed Rate',
+  'pdf.realRate': 'Real Rate (UVR + %)',
+  'pdf.effectiveAnnualRate': 'Effective Annual Rate (EAR)',
+  'pdf.periodicRate': '{frequency} Effective Rate',
+  'pdf.term': 'Term',
+  'pdf.termYears': '{term} years ({installments} installments)',
+  'pdf.termMonths': '{term} months ({installments} installments)',
+  'pdf.paymentFrequency': 'Payment Frequency',
+  'pdf.amortizationSystem': 'Amortization System',
+  'pdf.installmentGrowth': 'Annual Installment Growth',
+  'pdf.balloon': 'Residual Value',
+  'pdf.uvrInitialValue': 'Initial UVR Value',
+  'pdf.uvrAmount': 'Amount in UVR',
+  'pdf.inflation': 'Projected Inflation',
+  'pdf.ratePeriods': 'Rate {periods} {from}-{to}',
+  'pdf.disbursementDate': 'Disbursement Date',
+  'pdf.firstInstallment': 'First Installment',
+  'pdf.usuryRate': 'Usury Rate',
+  'pdf.usuryExceeded': '(EXCEEDED)',
+  'pdf.grace': 'Grace Period',
+  'pdf.graceTotal': '{count} {periods}, full',
+  'pdf.gracePartial': '{count} {periods}, partial',
+  'pdf.lifeInsurance': 'Borrower Life Insurance',
+  'pdf.lifeInsuranceRate': '{rate} monthly on the balance',
+  'pdf.propertyInsurance': 'Fire and Earthquake Insurance',
+  'pdf.propertyInsuranceRate': '{rate} monthly on {value}',
+  'pdf.managementFee': 'Management Fee',
+  'pdf.upfrontFees': 'Upfront Fees',
+  'pdf.numberOfPayments': 'Actual Number of Payments',
+  'pdf.totalInterest': 'Total Interest Paid',
+  'pdf.interestSaved': 'Total Interest Saved',
+  'pdf.capitalizedInterest': 'Capitalized Interest',
+  'pdf.totalPayment': 'Total {frequency} Payment',
+  'pdf.totalInsurance': 'Total Insurance',
+  'pdf.totalManagementFees': 'Total Management Fees',
+  'pdf.effectiveAnnualCost': 'Effective Annual Cost',
+  'pdf.extraPayments': 'Extra Payments',
+  'pdf.extraPayment': 'Extra Payment',
+  'pdf.extraPaymentMode': 'Mode',
+  'pdf.extraPaymentTotal': 'Total Paid',
+  'pdf.monthlyPayments': 'Payments Month by Month',
+  'pdf.periodPayments': 'Payments by Period',
+  'pdf.balanceEvolution': 'Balance Over Time',
+  'pdf.installmentReduced': '(lower installment)',
+  'pdf.graceRow': '(grace)',
+  'pdf.extraPaymentColumn': 'Extra Payment',
+  'pdf.insurance': 'Insurance',
+  'pdf.managementFeeColumn': 'Mgmt. Fee',
+  'pdf.page': 'Page {page} of {pages}',
+  'pdf.download': 'Download PDF',
+  'pdf.header': 'PDF header',
+  'pdf.pdfEntity': 'Lender',
+  'pdf.pdfAdvisor': 'Advisor',
+  'pdf.pdfCustomer': 'Customer',
+  'pdf.pdfEntityPlaceholder': 'Bank or credit union',
+  'pdf.pdfAdvisorPlaceholder': 'Advisor name',
+  'pdf.pdfCustomerPlaceholder': 'Customer name',
+  'pdf.error': 'The PDF could not be created. Reload the page and try again.',
+
+  'chart.principal': 'Principal',
+  'chart.interest': 'Interest',
+  'chart.capitalizedInterest': 'Capitalized interest',
+  'chart.extraPayment': 'Extra payment',
+  'chart.balance': 'Remaining balance',
+  'chart.monthlyTitle': 'Payments month by month',
+  'chart.periodTitle': 'Payments by period',
+  'chart.grace': 'Grace period',
+  'chart.uvrTitle': 'Balance in currency and in UVR over time',
+  'chart.balanceCurrency': 'Balance in currency',
+  'chart.balanceUVR': 'Balance in UVR',
+  'chart.views': 'Chart view',
+  'chart.view.payments': 'Payments',
+  'chart.view.balance': 'Balance',
+  'chart.view.cumulative': 'Cumulative',
+  'chart.view.annual': 'By year',
+  'chart.balanceTitle': 'Balance over the life of the loan',
+  'chart.withExtraPayments': 'With extra payments',
+  'chart.withoutExtraPayments': 'Without extra payments',
+  'chart.cumulativeTitle': 'Cumulative interest and principal paid',
+  'chart.cumulativePrincipal': 'Cumulative principal (with extra payments)',
+  'chart.cumulativeInterest': 'Cumulative interest',
+  'chart.annualTitle': 'Payments by year',
+  'chart.year': 'Year',
+  'chart.loanYear': 'Loan year',
+  'chart.extraPaymentMarkers': 'Orange dots mark the extra payments.',
+  'chart.brushHint': 'Drag the ends of the bar below to focus on a range of {periods}.',
+
+  'table.title': 'Detailed Amortization Schedule',
+  'table.date': 'Date',
+  'table.interest': 'Interest',
+  'table.principal': 'Principal',
+  'table.totalPayment': 'Total Payment',
+  'table.balance': 'Remaining Balance',
+  'table.uvrValue': 'UVR Value',
+  'table.uvrBalance': 'Balance (UVR)',
+  'table.lifeInsurance': 'Life Insurance',
+  'table.propertyInsurance': 'Fire and Earthquake Insurance',
+  'table.managementFee': 'Management Fee',
+  'table.uvrInstallment': 'Installment (UVR)',
+  'table.extraPayment': 'Extra {amount}',
+  'table.graceTotal': 'Full grace · +{amount}',
+  'table.gracePartial': 'Partial grace',
+  'table.installmentReduced': 'Lower installment',
+  'table.extraPaymentColumn': 'Extra Payment',
+  'table.groupBy': 'Group the table',
+  'table.groupBy.periods': 'All installments',
+  'table.groupBy.years': 'By year',
+  'table.onlyExtraPayments': 'Only {periods} with extra payments',
+  'table.jumpToPeriod': 'Go to {period}:',
+  'table.jumpToDate': 'Go to date:',
+  'table.jump': 'Go',
+  'table.year': 'Year {year}',
+  'table.yearPeriods': '({count} {periods})',
+  'table.yearOrPeriod': 'Year / {period}',
+  'table.noExtraPayments': 'There are no extra payments in the schedule.',
+
+  'export.fileName': 'amortization_schedule',
+  'export.loanAmount': 'Loan amount',
+  'export.currency': 'Currency',
+  'export.agreedRate': 'Agreed rate (%)',
+  'export.rateType': 'Rate type',
+  'export.realRate': 'Real rate (% EA)',
+  'export.effectiveAnnualRate': 'Effective annual rate (%)',
+  'export.periodicRate': '{frequency} effective rate (%)',
+  'export.numberOfInstallments': 'Number of installments',
+  'export.paymentFrequency': 'Payment frequency',
+  'export.amortizationSystem': 'Amortization system',
+  'export.denomination': 'Denomination',
+  'export.uvrInitialValue': 'Initial UVR value',
+  'export.disbursementDate': 'Disbursement date',
+  'export.dayCountConvention': 'Day count convention',
+  'export.grace': 'Grace period ({periods})',
+  'export.graceType': 'Grace type',
+  'export.upfrontFees': 'Upfront fees',
+  'export.numberOfPayments': 'Number of payments',
+  'export.totalInterest': 'Total interest',
+  'export.interestSaved': 'Interest saved',
+  'export.capitalizedInterest': 'Capitalized interest',
+  'export.extraPayments': 'Extra payments',
+  'export.insurance': 'Insurance',
+  'export.managementFees': 'Management fees',
+  'export.effectiveAnnualCost': 'Effective annual cost (%)',
+  'export.extraPayment': 'Extra payment',
+  'export.managementFee': 'Management fee',
+  'export.totalPayment': 'Total payment',
+  'export.balance': 'Balance',
+  'export.summarySheet': 'Summary',
+  'export.conditions': 'Loan conditions',
+  'export.totals': 'Totals',
+  'export.scheduleSheet': 'Schedule',
+  'export.csvSemicolon': 'Semicolon separated, with decimal comma (Excel in Spanish)',
+  'export.csvComma': 'Comma separated, with decimal point',
+  'export.excelButton': 'Excel',
+  'export.csvSemicolonButton': 'CSV (;)',
+  'export.csvCommaButton': 'CSV (,)',
+
+  'common.close': 'Close',
+  'common.fromPeriod': 'From {period}:',
+
+  'settings.language': 'Language',
+  'settings.numberFormat': 'Number format',
+  'settings.currency': 'Currency',
+  'settings.error.storage': 'The browser did not allow saving your preferences; they apply only until you close the page.',
+
+  'usury.alert': 'Warning: the effective annual rate of {rate} exceeds the usury rate of {usuryRate}.',
+
+  'summary.withCosts': 'With insurance and management fee: {amount}',
+  'summary.effectiveAnnualCost': 'Effective Annual Cost:',
+  'summary.realRate': 'Real rate',
+  'summary.advertisedRate': 'Advertised EAR',
+  'summary.numberOfPayments': 'Number of payments:',
+  'summary.totalInterest': 'Total Interest Paid:',
+  'summary.interestSaved': 'Total Interest Saved:',
+  'summary.capitalizedInterest': 'Capitalized Interest:',
+  'summary.loanAmount': 'Original Amount:',
+
+  'loan.title': 'Loan Details',
+  'loan.amount': 'Loan Amount:',
+  'loan.denomination': 'Loan Denomination:',
+  'loan.denominationUVR': 'UVR (Colombian inflation-indexed unit)',
+  'loan.uvrInitialValue': 'UVR value at disbursement:',
+  'loan.uvrAmount': 'Amount in UVR: {amount}',
+  'loan.inflation': 'Projected annual inflation (% per year):',
+  'loan.inflationHint': 'Separate the years with semicolons. The last value holds until the end.',
+  'loan.realRate': 'Real Rate (UVR + %) in %:',
+  'loan.interestRate': 'Interest Rate in %:',
+  'loan.rateType': 'Rate type',
+  'loan.usuryRate': 'Current usury rate (EA %, optional):',
+  'loan.usuryExceeded': 'The effective annual rate ({rate}) exceeds the usury rate ({usuryRate}) by {points} points.',
+  'loan.term': 'Term:',
+  'loan.years': 'Years',
+  'loan.months': 'Months',
+  'loan.paymentFrequency': 'Payment frequency:',
+  'loan.periodicRate': '{installments} installments; equivalent {frequencyLower} effective rate: {rate}',
+  'loan.disbursementDate': 'Disbursement date (optional):',
+  'loan.paymentDay': 'Payment day of each month (empty = disbursement day):',
+  'loan.paymentDayInvalid': 'The payment day must be between 1 and 31.',
+  'loan.firstInstallment': 'First installment: {date}. Interest for the first period is charged for the days elapsed since disbursement.',
+  'loan.dayCountConvention': 'Day count convention:',
+  'loan.amortizationSystem': 'Amortization System:',
+  'loan.installmentGrowth': 'Annual installment growth in %:',
+  'loan.balloon': 'Residual value (% of the amount):',
+  'loan.grace': 'Grace Period ({periods}):',
+  'loan.graceType': 'Grace period type',
+  'loan.graceInvalid': 'The grace period must be shorter than the total term of the loan.',
+
+  'costs.title': 'Insurance and Fees',
+  'costs.lifeInsurance': 'Borrower life insurance (% monthly on the balance):',
+  'costs.monthlyFee': 'Monthly management fee:',
+  'costs.propertyValue': 'Collateral value (property):',
+  'costs.propertyInsurance': 'Fire and earthquake insurance (% monthly):',
+  'costs.openingFee': 'Opening fee:',
+  'costs.studyFee': 'Credit assessment fee:',
+
+  'rateCode.EA': 'Effective annual (EA / EAR)',
+  'rateCode.ES': 'Effective semiannual (ES)',
+  'rateCode.ET': 'Effective quarterly (ET)',
+  'rateCode.EB': 'Effective bimonthly (EB)',
+  'rateCode.EM': 'Effective monthly (EM)',
+  'rateCode.NAV': 'Nominal annual in arrears (NAV)',
+  'rateCode.NAA': 'Nominal annual in advance (NAA)',
+  'rateCode.NSV': 'Nominal semiannual in arrears (NSV)',
+  'rateCode.NSA': 'Nominal semiannual in advance (NSA)',
+  'rateCode.NTV': 'Nominal quarterly in arrears (NTV)',
+  'rateCode.NTA': 'Nominal quarterly in advance (NTA)',
+  'rateCode.NBV': 'Nominal bimonthly in arrears (NBV)',
+  'rateCode.NBA': 'Nominal bimonthly in advance (NBA)',
+  'rateCode.NMV': 'Nominal monthly in arrears (NMV)',
+  'rateCode.NMA': 'Nominal monthly in advance (NMA)',
+
+  'invest.title': 'Prepay the loan or invest?',
+  'invest.returnRate': 'Investment return (% effective annual):',
+  'invest.withholdingTax': 'Tax withheld on returns (%):',
+  'invest.empty': 'Add extra payments to compare prepaying the loan with investing that money.',
+  'invest.prepayNetWorth': 'Net worth at the end, prepaying:',
+  'invest.investNetWorth': 'Net worth at the end, investing:',
+  'invest.breakEvenRate': 'Break-even return:',
+  'invest.effectiveAnnual': '{rate} effective annual',
+  'invest.prepayWins': 'Prepaying the loan leaves you {amount} more than investing.',
+  'invest.investWins': 'Investing leaves you {amount} more than prepaying the loan.',
+  'invest.breakEvenHint': 'Investing only pays off with a return above {rate} effective annual before tax.',
+  'invest.prepay': 'Prepay the loan',
+  'invest.invest': 'Invest',
+  'invest.note': 'Net worth = accumulated investment minus the loan balance. Both cases put the same money aside each {period}.',
+
+  'scenarios.row.monthlyPayment': 'Installment',
+  'scenarios.row.numberOfPayments': 'Number of payments',
+  'scenarios.row.totalInterest': 'Total interest',
+  'scenarios.row.totalPaid': 'Total paid',
+  'scenarios.row.totalInterestSaved': 'Interest saved with extra payments',
+  'scenarios.error.name': 'Type a name for the scenario.',
+  'scenarios.error.storage': 'The browser did not allow saving the scenarios; they stay available until you close the page.',
+  'scenarios.title': 'Scenarios and offer comparison',
+  'scenarios.name': 'Scenario name',
+  'scenarios.namePlaceholder': 'Name, for example: Bank A offer',
+  'scenarios.save': 'Save current scenario',
+  'scenarios.empty': 'No saved scenarios yet. Save the current simulation to compare it with other offers.',
+  'scenarios.select': 'Select 2 to {max} scenarios to compare them.',
+  'scenarios.load': 'Load',
+  'scenarios.removeNamed': 'Delete scenario {name}',
+  'scenarios.remove': 'Delete',
+  'scenarios.concept': 'Item',
+  'scenarios.vsCheapest': '+{amount} vs. the cheapest',
+  'scenarios.balanceTitle': 'Balance over time',
+
+  'payments.error.date': 'Please enter the payment date.',
+  'payments.error.amount': 'Please enter a valid payment amount.',
+  'payments.error.noPayments': 'No payments found. Each line must have a date and an amount.',
+  'payments.imported': '{count} payments imported.',
+  'payments.importedSkipping': '{count} payments imported and {skipped} lines without a date or amount skipped.',
+  'payments.title': 'Payments made vs. plan',
+  'payments.uvrUnavailable': 'Payment reconciliation is only available for loans in currency.',
+  'payments.needsDisbursementDate': 'Enter the disbursement date to compare the payments made with the schedule dates.',
+  'payments.date': 'Payment date',
+  'payments.amount': 'Amount paid',
+  'payments.add': 'Add payment',
+  'payments.lateInterestRate': 'Late interest (% effective annual)',
+  'payments.importStatement': 'Import bank statement (CSV)',
+  'payments.pasteStatement': 'Or paste the statement lines, with the date and amount of each payment:',
+  'payments.import': 'Import payments',
+  'payments.remove': 'Remove payment of {date}',
+  'payments.removeAll': 'Remove all',
+  'payments.currentBalance': 'Actual balance on {date}:',
+  'payments.overdueAmount': 'Overdue amount:',
+  'payments.lateInterest': 'Late interest accrued:',
+  'payments.extraPayments': 'Overpaid as extra payments:',
+  'payments.prepaid': '{amount} is prepaid toward the next installment.',
+  'payments.column.plannedPayment': 'Planned payment',
+  'payments.column.actualPaid': 'Actual payment',
+  'payments.column.lateInterest': 'Late interest',
+  'payments.column.runningDifference': 'Running difference',
+  'payments.column.plannedBalance': 'Planned balance',
+  'payments.column.actualBalance': 'Actual balance',
+  'payments.column.overdueAmount': 'Overdue',
+  'payments.extraPayment': 'Extra payment: {amount}',
+
+  'planner.pattern.monthly': 'With every installment',
+  'planner.pattern.primas': 'Only with the bonuses (June and December)',
+  'planner.error.payoffMonth': 'Enter a payoff {period} between 1 and {max}.',
+  'planner.error.savingsAmount': 'Enter how much interest you want to save.',
+  'planner.error.startMonth': 'The {period} of the first payment must be between 1 and {max}.',
+  'planner.error.payoffAlreadyMet': 'The loan already ends at payment {payments} without further extra payments.',
+  'planner.error.savingsAlreadyMet': 'The interest savings are already reached without further extra payments.',
+  'planner.error.payoffUnreachable': 'The goal cannot be reached with these conditions: paying the maximum allowed, the loan ends at payment {payments}.',
+  'planner.error.savingsUnreachable': 'The goal cannot be reached with these conditions: paying the maximum allowed, the savings reach {amount}.',
+  'planner.title': 'Plan extra payments for a goal',
+  'planner.goal': 'Goal:',
+  'planner.goal.payoffMonth': 'Pay off by {period}',
+  'planner.goal.interestSaved': 'Save on interest',
+  'planner.payoffMonth': 'Payoff {period}:',
+  'planner.example': 'E.g. {value}',
+  'planner.savingsAmount': 'Desired savings:',
+  'planner.pattern': 'When to pay:',
+  'planner.maxAmount': 'Maximum payment each time:',
+  'planner.maxAmountHint': 'Zero means no limit.',
+  'planner.keepExisting': 'Keep my current extra payments',
+  'planner.plan': 'Plan',
+  'planner.result.monthly': 'Pay {amount} extra with every installment from {period} {month}.',
+  'planner.result.primas': 'Pay {amount} extra in June and December from {period} {month}.',
+  'planner.result.summary': 'You finish at payment {payments} and save {amount} in interest.',
+  'planner.apply': 'Load into extra payments',
+
+  'solver.solveFor.installment': 'The installment (normal calculation)',
+  'solver.solveFor.loanAmount': 'The maximum loan amount',
+  'solver.solveFor.loanTerm': 'The term needed',
+  'solver.solveFor.rate': 'The real rate of an offer',
+  'solver.result.loanAmount': 'Maximum amount: {amount}',
+  'solver.result.loanTerm': 'Term needed: {months} months',
+  'solver.result.loanTermYears': 'Term needed: {months} months ({years} years)',
+  'solver.result.rate': 'Real rate: {rate} effective annual',
+  'solver.result.rateWithCode': 'Real rate: {rate} effective annual ({codeRate} {code})',
+  'solver.solveFor': 'I want to calculate:',
+  'solver.target': 'Target {installment}:',
+  'solver.targetHint.rate': 'The installment quoted in the offer, with the amount and term above.',
+  'solver.targetHint.income': 'Leave it at zero to use the maximum installment for the income.',
+  'solver.monthlyIncome': 'Monthly income:',
+  'solver.maxIncomePercentage': 'Maximum installment (% of income):',
+  'solver.affordable': 'Maximum installment for the income: {amount}.',
+  'solver.affordableExceeded': 'The current installment exceeds it by {amount}.',
+  'solver.affordableFits': 'The current installment fits the income.',
+  'solver.solve': 'Calculate',
+  'solver.resultingInstallment': 'Resulting {installment}: {amount}',
+  'solver.apply': 'Use in the simulation',
+  'solver.error.noTarget': 'Enter the target installment or the monthly income.',
+  'solver.error.amount': 'The amount cannot be calculated with these conditions.',
+  'solver.error.termTooLong': 'That installment does not pay off the loan within {years} years. Raise the installment or lower the amount.',
+  'solver.error.belowZeroRate': 'The installment is lower than that of an interest-free loan. Check the amount, term and installment.',
+  'solver.error.rateTooHigh': 'The installment implies a rate above {rate}% effective annual.',
+  'solver.error.solveFor': 'Choose which value to calculate.',
+
+  'certificate.title': 'Certificate of interest paid (simulated)',
+  'certificate.subtitle': 'Interest, principal and extra payments per calendar year, and the deductible part of the interest on a housing loan.',
+  'certificate.firstPaymentDate': 'First installment date:',
+  'certificate.uvtValue': 'UVT value:',
+  'certificate.capUVT': 'Yearly deductible cap (UVT):',
+  'certificate.empty': 'Fill in the loan details to see the certificate.',
+  'certificate.needsDate': 'Enter the first installment date, or the loan\'s disbursement date, to group the payments by calendar year.',
+  'certificate.totalInterest': 'Interest paid',
+  'certificate.totalDeductible': 'Deductible interest',
+  'certificate.yearlyCap': 'Yearly deductible cap',
+  'certificate.capDescription': 'Cap: {uvt} UVT × {uvtValue} = {cap} per year.',
+  'certificate.datesFromCalendar': 'Dates come from the loan calendar; the first installment is due on {date}.',
+  'certificate.column.year': 'Year',
+  'certificate.column.installments': 'Installments',
+  'certificate.column.interest': 'Interest',
+  'certificate.column.principal': 'Principal',
+  'certificate.column.extraPayments': 'Extra payments',
+  'certificate.column.closingBalance': 'Year-end balance',
+  'certificate.column.deductible': 'Deductible interest',
+  'certificate.total': 'Total',
+  'certificate.disclaimer': 'Simulation for information purposes only. It does not replace the tax certificate issued by the lender; the cap applies to loans for buying a home and the UVT changes every year.',
+  'certificate.download': 'Download certificate (PDF)',
+  'certificate.pdfIntro': 'Interest, principal and extra payments per calendar year on a housing loan of {amount}, as simulated on {date}.',
+  'certificate.pdfIntroCustomer': 'Interest, principal and extra payments per calendar year on the housing loan of {customer} for {amount}, as simulated on {date}.',
+  'certificate.fileName': 'interest_certificate',
+
+  'portfolio.title': 'Plan for several debts',
+  'portfolio.subtitle': 'Add your debts and a monthly budget for extra payments, and compare the order in which to pay them off.',
+  'portfolio.defaultName': 'Debt {number}',
+  'portfolio.simulatedLoan': 'Simulated loan',
+  'portfolio.unnamed': 'Unnamed',
+  'portfolio.name': 'Name',
+  'portfolio.balance': 'Balance',
+  'portfolio.rate': 'Effective annual rate (%)',
+  'portfolio.term': 'Term (months)',
+  'portfolio.system': 'System',
+  'portfolio.moveUp': 'Move {name} up in the custom order',
+  'portfolio.moveDown': 'Move {name} down in the custom order',
+  'portfolio.remove': 'Remove debt: {name}',
+  'portfolio.add': 'Add debt',
+  'portfolio.addCurrent': 'Add the simulated loan',
+  'portfolio.budget': 'Monthly budget for extra payments:',
+  'portfolio.firstPaymentDate': 'Date of the plan\'s first payment (optional):',
+  'portfolio.rolloverHint': 'When a debt is paid off, its installment is added to the budget and goes to the next one.',
+  'portfolio.empty': 'Add at least one debt to build the plan.',
+  'portfolio.invalid': 'Check the balance, rate and term of the debts.',
+  'portfolio.strategyGroup': 'Strategy',
+  'portfolio.strategy.minimum': 'Installments only, no extra payments',
+  'portfolio.strategy.snowball': 'Snowball',
+  'portfolio.strategy.avalanche': 'Avalanche',
+  'portfolio.strategy.custom': 'Custom order',
+  'portfolio.strategyHint.snowball': 'The budget goes first to the debt with the smallest balance.',
+  'portfolio.strategyHint.avalanche': 'The budget goes first to the debt with the highest rate.',
+  'portfolio.strategyHint.custom': 'The budget goes to the debts in the order of the list; use the arrows to change it.',
+  'portfolio.lowestInterest': 'Least interest',
+  'portfolio.combinedSchedule': 'Combined schedule',
+  'portfolio.column.strategy': 'Strategy',
+  'portfolio.column.totalInterest': 'Total interest',
+  'portfolio.column.interestSaved': 'Interest saved',
+  'portfolio.column.debtFree': 'Debt-free',
+  'portfolio.column.loan': 'Debt',
+  'portfolio.column.rate': 'Effective annual rate',
+  'portfolio.column.withoutPlan': 'Paid off without the plan',
+  'portfolio.column.payoff': 'Paid off with the plan',
+  'portfolio.column.extraPayments': 'Extra payments',
+  'portfolio.column.interest': 'Interest',
+  'portfolio.column.installments': 'Installments',
+  'portfolio.column.totalBalance': 'Total balance',
+};
@@ -0,0 +1,554 @@
+// Spanish messages. Every other catalog uses the same keys; `{name}` marks a
+// value filled in when the message is shown.
+export default {
+  'frequency.weekly': 'Semanal',
+  'frequency.biweekly': 'Catorcenal',
+  'frequency.monthly': 'Mensual',
+  'frequency.bimonthly': 'Bimestral',
+  'frequency.quarterly': 'Trimestral',
+  'frequency.semiannual': 'Semestral',
+
+  'dayCount.30/360': '30/360 (meses de 30 días)',
+  'dayCount.actual/365': 'Real/365',
+  'dayCount.actual/360': 'Real/360',
+
+  'extraPaymentMode.reduceTerm': 'Reducir plazo',
+  'extraPaymentMode.reduceInstallment': 'Reducir cuota',
+
+  'amortizationSystem.french': 'Cuota fija (sistema francés)',
+  'amortizationSystem.constantPrincipal': 'Abono constante a capital (sistema alemán)',
+  'amortizationSystem.growingInstallment': 'Cuota creciente anual',
+  'amortizationSystem.bullet': 'Pago único al vencimiento (bullet)',
+  'amortizationSystem.balloon': 'Cuota con valor residual (balloon)',
+
+  'graceType.total': 'Gracia total (intereses capitalizados)',
+  'graceType.partial': 'Gracia parcial (solo intereses)',
+
+  'rate.real': 'Tasa Real',
+  'rate.tea': 'TEA',
+
+  'installment.column': 'Cuota {frequency}',
+  'installment.first': 'Primera Cuota {frequency}',
+
+  'period.month': 'Mes',
+  'period.period': 'Periodo',
+  'period.months': 'meses',
+  'period.periods': 'periodos',
+
+  'share.error.invalid': 'El enlace de la simulación no es válido. Revisa que se haya copiado completo.',
+  'share.error.olderVersion': 'El enlace fue creado con una versión anterior del simulador y ya no se puede abrir. Pide que te envíen un enlace nuevo.',
+  'share.error.newerVersion': 'El enlace fue creado con una versión más reciente del simulador. Recarga la página para actualizarla.',
+  'share.error.damaged': 'El enlace de la simulación está dañado. Revisa que se haya copiado completo.',
+  'share.error.invalidData': 'El enlace de la simulación contiene datos que no son válidos.',
+  'share.copy': 'Copiar enlace',
+  'share.copied': 'Enlace copiado. Quien lo abra verá esta misma simulación.',
+  'share.copyManually': 'No se pudo copiar automáticamente. Copia este enlace:',
+
+  'rateChange.error.month': 'Por favor, ingresa un {period} de cambio de tasa válido (entre 2 y {max}).',
+  'rateChange.error.index': 'Por favor, ingresa el valor del índice y el spread.',
+  'rateChange.error.tea': 'Por favor, ingresa una TEA válida para el cambio de tasa.',
+  'rateChange.title': 'Tasa Variable (IBR / DTF)',
+  'rateChange.newRate': 'Nueva tasa:',
+  'rateChange.indexed': 'Índice + spread',
+  'rateChange.fixed': 'TEA fija',
+  'rateChange.indexValue': 'Valor del índice (% E.A.):',
+  'rateChange.indexName': 'Índice de referencia',
+  'rateChange.spread': 'Spread (puntos):',
+  'rateChange.tea': 'TEA en %:',
+  'rateChange.add': 'Agregar Cambio de Tasa',
+  'rateChange.remove': 'Eliminar cambio de tasa del {period} {month}',
+
+  'extra.error.amount': 'Por favor, ingresa un monto válido para el abono extraordinario.',
+  'extra.error.date': 'Por favor, ingresa una fecha válida, igual o posterior a la fecha de desembolso.',
+  'extra.error.month': 'Por favor, ingresa un {period} válido (entre 1 y {max}).',
+  'extra.error.endMonth': 'El {period} final debe ser mayor o igual al inicial, o dejarse vacío para abonar hasta terminar de pagar.',
+  'extra.error.interval': 'Por favor, ingresa cada cuántos {periods} se repite el abono.',
+  'extra.error.calendarMonths': 'Por favor, selecciona al menos un mes del año para el abono.',
+  'extra.error.growth': 'Por favor, ingresa un crecimiento anual válido.',
+  'extra.describe.onDate': '{amount} el {date}',
+  'extra.describe.inPeriod': '{amount} en el {period} {month}',
+  'extra.describe.everyMonth': 'cada mes',
+  'extra.describe.everyPeriod': 'cada periodo',
+  'extra.describe.everyInterval': 'cada {interval} {periods}',
+  'extra.describe.everyCalendarMonths': 'cada {months}',
+  'extra.describe.startDate': 'el {date}',
+  'extra.describe.startPeriod': 'el {period} {month}',
+  'extra.describe.range': 'desde {start} hasta el {period} {end}',
+  'extra.describe.rangeOpen': 'desde {start} hasta terminar de pagar',
+  'extra.describe.growth': ', creciendo {growth}% anual',
+  'extra.title': 'Abonos Extraordinarios',
+  'extra.type': 'Tipo de abono',
+  'extra.single': 'Abono único',
+  'extra.recurring': 'Abono recurrente',
+  'extra.amount': 'Monto del Abono:',
+  'extra.scheduleBy': 'Programar el abono por',
+  'extra.byPeriod': 'Por número de {period}',
+  'extra.byDate': 'Por fecha',
+  'extra.fromDate': 'Desde la fecha:',
+  'extra.date': 'Fecha en la que se realiza:',
+  'extra.dateHint': 'Un abono hecho entre dos cuotas reduce el saldo a partir de la siguiente fecha de pago.',
+  'extra.period': '{period} en el que se realiza:',
+  'extra.endPeriod': 'Hasta el {period} (vacío = hasta terminar de pagar):',
+  'extra.frequency': 'Frecuencia:',
+  'extra.everyN': 'Cada N {periods}',
+  'extra.calendarMonths': 'En meses específicos del año',
+  'extra.interval': 'Repetir cada ({periods}):',
+  'extra.monthsOfYear': 'Meses del año:',
+  'extra.firstPaymentMonth': 'La cuota 1 se paga en:',
+  'extra.growth': 'Crecimiento anual del abono en % (opcional):',
+  'extra.mode': '¿Qué deseas reducir con el abono?',
+  'extra.add': 'Agregar Abono',
+  'extra.list': 'Abonos Agregados:',
+  'extra.applied': '{count} abonos aplicados · {total}',
+  'extra.modeOf': 'Modalidad del abono: {description}',
+  'extra.remove': 'Eliminar abono: {description}',
+  'extra.empty': 'Aún no has agregado abonos.',
+  'extra.undo': 'Deshacer',
+  'extra.redo': 'Rehacer',
+  'extra.edit.of': 'Editar abono: {description}',
+  'extra.edit.amount': 'Monto',
+  'extra.edit.amountEach': 'Monto de cada abono',
+  'extra.edit.period': '{period}',
+  'extra.edit.startPeriod': 'Desde el {period}',
+  'extra.edit.date': 'Fecha',
+  'extra.edit.startDate': 'Desde la fecha',
+  'extra.edit.save': 'Guardar',
+  'extra.edit.cancel': 'Cancelar',
+  'extra.warning.exceedsBalance': 'Supera el saldo de {balance} en ese {period}; solo se abona el saldo.',
+  'extra.warning.afterPayoff': 'El préstamo ya está pagado en ese {period}, así que este abono no se aplica.',
+  'extra.import.title': 'Importar abonos desde texto o CSV',
+  'extra.import.hint': 'Una línea por abono: el {period} o la fecha, y el monto. Agrega «cuota» para reducir la cuota en lugar del plazo.',
+  'extra.import.paste': 'O pega los abonos aquí:',
+  'extra.import.installmentKeyword': 'cuota',
+  'extra.import.button': 'Importar abonos',
+  'extra.import.done': 'Se importaron {count} abonos.',
+  'extra.import.doneSkipping': 'Se importaron {count} abonos; se omitieron {skipped} líneas que no se pudieron leer o quedan fuera del préstamo.',
+  'extra.import.none': 'No se encontraron abonos. Cada línea debe tener un {period} o una fecha dentro del préstamo y un monto.',
+
+  'app.title': 'Simulador de Préstamos',
+
+  'pdf.advisor': 'Asesor: {name}',
+  'pdf.customer': 'Cliente: {name}',
+  'pdf.subtitle': 'Generado el {date}',
+  'pdf.subtitleWithEntity': 'Simulación de préstamo · {date}',
+  'pdf.conditions': 'Condiciones del Préstamo',
+  'pdf.loanAmount': 'Monto Original',
+  'pdf.agreedRate': 'Tasa Pactada',
+  'pdf.realRate': 'Tasa Real (UVR + %)',
+  'pdf.effectiveAnnualRate': 'Tasa Efectiva Anual (TEA)',
+  'pdf.periodicRate': 'Tasa Efectiva {frequency}',
+  'pdf.term': 'Plazo',
+  'pdf.termYears': '{term} años ({installments} cuotas)',
+  'pdf.termMonths': '{term} meses ({installments} cuotas)',
+  'pdf.paymentFrequency': 'Frecuencia de Pago',
+  'pdf.amortizationSystem': 'Sistema de Amortización',
+  'pdf.installmentGrowth': 'Crecimiento Anual de la Cuota',
+  'pdf.balloon': 'Valor Residual',
+  'pdf.uvrInitialValue': 'Valor UVR Inicial',
+  'pdf.uvrAmount': 'Monto en UVR',
+  'pdf.inflation': 'Inflación Proyectada',
+  'pdf.ratePeriods': 'Tasa {periods} {from}-{to}',
+  'pdf.disbursementDate': 'Fecha de Desembolso',
+  'pdf.firstInstallment': 'Primera Cuota',
+  'pdf.usuryRate': 'Tasa de Usura',
+  'pdf.usuryExceeded': '(SUPERADA)',
+  'pdf.grace': 'Periodo de Gracia',
+  'pdf.graceTotal': '{count} {periods}, total',
+  'pdf.gracePartial': '{count} {periods}, parcial',
+  'pdf.lifeInsurance': 'Seguro de Vida Deudor',
+  'pdf.lifeInsuranceRate': '{rate} mensual sobre saldo',
+  'pdf.propertyInsurance': 'Seguro Incendio y Terremoto',
+  'pdf.propertyInsuranceRate': '{rate} mensual sobre {value}',
+  'pdf.managementFee': 'Cuota de Manejo',
+  'pdf.upfrontFees': 'Comisiones Iniciales',
+  'pdf.numberOfPayments': 'Número de Pagos Reales',
+  'pdf.totalInterest': 'Interés Total Pagado',
+  'pdf.interestSaved': 'Interés Total Ahorrado',
+  'pdf.capitalizedInterest': 'Interés Capitalizado',
+  'pdf.totalPayment': 'Pago {frequency} Total',
+  'pdf.totalInsurance': 'Total Seguros',
+  'pdf.totalManagementFees': 'Total Cuotas de Manejo',
+  'pdf.effectiveAnnualCost': 'Costo Efectivo Anual',
+  'pdf.extraPayments': 'Abonos Extraordinarios',
+  'pdf.extraPayment': 'Abono',
+  'pdf.extraPaymentMode': 'Modalidad',
+  'pdf.extraPaymentTotal': 'Total Abonado',
+  'pdf.monthlyPayments': 'Pagos Mes a Mes',
+  'pdf.periodPayments': 'Pagos por Periodo',
+  'pdf.balanceEvolution': 'Evolución del Saldo',
+  'pdf.installmentReduced': '(cuota reducida)',
+  'pdf.graceRow': '(gracia)',
+  'pdf.extraPaymentColumn': 'Abono Extra',
+  'pdf.insurance': 'Seguros',
+  'pdf.managementFeeColumn': 'Cuota Manejo',
+  'pdf.page': 'Página {page} de {pages}',
+  'pdf.download': 'Descargar PDF',
+  'pdf.header': 'Encabezado del PDF',
+  'pdf.pdfEntity': 'Entidad',
+  'pdf.pdfAdvisor': 'Asesor',
+  'pdf.pdfCustomer': 'Cliente',
+  'pdf.pdfEntityPlaceholder': 'Banco o cooperativa',
+  'pdf.pdfAdvisorPlaceholder': 'Nombre del asesor',
+  'pdf.pdfCustomerPlaceholder': 'Nombre del cliente',
+  'pdf.error': 'No se pudo generar el PDF. Recarga la página e inténtalo de nuevo.',
+
+  'chart.principal': 'Capital',
+  'chart.interest': 'Intereses',
+  'chart.capitalizedInterest': 'Interés capitalizado',
+  'chart.extraPayment': 'Abono extraordinario',
+  'chart.balance': 'Saldo restante',
+  'chart.monthlyTitle': 'Visualización de los pagos mes a mes',
+  'chart.periodTitle': 'Visualización de los pagos por periodo',
+  'chart.grace': 'Periodo de gracia',
+  'chart.uvrTitle': 'Evolución del saldo en pesos y en UVR',
+  'chart.balanceCurrency': 'Saldo en pesos',
+  'chart.balanceUVR': 'Saldo en UVR',
+  'chart.views': 'Vista de la gráfica',
+  'chart.view.payments': 'Pagos',
+  'chart.view.balance': 'Saldo',
+  'chart.view.cumulative': 'Acumulado',
+  'chart.view.annual': 'Por año',
+  'chart.balanceTitle': 'Saldo a lo largo del préstamo',
+  'chart.withExtraPayments': 'Con abonos',
+  'chart.withoutExtraPayments': 'Sin abonos',
+  'chart.cumulativeTitle': 'Intereses y capital pagados acumulados',
+  'chart.cumulativePrincipal': 'Capital acumulado (con abonos)',
+  'chart.cumulativeInterest': 'Intereses acumulados',
+  'chart.annualTitle': 'Pagos por año',
+  'chart.year': 'Año',
+  'chart.loanYear': 'Año del préstamo',
+  'chart.extraPaymentMarkers': 'Los puntos naranjas marcan los abonos extraordinarios.',
+  'chart.brushHint': 'Arrastra los extremos de la barra inferior para ver un rango de {periods}.',
+
+  'table.title': 'Tabla de Amortización Detallada',
+  'table.date': 'Fecha',
+  'table.interest': 'Intereses',
+  'table.principal': 'Capital',
+  'table.totalPayment': 'Pago Total',
+  'table.balance': 'Saldo Restante',
+  'table.uvrValue': 'Valor UVR',
+  'table.uvrBalance': 'Saldo (UVR)',
+  'table.lifeInsurance': 'Seguro Vida',
+  'table.propertyInsurance': 'Seguro Incendio y Terremoto',
+  'table.managementFee': 'Cuota de Manejo',
+  'table.uvrInstallment': 'Cuota (UVR)',
+  'table.extraPayment': 'Abono {amount}',
+  'table.graceTotal': 'Gracia total · +{amount}',
+  'table.gracePartial': 'Gracia parcial',
+  'table.installmentReduced': 'Cuota reducida',
+  'table.extraPaymentColumn': 'Abono',
+  'table.groupBy': 'Agrupar la tabla',
+  'table.groupBy.periods': 'Todas las cuotas',
+  'table.groupBy.years': 'Por año',
+  'table.onlyExtraPayments': 'Solo {periods} con abonos',
+  'table.jumpToPeriod': 'Ir al {period}:',
+  'table.jumpToDate': 'Ir a la fecha:',
+  'table.jump': 'Ir',
+  'table.year': 'Año {year}',
+  'table.yearPeriods': '({count} {periods})',
+  'table.yearOrPeriod': 'Año / {period}',
+  'table.noExtraPayments': 'No hay abonos extraordinarios en la tabla.',
+
+  'export.fileName': 'tabla_amortizacion',
+  'export.loanAmount': 'Monto del préstamo',
+  'export.currency': 'Moneda',
+  'export.agreedRate': 'Tasa pactada (%)',
+  'export.rateType': 'Tipo de tasa',
+  'export.realRate': 'Tasa real (% EA)',
+  'export.effectiveAnnualRate': 'Tasa efectiva anual (%)',
+  'export.periodicRate': 'Tasa efectiva {frequencyLower} (%)',
+  'export.numberOfInstallments': 'Número de cuotas',
+  'export.paymentFrequency': 'Frecuencia de pago',
+  'export.amortizationSystem': 'Sistema de amortización',
+  'export.denomination': 'Denominación',
+  'export.uvrInitialValue': 'Valor UVR inicial',
+  'export.disbursementDate': 'Fecha de desembolso',
+  'export.dayCountConvention': 'Convención de días',
+  'export.grace': 'Periodo de gracia ({periods})',
+  'export.graceType': 'Tipo de gracia',
+  'export.upfrontFees': 'Comisiones iniciales',
+  'export.numberOfPayments': 'Número de pagos',
+  'export.totalInterest': 'Intereses totales',
+  'export.interestSaved': 'Intereses ahorrados',
+  'export.capitalizedInterest': 'Intereses capitalizados',
+  'export.extraPayments': 'Abonos extraordinarios',
+  'export.insurance': 'Seguros',
+  'export.managementFees': 'Cuotas de manejo',
+  'export.effectiveAnnualCost': 'Costo efectivo anual (%)',
+  'export.extraPayment': 'Abono extra',
+  'export.managementFee': 'Cuota de manejo',
+  'export.totalPayment': 'Pago total',
+  'export.balance': 'Saldo',
+  'export.summarySheet': 'Resumen',
+  'export.conditions': 'Condiciones del préstamo',
+  'export.totals': 'Totales',
+  'export.scheduleSheet': 'Amortización',
+  'export.csvSemicolon': 'Separado por punto y coma, con coma decimal (Excel en español)',
+  'export.csvComma': 'Separado por comas, con punto decimal',
+  'export.excelButton': 'Excel',
+  'export.csvSemicolonButton': 'CSV (;)',
+  'export.csvCommaButton': 'CSV (,)',
+
+  'common.close': 'Cerrar',
+  'common.fromPeriod': 'Desde el {period}:',
+
+  'settings.language': 'Idioma',
+  'settings.numberFormat': 'Formato de números',
+  'settings.currency': 'Moneda',
+  'settings.error.storage': 'El navegador no permitió guardar tus preferencias; se aplicarán solo hasta que cierres la página.',
+
+  'usury.alert': 'Atención: la tasa efectiva anual de {rate} supera la tasa de usura de {usuryRate}.',
+
+  'summary.withCosts': 'Con seguros y cuota de manejo: {amount}',
+  'summary.effectiveAnnualCost': 'Costo Efectivo Anual:',
+  'summary.realRate': 'Tasa real',
+  'summary.advertisedRate': 'TEA anunciada',
+  'summary.numberOfPayments': 'Número de pagos:',
+  'summary.totalInterest': 'Interés Total Pagado:',
+  'summary.interestSaved': 'Interés Total Ahorrado:',
+  'summary.capitalizedInterest': 'Interés Capitalizado:',
+  'summary.loanAmount': 'Monto Original:',
+
+  'loan.title': 'Detalles del Préstamo',
+  'loan.amount': 'Monto del Préstamo:',
+  'loan.denomination': 'Denominación del Crédito:',
+  'loan.denominationUVR': 'UVR (Unidad de Valor Real)',
+  'loan.uvrInitialValue': 'Valor UVR al desembolso:',
+  'loan.uvrAmount': 'Monto en UVR: {amount}',
+  'loan.inflation': 'Inflación anual proyectada (% por año):',
+  'loan.inflationHint': 'Separa los años con punto y coma. El último valor se mantiene hasta el final.',
+  'loan.realRate': 'Tasa Real (UVR + %) en %:',
+  'loan.interestRate': 'Tasa de Interés en %:',
+  'loan.rateType': 'Tipo de tasa',
+  'loan.usuryRate': 'Tasa de usura vigente (EA %, opcional):',
+  'loan.usuryExceeded': 'La tasa efectiva anual ({rate}) supera la tasa de usura ({usuryRate}) en {points} puntos.',
+  'loan.term': 'Plazo:',
+  'loan.years': 'Años',
+  'loan.months': 'Meses',
+  'loan.paymentFrequency': 'Frecuencia de pago:',
+  'loan.periodicRate': '{installments} cuotas; tasa efectiva {frequencyLower} equivalente: {rate}',
+  'loan.disbursementDate': 'Fecha de desembolso (opcional):',
+  'loan.paymentDay': 'Día de pago de cada mes (vacío = día del desembolso):',
+  'loan.paymentDayInvalid': 'El día de pago debe estar entre 1 y 31.',
+  'loan.firstInstallment': 'Primera cuota: {date}. El interés del primer periodo se calcula por los días transcurridos desde el desembolso.',
+  'loan.dayCountConvention': 'Convención de conteo de días:',
+  'loan.amortizationSystem': 'Sistema de Amortización:',
+  'loan.installmentGrowth': 'Crecimiento anual de la cuota en %:',
+  'loan.balloon': 'Valor residual (% del monto):',
+  'loan.grace': 'Periodo de Gracia ({periods}):',
+  'loan.graceType': 'Tipo de periodo de gracia',
+  'loan.graceInvalid': 'El periodo de gracia debe ser menor que el plazo total del préstamo.',
+
+  'costs.title': 'Seguros y Comisiones',
+  'costs.lifeInsurance': 'Seguro de vida deudor (% mensual sobre saldo):',
+  'costs.monthlyFee': 'Cuota de manejo mensual:',
+  'costs.propertyValue': 'Valor de la garantía (inmueble):',
+  'costs.propertyInsurance': 'Seguro incendio y terremoto (% mensual):',
+  'costs.openingFee': 'Comisión de apertura:',
+  'costs.studyFee': 'Estudio de crédito:',
+
+  'rateCode.EA': 'Efectiva Anual (EA / TEA)',
+  'rateCode.ES': 'Efectiva Semestral (ES)',
+  'rateCode.ET': 'Efectiva Trimestral (ET)',
+  'rateCode.EB': 'Efectiva Bimestral (EB)',
+  'rateCode.EM': 'Efectiva Mensual (EM / TEM)',
+  'rateCode.NAV': 'Nominal anual vencida (NAV)',
+  'rateCode.NAA': 'Nominal anual anticipada (NAA)',
+  'rateCode.NSV': 'Nominal semestral vencida (NSV)',
+  'rateCode.NSA': 'Nominal semestral anticipada (NSA)',
+  'rateCode.NTV': 'Nominal trimestral vencida (NTV)',
+  'rateCode.NTA': 'Nominal trimestral anticipada (NTA)',
+  'rateCode.NBV': 'Nominal bimestral vencida (NBV)',
+  'rateCode.NBA': 'Nominal bimestral anticipada (NBA)',
+  'rateCode.NMV': 'Nominal mensual vencida (NMV)',
+  'rateCode.NMA': 'Nominal mensual anticipada (NMA)',
+
+  'invest.title': '¿Abonar al crédito o invertir?',
+  'invest.returnRate': 'Rentabilidad de la inversión (% EA):',
+  'invest.withholdingTax': 'Retención en la fuente sobre rendimientos (%):',
+  'invest.empty': 'Agrega abonos extraordinarios para comparar si conviene más abonarlos al crédito o invertirlos.',
+  'invest.prepayNetWorth': 'Patrimonio al final abonando:',
+  'invest.investNetWorth': 'Patrimonio al final invirtiendo:',
+  'invest.breakEvenRate': 'Rentabilidad de equilibrio:',
+  'invest.effectiveAnnual': '{rate} EA',
+  'invest.prepayWins': 'Abonar al crédito te deja {amount} más que invertir.',
+  'invest.investWins': 'Invertir te deja {amount} más que abonar al crédito.',
+  'invest.breakEvenHint': 'Invertir conviene solo con una rentabilidad mayor al {rate} EA antes de retención.',
+  'invest.prepay': 'Abonar al crédito',
+  'invest.invest': 'Invertir',
+  'invest.note': 'Patrimonio = inversión acumulada menos saldo del crédito. En ambos casos se destina el mismo dinero cada {period}.',
+
+  'scenarios.row.monthlyPayment': 'Cuota',
+  'scenarios.row.numberOfPayments': 'Número de pagos',
+  'scenarios.row.totalInterest': 'Interés total',
+  'scenarios.row.totalPaid': 'Total pagado',
+  'scenarios.row.totalInterestSaved': 'Interés ahorrado con abonos',
+  'scenarios.error.name': 'Escribe un nombre para el escenario.',
+  'scenarios.error.storage': 'El navegador no permitió guardar los escenarios; seguirán disponibles hasta que cierres la página.',
+  'scenarios.title': 'Escenarios y comparación de ofertas',
+  'scenarios.name': 'Nombre del escenario',
+  'scenarios.namePlaceholder': 'Nombre, por ejemplo: Oferta Banco A',
+  'scenarios.save': 'Guardar escenario actual',
+  'scenarios.empty': 'Aún no hay escenarios guardados. Guarda la simulación actual para compararla con otras ofertas.',
+  'scenarios.select': 'Selecciona de 2 a {max} escenarios para compararlos.',
+  'scenarios.load': 'Cargar',
+  'scenarios.removeNamed': 'Eliminar escenario {name}',
+  'scenarios.remove': 'Eliminar',
+  'scenarios.concept': 'Concepto',
+  'scenarios.vsCheapest': '+{amount} vs. la más barata',
+  'scenarios.balanceTitle': 'Saldo a lo largo del tiempo',
+
+  'payments.error.date': 'Por favor, ingresa la fecha del pago.',
+  'payments.error.amount': 'Por favor, ingresa un valor de pago válido.',
+  'payments.error.noPayments': 'No se encontraron pagos. Cada línea debe tener una fecha y un valor.',
+  'payments.imported': 'Se importaron {count} pagos.',
+  'payments.importedSkipping': 'Se importaron {count} pagos y se omitieron {skipped} líneas sin fecha o valor.',
+  'payments.title': 'Pagos realizados vs. plan',
+  'payments.uvrUnavailable': 'La conciliación de pagos está disponible solo para créditos en pesos.',
+  'payments.needsDisbursementDate': 'Ingresa la fecha de desembolso para comparar los pagos realizados con las fechas de la tabla.',
+  'payments.date': 'Fecha del pago',
+  'payments.amount': 'Valor pagado',
+  'payments.add': 'Agregar pago',
+  'payments.lateInterestRate': 'Interés de mora (% EA)',
+  'payments.importStatement': 'Importar extracto bancario (CSV)',
+  'payments.pasteStatement': 'O pega las líneas del extracto, con la fecha y el valor de cada pago:',
+  'payments.import': 'Importar pagos',
+  'payments.remove': 'Eliminar pago del {date}',
+  'payments.removeAll': 'Eliminar todos',
+  'payments.currentBalance': 'Saldo real al {date}:',
+  'payments.overdueAmount': 'Valor en mora:',
+  'payments.lateInterest': 'Intereses de mora causados:',
+  'payments.extraPayments': 'Pagado de más como abonos:',
+  'payments.prepaid': '{amount} quedan pagados por anticipado para la próxima cuota.',
+  'payments.column.plannedPayment': 'Pago plan',
+  'payments.column.actualPaid': 'Pago real',
+  'payments.column.lateInterest': 'Mora',
+  'payments.column.runningDifference': 'Diferencia acumulada',
+  'payments.column.plannedBalance': 'Saldo plan',
+  'payments.column.actualBalance': 'Saldo real',
+  'payments.column.overdueAmount': 'En mora',
+  'payments.extraPayment': 'Abono: {amount}',
+
+  'planner.pattern.monthly': 'En cada cuota',
+  'planner.pattern.primas': 'Solo con las primas (junio y diciembre)',
+  'planner.error.payoffMonth': 'Ingresa un {period} de pago total entre 1 y {max}.',
+  'planner.error.savingsAmount': 'Ingresa cuánto quieres ahorrar en intereses.',
+  'planner.error.startMonth': 'El {period} del primer abono debe estar entre 1 y {max}.',
+  'planner.error.payoffAlreadyMet': 'El préstamo ya termina en el pago {payments}, sin abonos adicionales.',
+  'planner.error.savingsAlreadyMet': 'El ahorro de intereses ya se alcanza sin abonos adicionales.',
+  'planner.error.payoffUnreachable': 'La meta no se alcanza con estas condiciones: abonando el máximo permitido, el préstamo termina en el pago {payments}.',
+  'planner.error.savingsUnreachable': 'La meta no se alcanza con estas condiciones: abonando el máximo permitido, el ahorro llega a {amount}.',
+  'planner.title': 'Planificar abonos para una meta',
+  'planner.goal': 'Meta:',
+  'planner.goal.payoffMonth': 'Terminar de pagar en el {period}',
+  'planner.goal.interestSaved': 'Ahorrar en intereses',
+  'planner.payoffMonth': '{period} de pago total:',
+  'planner.example': 'Ej. {value}',
+  'planner.savingsAmount': 'Ahorro deseado:',
+  'planner.pattern': 'Cuándo abonar:',
+  'planner.maxAmount': 'Abono máximo por vez:',
+  'planner.maxAmountHint': 'En cero, sin límite.',
+  'planner.keepExisting': 'Conservar los abonos que ya tengo',
+  'planner.plan': 'Planificar',
+  'planner.result.monthly': 'Abona {amount} en cada cuota desde el {period} {month}.',
+  'planner.result.primas': 'Abona {amount} en junio y diciembre desde el {period} {month}.',
+  'planner.result.summary': 'Terminas de pagar en el pago {payments} y ahorras {amount} en intereses.',
+  'planner.apply': 'Cargar en los abonos',
+
+  'solver.solveFor.installment': 'La cuota (cálculo normal)',
+  'solver.solveFor.loanAmount': 'El monto máximo del préstamo',
+  'solver.solveFor.loanTerm': 'El plazo necesario',
+  'solver.solveFor.rate': 'La tasa real de una oferta',
+  'solver.result.loanAmount': 'Monto máximo: {amount}',
+  'solver.result.loanTerm': 'Plazo necesario: {months} meses',
+  'solver.result.loanTermYears': 'Plazo necesario: {months} meses ({years} años)',
+  'solver.result.rate': 'Tasa real: {rate} EA',
+  'solver.result.rateWithCode': 'Tasa real: {rate} EA ({codeRate} {code})',
+  'solver.solveFor': 'Quiero calcular:',
+  'solver.target': '{installment} objetivo:',
+  'solver.targetHint.rate': 'La cuota que anuncia la oferta, con el monto y el plazo de arriba.',
+  'solver.targetHint.income': 'Déjala en cero para usar la cuota máxima según el ingreso.',
+  'solver.monthlyIncome': 'Ingreso mensual:',
+  'solver.maxIncomePercentage': 'Cuota máxima (% del ingreso):',
+  'solver.affordable': 'Cuota máxima según el ingreso: {amount}.',
+  'solver.affordableExceeded': 'La cuota actual la supera en {amount}.',
+  'solver.affordableFits': 'La cuota actual cabe en el ingreso.',
+  'solver.solve': 'Calcular',
+  'solver.resultingInstallment': '{installment} resultante: {amount}',
+  'solver.apply': 'Usar en la simulación',
+  'solver.error.noTarget': 'Ingresa la cuota objetivo o el ingreso mensual.',
+  'solver.error.amount': 'No se puede calcular el monto con estas condiciones.',
+  'solver.error.termTooLong': 'Con esa cuota no se alcanza a pagar el préstamo en {years} años. Aumenta la cuota o reduce el monto.',
+  'solver.error.belowZeroRate': 'La cuota es menor que la de un préstamo sin intereses. Revisa el monto, el plazo y la cuota.',
+  'solver.error.rateTooHigh': 'La cuota corresponde a una tasa mayor al {rate}% efectivo anual.',
+  'solver.error.solveFor': 'Elige qué valor calcular.',
+
+  'certificate.title': 'Certificado de intereses pagados (simulado)',
+  'certificate.subtitle': 'Intereses, capital y abonos por año calendario, y la parte deducible de los intereses de un crédito de vivienda.',
+  'certificate.firstPaymentDate': 'Fecha de la primera cuota:',
+  'certificate.uvtValue': 'Valor de la UVT:',
+  'certificate.capUVT': 'Tope anual deducible (UVT):',
+  'certificate.empty': 'Completa los datos del préstamo para ver el certificado.',
+  'certificate.needsDate': 'Ingresa la fecha de la primera cuota, o la fecha de desembolso del préstamo, para agrupar los pagos por año calendario.',
+  'certificate.totalInterest': 'Intereses pagados',
+  'certificate.totalDeductible': 'Intereses deducibles',
+  'certificate.yearlyCap': 'Tope deducible por año',
+  'certificate.capDescription': 'Tope: {uvt} UVT × {uvtValue} = {cap} por año.',
+  'certificate.datesFromCalendar': 'Las fechas salen del calendario del préstamo; la primera cuota vence el {date}.',
+  'certificate.column.year': 'Año',
+  'certificate.column.installments': 'Cuotas',
+  'certificate.column.interest': 'Intereses',
+  'certificate.column.principal': 'Capital',
+  'certificate.column.extraPayments': 'Abonos extraordinarios',
+  'certificate.column.closingBalance': 'Saldo al cierre',
+  'certificate.column.deductible': 'Intereses deducibles',
+  'certificate.total': 'Total',
+  'certificate.disclaimer': 'Simulación con fines informativos. No reemplaza el certificado tributario expedido por la entidad financiera; el tope aplica a créditos para adquisición de vivienda y la UVT cambia cada año.',
+  'certificate.download': 'Descargar certificado (PDF)',
+  'certificate.pdfIntro': 'Intereses, capital y abonos extraordinarios por año calendario de un crédito de vivienda de {amount}, según la simulación del {date}.',
+  'certificate.pdfIntroCustomer': 'Intereses, capital y abonos extraordinarios por año calendario del crédito de vivienda de {customer} por {amount}, según la simulación del {date}.',
+  'certificate.fileName': 'certificado_intereses',
+
+  'portfolio.title': 'Plan para varias deudas',
+  'portfolio.subtitle': 'Agrega tus deudas y un presupuesto mensual para abonos, y compara en qué orden conviene pagarlas.',
+  'portfolio.defaultName': 'Deuda {number}',
+  'portfolio.simulatedLoan': 'Préstamo simulado',
+  'portfolio.unnamed': 'Sin nombre',
+  'portfolio.name': 'Nombre',
+  'portfolio.balance': 'Saldo',
+  'portfolio.rate': 'Tasa E.A. (%)',
+  'portfolio.term': 'Plazo (meses)',
+  'portfolio.system': 'Sistema',
+  'portfolio.moveUp': 'Subir {name} en el orden personalizado',
+  'portfolio.moveDown': 'Bajar {name} en el orden personalizado',
+  'portfolio.remove': 'Eliminar deuda: {name}',
+  'portfolio.add': 'Agregar deuda',
+  'portfolio.addCurrent': 'Agregar el préstamo simulado',
+  'portfolio.budget': 'Presupuesto mensual para abonos:',
+  'portfolio.firstPaymentDate': 'Fecha del primer pago del plan (opcional):',
+  'portfolio.rolloverHint': 'Cuando terminas de pagar una deuda, su cuota se suma al presupuesto y pasa a la siguiente.',
+  'portfolio.empty': 'Agrega al menos una deuda para armar el plan.',
+  'portfolio.invalid': 'Revisa el saldo, la tasa y el plazo de las deudas.',
+  'portfolio.strategyGroup': 'Estrategia',
+  'portfolio.strategy.minimum': 'Solo cuotas, sin abonos',
+  'portfolio.strategy.snowball': 'Bola de nieve',
+  'portfolio.strategy.avalanche': 'Avalancha',
+  'portfolio.strategy.custom': 'Orden personalizado',
+  'portfolio.strategyHint.snowball': 'El presupuesto va primero a la deuda con el menor saldo.',
+  'portfolio.strategyHint.avalanche': 'El presupuesto va primero a la deuda con la tasa más alta.',
+  'portfolio.strategyHint.custom': 'El presupuesto va a las deudas en el orden de la lista; usa las flechas para cambiarlo.',
+  'portfolio.lowestInterest': 'Menos intereses',
+  'portfolio.combinedSchedule': 'Cronograma combinado',
+  'portfolio.column.strategy': 'Estrategia',
+  'portfolio.column.totalInterest': 'Intereses totales',
+  'portfolio.column.interestSaved': 'Ahorro en intereses',
+  'portfolio.column.debtFree': 'Libre de deudas',
+  'portfolio.column.loan': 'Deuda',
+  'portfolio.column.rate': 'Tasa E.A.',
+  'portfolio.column.withoutPlan': 'Termina sin el plan',
+  'portfolio.column.payoff': 'Termina con el plan',
+  'portfolio.column.extraPayments': 'Abonos',
+  'portfolio.column.interest': 'Intereses',
+  'portfolio.column.installments': 'Cuotas',
+  'portfolio.column.totalBalance': 'Saldo total',
+};
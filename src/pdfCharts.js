@@ -0,0 +1,93 @@
+// Charts drawn with jsPDF shapes, so the PDF keeps them as vectors and needs no
+// canvas or network. Colors match the charts on screen.
+
+const AXIS_COLOR = [148, 163, 184];
+const TEXT_COLOR = [100, 116, 139];
+const Y_TICKS = 4;
+
+const hexToRGB = (hex) => [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+
+// Draws the frame, horizontal grid, value labels and the period labels shared by
+// both charts. Bars are centered in their period; line points sit on its end.
+// Returns the plot area.
+const drawAxes = (doc, { x, y, width, height, maxValue, periods, formatValue, xLabel, centered }) => {
+  const labelWidth = 24;
+  const plot = { x: x + labelWidth, y, width: width - labelWidth, height: height - 8 };
+
+  doc.setFontSize(6.5);
+  doc.setFont('helvetica', 'normal');
+  doc.setLineWidth(0.1);
+  for (let tick = 0; tick <= Y_TICKS; tick++) {
+    const tickY = plot.y + plot.height - (plot.height * tick) / Y_TICKS;
+    doc.setDrawColor(226, 232, 240);
+    doc.line(plot.x, tickY, plot.x + plot.width, tickY);
+    doc.setTextColor(...TEXT_COLOR);
+    doc.text(formatValue((maxValue * tick) / Y_TICKS), plot.x - 2, tickY + 1, { align: 'right' });
+  }
+  doc.setDrawColor(...AXIS_COLOR);
+  doc.setLineWidth(0.3);
+  doc.line(plot.x, plot.y + plot.height, plot.x + plot.width, plot.y + plot.height);
+
+  // About eight period labels, whatever the length of the loan.
+  const step = Math.max(1, Math.ceil(periods / 8));
+  for (let period = step; period <= periods; period += step) {
+    const labelX = plot.x + ((period - (centered ? 0.5 : 0)) / periods) * plot.width;
+    doc.text(String(period), labelX, plot.y + plot.height + 4, { align: 'center' });
+  }
+  doc.text(xLabel, plot.x + plot.width, plot.y + plot.height + 8, { align: 'right' });
+  return plot;
+};
+
+const drawLegend = (doc, series, x, y) => {
+  let legendX = x;
+  doc.setFontSize(7);
+  series.forEach(({ label, color }) => {
+    doc.setFillColor(...hexToRGB(color));
+    doc.rect(legendX, y - 2.2, 3, 3, 'F');
+    doc.setTextColor(...TEXT_COLOR);
+    doc.text(label, legendX + 4, y);
+    legendX += 6 + doc.getTextWidth(label) + 4;
+  });
+};
+
+// Stacked bars with one bar per period. `series` is a list of `{ key, label,
+// color }` read from every item of `data`. Returns the y below the chart.
+export const drawStackedBarChart = (doc, { x, y, width, height, data, series, formatValue, xLabel }) => {
+  const maxValue = Math.max(...data.map(item => series.reduce((sum, { key }) => sum + (item[key] || 0), 0)), 1) * 1.1;
+  const plot = drawAxes(doc, { x, y, width, height, maxValue, periods: data.length, formatValue, xLabel, centered: true });
+  const slot = plot.width / data.length;
+  const barWidth = Math.max(slot * 0.8, 0.2);
+
+  data.forEach((item, index) => {
+    let top = plot.y + plot.height;
+    series.forEach(({ key, color }) => {
+      const barHeight = ((item[key] || 0) / maxValue) * plot.height;
+      if (barHeight <= 0) return;
+      top -= barHeight;
+      doc.setFillColor(...hexToRGB(color));
+      doc.rect(plot.x + index * slot + (slot - barWidth) / 2, top, barWidth, barHeight, 'F');
+    });
+  });
+  drawLegend(doc, series, x + 24, y + height + 4);
+  return y + height + 8;
+};
+
+// Lines over the periods, starting from `initialValues` at period 0. Returns the
+// y below the chart.
+export const drawLineChart = (doc, { x, y, width, height, data, series, initialValues = {}, formatValue, xLabel }) => {
+  const maxValue = Math.max(...series.flatMap(({ key }) => [initialValues[key] || 0, ...data.map(item => item[key] || 0)]), 1) * 1.1;
+  const plot = drawAxes(doc, { x, y, width, height, maxValue, periods: data.length, formatValue, xLabel });
+  const pointX = (period) => plot.x + (period / data.length) * plot.width;
+  const pointY = (value) => plot.y + plot.height - ((value || 0) / maxValue) * plot.height;
+
+  doc.setLineWidth(0.6);
+  series.forEach(({ key, color }) => {
+    doc.setDrawColor(...hexToRGB(color));
+    const values = [initialValues[key] ?? data[0]?.[key], ...data.map(item => item[key])];
+    for (let period = 1; period < values.length; period++) {
+      doc.line(pointX(period - 1), pointY(values[period - 1]), pointX(period), pointY(values[period]));
+    }
+  });
+  drawLegend(doc, series, x + 24, y + height + 4);
+  return y + height + 8;
+};
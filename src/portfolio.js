@@ -0,0 +1,146 @@
+// Several debts paid at once. Besides the installments, a monthly budget goes to
+// extra payments on one loan at a time, picked by strategy: the smallest balance
+// first (snowball), the highest rate first (avalanche) or an order chosen by the
+// user. Once a loan is paid off, its last installment is added to the budget from
+// that same month, so the total paid every month stays the same until all are gone.
+// Loans are paid monthly, their rate is effective annual and extra payments reduce
+// the term, so balances are stepped forward one month at a time.
+import { buildInstallmentPlan, calculateAmortization, calculatePeriodRate, regularPrincipalFor } from './amortization.js';
+import { sumField } from './chartSeries.js';
+
+export const PORTFOLIO_STRATEGIES = ['snowball', 'avalanche', 'custom'];
+
+// Systems that need no parameters beyond the amount, rate and term.
+export const PORTFOLIO_SYSTEMS = ['french', 'constantPrincipal', 'bullet'];
+
+const calculateBaseline = (loan) => calculateAmortization({
+  loanAmount: loan.loanAmount,
+  annualInterestRate: loan.annualInterestRate,
+  loanTerm: loan.loanTerm,
+  loanTermUnit: 'months',
+  amortizationSystem: loan.amortizationSystem,
+}).schedule;
+
+const createLoanState = (loan, baseline) => {
+  const rate = parseFloat(loan.annualInterestRate);
+  const balance = parseFloat(loan.loanAmount);
+  const periodicRate = calculatePeriodRate(rate, 1 / 12);
+  return {
+    loan,
+    rate,
+    balance,
+    periodicRate,
+    plan: buildInstallmentPlan(loan.amortizationSystem, balance, periodicRate, 1, baseline.length),
+    installment: baseline[0].monthlyPayment,
+    baseline,
+    schedule: [],
+  };
+};
+
+// Regular installment of `state` in `month`, after the extra payment of that month.
+const payInstallment = (state, month, extraPayment) => {
+  const interestPayment = state.balance > 0.01 ? state.balance * state.periodicRate : 0;
+  let principalPayment = state.balance > 0.01
+    ? Math.max(0, regularPrincipalFor(state.plan, month, state.balance, interestPayment))
+    : 0;
+  if (principalPayment >= state.balance - 0.01) principalPayment = state.balance;
+  state.balance -= principalPayment;
+
+  const monthlyPayment = principalPayment + interestPayment;
+  // The payment that settles a bullet loan is not an installment worth keeping.
+  if (monthlyPayment > 0 && month < state.plan.endMonth) state.installment = monthlyPayment;
+  state.schedule.push({
+    month,
+    monthlyPayment,
+    principalPayment,
+    interestPayment,
+    remainingBalance: state.balance,
+    extraPaymentApplied: extraPayment > 0 ? extraPayment : null,
+  });
+};
+
+// Active loans in the order they receive the budget; `custom` keeps the order of
+// the portfolio.
+const orderLoans = (active, strategy) => {
+  if (strategy === 'snowball') return [...active].sort((a, b) => a.balance - b.balance);
+  if (strategy === 'avalanche') return [...active].sort((a, b) => b.rate - a.rate || a.balance - b.balance);
+  return active;
+};
+
+// Pays off `loans` (`{ id, loanAmount, annualInterestRate, loanTerm, amortizationSystem }`)
+// with `monthlyBudget` for extra payments under `strategy`. Loans that cannot be
+// calculated are left out. Returns null when none can, or the schedule of each
+// loan, their payoff months and interest, and a combined schedule with the
+// balance of every loan by id.
+export const simulatePortfolio = (loans, { monthlyBudget = 0, strategy = 'avalanche' } = {}) => {
+  const budget = Math.max(0, parseFloat(monthlyBudget) || 0);
+  const states = loans
+    .map(loan => ({ loan, baseline: calculateBaseline(loan) }))
+    .filter(({ baseline }) => baseline.length > 0)
+    .map(({ loan, baseline }) => createLoanState(loan, baseline));
+  if (states.length === 0) return null;
+
+  // Installments of the loans already paid off.
+  let rolledOver = 0;
+  for (let month = 1; states.some(state => state.balance > 0.01); month++) {
+    const active = states.filter(state => state.balance > 0.01);
+    const extraPayments = new Map();
+    let available = budget + rolledOver;
+    // What is left after paying off one loan goes to the next in line, together
+    // with the installment that loan no longer needs this month.
+    for (const state of orderLoans(active, strategy)) {
+      if (available <= 0.01) break;
+      const amount = Math.min(available, state.balance);
+      state.balance -= amount;
+      extraPayments.set(state, amount);
+      available -= amount;
+      if (state.balance <= 0.01) {
+        rolledOver += state.installment;
+        available += state.installment;
+      }
+    }
+
+    active.forEach((state) => {
+      const paidOff = state.balance <= 0.01;
+      payInstallment(state, month, extraPayments.get(state) || 0);
+      if (!paidOff && state.balance <= 0.01) rolledOver += state.installment;
+    });
+  }
+
+  const results = states.map(({ loan, baseline, schedule }) => ({
+    id: loan.id,
+    payoffMonth: schedule.length,
+    baselinePayoffMonth: baseline.length,
+    totalInterest: sumField(schedule, 'interestPayment'),
+    baselineInterest: sumField(baseline, 'interestPayment'),
+    totalExtraPayments: sumField(schedule, 'extraPaymentApplied'),
+    schedule,
+  }));
+  const payoffMonth = Math.max(...results.map(result => result.payoffMonth));
+  const combinedSchedule = Array.from({ length: payoffMonth }, (_, index) => {
+    const rows = results.map(result => result.schedule[index]).filter(Boolean);
+    return {
+      month: index + 1,
+      payment: sumField(rows, 'monthlyPayment'),
+      extraPayment: sumField(rows, 'extraPaymentApplied'),
+      interest: sumField(rows, 'interestPayment'),
+      principal: sumField(rows, 'principalPayment'),
+      balance: sumField(rows, 'remainingBalance'),
+      balances: Object.fromEntries(results.map(result => [result.id, result.schedule[index]?.remainingBalance ?? 0])),
+    };
+  });
+
+  return {
+    loans: results,
+    schedule: combinedSchedule,
+    payoffMonth,
+    baselinePayoffMonth: Math.max(...results.map(result => result.baselinePayoffMonth)),
+    totalInterest: sumField(results, 'totalInterest'),
+    baselineInterest: sumField(results, 'baselineInterest'),
+  };
+};
+
+// The portfolio under every strategy with the same budget, keyed by strategy.
+export const comparePortfolioStrategies = (loans, monthlyBudget) => Object.fromEntries(
+  PORTFOLIO_STRATEGIES.map(strategy => [strategy, simulatePortfolio(loans, { monthlyBudget, strategy })])
+);
@@ -0,0 +1,74 @@
+// Finds the smallest recurring extra payment that reaches a goal: paying the loan
+// off by a given installment or saving a given amount of interest. Larger extra
+// payments always end the loan sooner and save more, so the amount is found by
+// bisection.
+import { calculateScenario } from './scenarios.js';
+
+export const PLANNER_GOALS = ['payoffMonth', 'interestSaved'];
+
+// When the planned extra payments are made: every installment, or with the
+// June and December primas.
+export const PLANNER_PATTERNS = {
+  monthly: { frequency: 'monthly', calendarMonths: [] },
+  primas: { frequency: 'calendarMonths', calendarMonths: [6, 12] },
+};
+
+// Planned amounts are rounded up to whole thousands of pesos.
+const AMOUNT_STEP = 1000;
+
+const buildExtraPayment = (amount, pattern, startMonth) => ({
+  type: 'recurring',
+  amount,
+  startMonth,
+  endMonth: null,
+  interval: 1,
+  annualGrowth: 0,
+  mode: 'reduceTerm',
+  ...PLANNER_PATTERNS[pattern],
+});
+
+const meetsGoal = (result, goal) => (
+  goal.type === 'payoffMonth'
+    ? result.numberOfPayments <= goal.month
+    : result.totalInterestSaved >= goal.amount
+);
+
+// Plans extra payments for `inputs` (as saved in a scenario). `goal` is
+// `{ type: 'payoffMonth', month }` or `{ type: 'interestSaved', amount }`;
+// `constraints` has the `pattern`, the `startMonth` and an optional
+// `maxAmount` per extra payment. With `keepExisting` the user's current extra
+// payments stay in place. Returns `{ extraPayment, result }`, or `{ error, result }`
+// with the message key and the closest result reached.
+export const planPrepayments = (inputs, goal, { pattern = 'monthly', startMonth = 1, maxAmount = null, keepExisting = false } = {}) => {
+  const baseExtraPayments = keepExisting ? inputs.extraPayments || [] : [];
+  const simulate = (amount) => calculateScenario({
+    ...inputs,
+    extraPayments: amount > 0 ? [...baseExtraPayments, buildExtraPayment(amount, pattern, startMonth)] : baseExtraPayments,
+  });
+
+  const current = simulate(0);
+  if (meetsGoal(current, goal)) {
+    return { error: goal.type === 'payoffMonth' ? 'planner.error.payoffAlreadyMet' : 'planner.error.savingsAlreadyMet', result: current };
+  }
+
+  // Without a limit, an extra payment as large as the loan settles it at once.
+  const limit = parseFloat(maxAmount) > 0 ? parseFloat(maxAmount) : parseFloat(inputs.loanAmount);
+  const best = simulate(limit);
+  if (!meetsGoal(best, goal)) {
+    return { error: goal.type === 'payoffMonth' ? 'planner.error.payoffUnreachable' : 'planner.error.savingsUnreachable', result: best };
+  }
+
+  let low = 0;
+  let high = Math.ceil(limit / AMOUNT_STEP);
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (meetsGoal(simulate(mid * AMOUNT_STEP), goal)) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  // The rounded amount may pass the limit by less than one step.
+  const amount = Math.min(high * AMOUNT_STEP, limit);
+  return { extraPayment: buildExtraPayment(amount, pattern, startMonth), result: simulate(amount) };
+};
@@ -0,0 +1,58 @@
+// Conversions between the rate conventions used in Colombian loan offers.
+// Every rate is a percentage. Codes follow the usual market shorthand:
+// E = efectiva, N = nominal, V = vencida (in arrears), A = anticipada (in advance),
+// and the period letter A/S/T/B/M = anual, semestral, trimestral, bimestral, mensual.
+
+const PERIOD_LETTERS = { A: 1, S: 2, T: 4, B: 6, M: 12 };
+
+// Labels for each code are in the message catalogs under `rateCode.<code>`.
+export const RATE_CODES = {
+  EA: { kind: 'effective', periodsPerYear: 1 },
+  ES: { kind: 'effective', periodsPerYear: 2 },
+  ET: { kind: 'effective', periodsPerYear: 4 },
+  EB: { kind: 'effective', periodsPerYear: 6 },
+  EM: { kind: 'effective', periodsPerYear: 12 },
+  ...Object.fromEntries(Object.entries(PERIOD_LETTERS).flatMap(([letter, periodsPerYear]) => [
+    [`N${letter}V`, { kind: 'nominalArrears', periodsPerYear }],
+    [`N${letter}A`, { kind: 'nominalAdvance', periodsPerYear }],
+  ])),
+};
+
+export const toEffectiveAnnual = (rate, code = 'EA') => {
+  const definition = RATE_CODES[code];
+  const value = parseFloat(rate) / 100;
+  if (!definition || isNaN(value)) return NaN;
+
+  const { kind, periodsPerYear } = definition;
+  let periodicRate = value;
+  if (kind === 'nominalArrears') {
+    periodicRate = value / periodsPerYear;
+  } else if (kind === 'nominalAdvance') {
+    const advanceRate = value / periodsPerYear;
+    if (advanceRate >= 1) return NaN;
+    periodicRate = advanceRate / (1 - advanceRate);
+  }
+  return (Math.pow(1 + periodicRate, periodsPerYear) - 1) * 100;
+};
+
+export const fromEffectiveAnnual = (effectiveAnnualRate, code = 'EA') => {
+  const definition = RATE_CODES[code];
+  const value = parseFloat(effectiveAnnualRate) / 100;
+  if (!definition || isNaN(value)) return NaN;
+
+  const { kind, periodsPerYear } = definition;
+  const periodicRate = Math.pow(1 + value, 1 / periodsPerYear) - 1;
+  if (kind === 'nominalArrears') return periodicRate * periodsPerYear * 100;
+  if (kind === 'nominalAdvance') return (periodicRate / (1 + periodicRate)) * periodsPerYear * 100;
+  return periodicRate * 100;
+};
+
+export const convertRate = (rate, fromCode, toCode) => fromEffectiveAnnual(toEffectiveAnnual(rate, fromCode), toCode);
+
+// Returns how far `effectiveAnnualRate` is above the usury rate (both EA), or 0.
+export const getUsuryExcess = (effectiveAnnualRate, usuryRate) => {
+  const rate = parseFloat(effectiveAnnualRate);
+  const cap = parseFloat(usuryRate);
+  if (isNaN(rate) || isNaN(cap) || cap <= 0) return 0;
+  return Math.max(0, rate - cap);
+};
@@ -0,0 +1,184 @@
+// Compares the planned schedule with the payments actually made. Installments
+// fall due on the plan's dates and are charged interest on the real balance;
+// payments settle late-payment interest first, then overdue installments, then
+// the next installment, and anything above that is an extra payment to principal.
+// Insurance and fees on a row are due with its installment and paid before it.
+import { calculatePeriodRate } from './amortization.js';
+import { parseDate } from './calendar.js';
+import { parseAmount, parsePaymentDate, splitCSVLine } from './csvParsing.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Payments from a CSV bank statement: the first cell holding a date and the
+// last cell holding an amount of every line. Lines without both, such as
+// headers, are counted in `skippedLines`.
+export const parsePaymentsCSV = (text) => {
+  const payments = [];
+  let skippedLines = 0;
+  String(text).split(/\r?\n/).filter(line => line.trim() !== '').forEach((line) => {
+    const cells = splitCSVLine(line);
+    const date = cells.map(parsePaymentDate).find(Boolean);
+    const amount = [...cells].reverse().filter(cell => !parsePaymentDate(cell)).map(parseAmount).find(value => value !== null && value > 0);
+    if (date && amount) {
+      payments.push({ date, amount });
+    } else {
+      skippedLines++;
+    }
+  });
+  return { payments, skippedLines };
+};
+
+const sum = (items, key) => items.reduce((total, item) => total + item[key], 0);
+
+const getCharges = (row) => (row.lifeInsurance || 0) + (row.propertyInsurance || 0) + (row.managementFee || 0);
+
+const getOverdueAmount = (overdue, lateInterestOwed) => sum(overdue, 'charges') + sum(overdue, 'interest') + sum(overdue, 'principal') + lateInterestOwed;
+
+// `schedule` is the planned schedule and `dueDates` / `yearFractions` come from the
+// loan calendar. Installments due after `asOfDate` (today by default, or the
+// last payment if later) have no actual figures yet. Late-payment interest is
+// charged only on overdue principal, at `lateInterestRate` percent per year.
+export const reconcilePayments = ({ schedule, dueDates, yearFractions, loanAmount, payments, lateInterestRate = 0, asOfDate = null }) => {
+  const sortedPayments = payments
+    .map(payment => ({ ...payment, parsedDate: parseDate(payment.date), amount: parseFloat(payment.amount) || 0 }))
+    .filter(payment => payment.parsedDate && payment.amount > 0)
+    .sort((a, b) => a.parsedDate - b.parsedDate);
+  const today = new Date();
+  const asOf = parseDate(asOfDate) || new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+  const lastPaymentDate = sortedPayments.length > 0 ? sortedPayments[sortedPayments.length - 1].parsedDate : asOf;
+  const cutoff = lastPaymentDate > asOf ? lastPaymentDate : asOf;
+  const lateRate = (parseFloat(lateInterestRate) || 0) / 100;
+
+  let balance = loanAmount;
+  let credit = 0;
+  let lateInterestOwed = 0;
+  let lastAccrualDate = dueDates[0];
+  let overdue = [];
+  let unapplied = 0;
+  const periods = schedule.map(() => ({ paid: 0, lateInterest: 0, extraPayment: 0, actualBalance: null, overdueAmount: null }));
+  const periodIndexOf = (date) => {
+    const index = dueDates.findIndex(dueDate => dueDate >= date);
+    return Math.min(Math.max(index === -1 ? schedule.length : index, 1), schedule.length) - 1;
+  };
+  const overduePrincipal = () => sum(overdue, 'principal');
+
+  const accrue = (date) => {
+    const days = Math.round((date - lastAccrualDate) / MS_PER_DAY);
+    if (days <= 0) return;
+    const lateInterest = overduePrincipal() * (Math.pow(1 + lateRate, days / 365) - 1);
+    lateInterestOwed += lateInterest;
+    periods[periodIndexOf(date)].lateInterest += lateInterest;
+    lastAccrualDate = date;
+  };
+
+  // Pays late interest and then the oldest overdue installments. Returns what is left.
+  const settleOverdue = (amount) => {
+    let remaining = amount;
+    const lateInterestPaid = Math.min(remaining, lateInterestOwed);
+    lateInterestOwed -= lateInterestPaid;
+    remaining -= lateInterestPaid;
+    overdue.forEach((installment) => {
+      const chargesPaid = Math.min(remaining, installment.charges);
+      installment.charges -= chargesPaid;
+      remaining -= chargesPaid;
+      const interestPaid = Math.min(remaining, installment.interest);
+      installment.interest -= interestPaid;
+      remaining -= interestPaid;
+      const principalPaid = Math.min(remaining, installment.principal);
+      installment.principal -= principalPaid;
+      balance -= principalPaid;
+      remaining -= principalPaid;
+    });
+    overdue = overdue.filter(installment => installment.charges + installment.interest + installment.principal > 0.005);
+    return remaining;
+  };
+
+  const fallDue = (month) => {
+    const row = schedule[month - 1];
+    const date = dueDates[month];
+    accrue(date);
+    if (balance > 0.01) {
+      const currentPrincipal = balance - overduePrincipal();
+      let interest = currentPrincipal * calculatePeriodRate(row.annualRate, yearFractions[month]);
+      // Installments smaller than the interest, as in a total grace period,
+      // add the difference to the balance.
+      if (row.monthlyPayment < interest) {
+        balance += interest - row.monthlyPayment;
+        interest = row.monthlyPayment;
+      }
+      const principal = Math.min(Math.max(row.monthlyPayment - interest, 0), balance - overduePrincipal());
+      overdue.push({ month, charges: getCharges(row), interest, principal });
+      const leftover = settleOverdue(credit);
+      credit = 0;
+      const extraPayment = Math.min(leftover, Math.max(balance - overduePrincipal(), 0));
+      balance -= extraPayment;
+      periods[month - 1].extraPayment += extraPayment;
+      unapplied += leftover - extraPayment;
+    }
+    periods[month - 1].actualBalance = Math.max(balance, 0);
+    periods[month - 1].overdueAmount = getOverdueAmount(overdue, lateInterestOwed);
+  };
+
+  let nextMonth = 1;
+  sortedPayments.forEach((payment) => {
+    while (nextMonth <= schedule.length && dueDates[nextMonth] < payment.parsedDate) {
+      fallDue(nextMonth);
+      nextMonth++;
+    }
+    accrue(payment.parsedDate);
+    const period = periods[periodIndexOf(payment.parsedDate)];
+    period.paid += payment.amount;
+
+    let remaining = settleOverdue(payment.amount);
+    if (nextMonth <= schedule.length && balance > 0.01) {
+      const toNextInstallment = Math.min(remaining, Math.max(schedule[nextMonth - 1].monthlyPayment + getCharges(schedule[nextMonth - 1]) - credit, 0));
+      credit += toNextInstallment;
+      remaining -= toNextInstallment;
+    }
+    const extraPayment = Math.min(remaining, Math.max(balance - overduePrincipal(), 0));
+    balance -= extraPayment;
+    period.extraPayment += extraPayment;
+    unapplied += remaining - extraPayment;
+  });
+  while (nextMonth <= schedule.length && dueDates[nextMonth] <= cutoff) {
+    fallDue(nextMonth);
+    nextMonth++;
+  }
+  accrue(cutoff);
+
+  let plannedPaid = 0;
+  let actualPaid = 0;
+  const rows = schedule.map((row, index) => {
+    const period = periods[index];
+    const plannedPayment = row.monthlyPayment + getCharges(row) + (row.extraPaymentApplied || 0);
+    plannedPaid += plannedPayment;
+    actualPaid += period.paid;
+    const due = period.actualBalance !== null;
+    return {
+      month: row.month,
+      dueDate: row.dueDate,
+      plannedPayment,
+      plannedBalance: row.remainingBalance,
+      actualPaid: period.paid,
+      lateInterest: period.lateInterest,
+      extraPayment: period.extraPayment,
+      actualBalance: period.actualBalance,
+      overdueAmount: period.overdueAmount,
+      runningDifference: due ? actualPaid - plannedPaid : null,
+      balanceDifference: due ? period.actualBalance - row.remainingBalance : null,
+    };
+  });
+
+  return {
+    rows,
+    asOfDate: cutoff.toISOString().slice(0, 10),
+    currentBalance: Math.max(balance, 0),
+    overdueAmount: getOverdueAmount(overdue, lateInterestOwed),
+    lateInterestOwed,
+    totalLateInterest: sum(periods, 'lateInterest'),
+    totalPaid: sum(periods, 'paid'),
+    totalExtraPayments: sum(periods, 'extraPayment'),
+    prepaid: credit,
+    unapplied,
+  };
+};
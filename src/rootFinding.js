@@ -0,0 +1,20 @@
+// Bisection root finder for a continuous `fn` whose sign differs at `low` and
+// `high`. Returns NaN when it does not.
+export const findRoot = (fn, low, high, { tolerance = 1e-9, maxIterations = 200 } = {}) => {
+  let fnLow = fn(low);
+  if (fnLow === 0) return low;
+  if (fnLow * fn(high) > 0) return NaN;
+
+  for (let i = 0; i < maxIterations; i++) {
+    const mid = (low + high) / 2;
+    const fnMid = fn(mid);
+    if (fnMid === 0 || high - low < tolerance) return mid;
+    if (fnLow * fnMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      fnLow = fnMid;
+    }
+  }
+  return (low + high) / 2;
+};
@@ -0,0 +1,75 @@
+// Named sets of simulator inputs kept in the browser, and the figures used to
+// compare them side by side.
+import { calculateAmortization } from './amortization.js';
+import { PAYMENT_FREQUENCIES } from './calendar.js';
+import { applyLoanCosts } from './costs.js';
+import { toEffectiveAnnual } from './rates.js';
+import { calculateUVRAmortization } from './uvr.js';
+
+export const SCENARIOS_STORAGE_KEY = 'simulador-prestamos:escenarios';
+
+export const MAX_COMPARED_SCENARIOS = 4;
+
+const getStorage = () => (typeof localStorage === 'undefined' ? null : localStorage);
+
+export const loadScenarios = (storage = getStorage()) => {
+  try {
+    const scenarios = JSON.parse(storage?.getItem(SCENARIOS_STORAGE_KEY) || '[]');
+    return Array.isArray(scenarios) ? scenarios : [];
+  } catch {
+    return [];
+  }
+};
+
+// Returns false when the browser refuses to store them, as in private mode or
+// with its storage full.
+export const saveScenarios = (scenarios, storage = getStorage()) => {
+  try {
+    storage?.setItem(SCENARIOS_STORAGE_KEY, JSON.stringify(scenarios));
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Runs saved inputs through the same steps as the simulator screen: rate
+// conversion, the COP or UVR engine and the insurance and fees.
+export const calculateScenario = (inputs) => {
+  const { periodsPerYear } = PAYMENT_FREQUENCIES[inputs.paymentFrequency] || PAYMENT_FREQUENCIES.monthly;
+  const disbursementDate = inputs.disbursementDate || null;
+  const calculate = inputs.denomination === 'UVR' ? calculateUVRAmortization : calculateAmortization;
+  const result = calculate({
+    ...inputs,
+    annualInterestRate: toEffectiveAnnual(inputs.annualInterestRate, inputs.rateType || 'EA'),
+    disbursementDate,
+  });
+  const withCosts = applyLoanCosts(inputs.loanAmount, result.schedule, inputs, { disbursementDate, periodsPerYear });
+
+  return {
+    monthlyPayment: result.monthlyPayment,
+    numberOfPayments: result.schedule.length,
+    totalInterest: result.totalInterestPaid + result.totalCapitalizedInterest,
+    totalPaid: withCosts.schedule.reduce((sum, row) => sum + row.totalPayment + (row.extraPaymentApplied || 0), 0) + withCosts.upfrontFees,
+    totalInterestSaved: result.totalInterestSaved,
+    effectiveAnnualCost: withCosts.effectiveAnnualCost,
+    schedule: withCosts.schedule,
+    // Balances are placed on a months axis so that loans with different payment
+    // frequencies line up.
+    balances: [
+      { months: 0, balance: parseFloat(inputs.loanAmount) || 0 },
+      ...result.schedule.map(row => ({ months: row.month * 12 / periodsPerYear, balance: row.remainingBalance })),
+    ],
+  };
+};
+
+// Chart points with one balance key per scenario id, sorted by months elapsed.
+export const mergeBalanceCurves = (results) => {
+  const points = new Map();
+  results.forEach(({ id, balances }) => {
+    balances.forEach(({ months, balance }) => {
+      const key = Math.round(months * 1000) / 1000;
+      points.set(key, { ...(points.get(key) || { months: key }), [id]: balance });
+    });
+  });
+  return [...points.values()].sort((a, b) => a.months - b.months);
+};
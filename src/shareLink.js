@@ -0,0 +1,267 @@
+// Encodes the simulator inputs in a short, URL-safe string so a simulation can
+// be shared as a link: "<version>.<base64url JSON>", with short keys and the
+// default values left out.
+import { AMORTIZATION_SYSTEMS, EXTRA_PAYMENT_MODES, GRACE_TYPES, RECURRING_FREQUENCIES } from './amortization.js';
+import { DAY_COUNT_CONVENTIONS, PAYMENT_FREQUENCIES, parseDate } from './calendar.js';
+import { RATE_CODES } from './rates.js';
+
+export const SHARE_LINK_VERSION = 1;
+
+export const SHARE_LINK_PARAM = 'sim';
+
+// Inputs assumed when a field is missing from a link. Changing one of these
+// changes what existing links mean, so it needs a new version.
+const DEFAULT_INPUTS = {
+  loanAmount: 100000,
+  annualInterestRate: 5,
+  rateType: 'EA',
+  usuryRate: '',
+  loanTerm: 5,
+  loanTermUnit: 'years',
+  paymentFrequency: 'monthly',
+  amortizationSystem: 'french',
+  installmentGrowth: 5,
+  balloonPercentage: 20,
+  denomination: 'COP',
+  uvrInitialValue: 390,
+  inflationPath: '5; 4; 3.5',
+  graceMonths: 0,
+  graceType: 'partial',
+  rateChanges: [],
+  extraPayments: [],
+  firstPaymentCalendarMonth: 1,
+  disbursementDate: '',
+  paymentDay: '',
+  dayCountConvention: '30/360',
+  lifeInsuranceRate: '',
+  propertyValue: 0,
+  propertyInsuranceRate: '',
+  monthlyFee: 0,
+  openingFee: 0,
+  studyFee: 0,
+};
+
+// Short key of every field. Keys may be added, but never renamed or reused.
+const FIELD_KEYS = {
+  loanAmount: 'a',
+  annualInterestRate: 'r',
+  rateType: 'rt',
+  usuryRate: 'u',
+  loanTerm: 't',
+  loanTermUnit: 'tu',
+  paymentFrequency: 'f',
+  amortizationSystem: 's',
+  installmentGrowth: 'g',
+  balloonPercentage: 'b',
+  denomination: 'd',
+  uvrInitialValue: 'uv',
+  inflationPath: 'i',
+  graceMonths: 'gm',
+  graceType: 'gt',
+  rateChanges: 'rc',
+  extraPayments: 'x',
+  firstPaymentCalendarMonth: 'fm',
+  disbursementDate: 'dd',
+  paymentDay: 'pd',
+  dayCountConvention: 'dc',
+  lifeInsuranceRate: 'li',
+  propertyValue: 'pv',
+  propertyInsuranceRate: 'pi',
+  monthlyFee: 'mf',
+  openingFee: 'of',
+  studyFee: 'sf',
+};
+
+const EXTRA_PAYMENT_KEYS = {
+  type: 'y',
+  amount: 'a',
+  month: 'm',
+  date: 'd',
+  mode: 'o',
+  startMonth: 'sm',
+  startDate: 'sd',
+  endMonth: 'e',
+  frequency: 'f',
+  interval: 'n',
+  calendarMonths: 'c',
+  annualGrowth: 'g',
+};
+
+const RATE_CHANGE_KEYS = {
+  month: 'm',
+  type: 'y',
+  tea: 't',
+  indexName: 'n',
+  indexValue: 'v',
+  spread: 's',
+};
+
+// Numeric fields of list items. The engine matches months with ===, so a month
+// that arrives as a string would never be applied.
+const EXTRA_PAYMENT_NUMBER_FIELDS = ['amount', 'month', 'startMonth', 'endMonth', 'interval', 'annualGrowth'];
+const RATE_CHANGE_NUMBER_FIELDS = ['month', 'tea', 'indexValue', 'spread'];
+
+const ENUM_FIELDS = {
+  rateType: Object.keys(RATE_CODES),
+  loanTermUnit: ['years', 'months'],
+  paymentFrequency: Object.keys(PAYMENT_FREQUENCIES),
+  amortizationSystem: AMORTIZATION_SYSTEMS,
+  denomination: ['COP', 'UVR'],
+  graceType: GRACE_TYPES,
+  dayCountConvention: DAY_COUNT_CONVENTIONS,
+};
+
+const invert = (keys) => Object.fromEntries(Object.entries(keys).map(([field, key]) => [key, field]));
+
+const FIELDS_BY_KEY = invert(FIELD_KEYS);
+const EXTRA_PAYMENT_FIELDS_BY_KEY = invert(EXTRA_PAYMENT_KEYS);
+const RATE_CHANGE_FIELDS_BY_KEY = invert(RATE_CHANGE_KEYS);
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// List items lose their ids, which only matter inside one browser session.
+const encodeItem = (item, keys) => Object.fromEntries(
+  Object.entries(keys)
+    .filter(([field]) => !isEmpty(item[field]))
+    .map(([field, key]) => [key, item[field]])
+);
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value);
+
+const decodeItem = (item, fieldsByKey, numberFields, id) => {
+  const decoded = { id };
+  Object.entries(item).filter(([key]) => fieldsByKey[key]).forEach(([key, value]) => {
+    const field = fieldsByKey[key];
+    decoded[field] = numberFields.includes(field) ? toNumber(value) : value;
+  });
+  if (Array.isArray(decoded.calendarMonths)) decoded.calendarMonths = decoded.calendarMonths.map(toNumber);
+  return decoded;
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Anything that is not a list of objects is left as is for validation to reject.
+const decodeList = (list, fieldsByKey, numberFields, idBase) => (
+  Array.isArray(list) ? list.map((item, index) => (isObject(item) ? decodeItem(item, fieldsByKey, numberFields, idBase + index) : item)) : list
+);
+
+const toBase64Url = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+export const encodeShareLink = (inputs) => {
+  const payload = {};
+  Object.entries(FIELD_KEYS).forEach(([field, key]) => {
+    let value = inputs[field];
+    if (value === undefined || JSON.stringify(value) === JSON.stringify(DEFAULT_INPUTS[field])) return;
+    if (field === 'extraPayments') value = value.map(ep => encodeItem(ep, EXTRA_PAYMENT_KEYS));
+    if (field === 'rateChanges') value = value.map(rc => encodeItem(rc, RATE_CHANGE_KEYS));
+    payload[key] = value;
+  });
+  return `${SHARE_LINK_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+};
+
+const isNumeric = (value) => value === '' || (typeof value !== 'boolean' && value !== null && !isNaN(Number(value)));
+
+const isMonth = (value) => Number.isInteger(value) && value >= 1;
+
+// Integer from `min` to `max`, or empty when the field is optional.
+const isIntegerInRange = (value, min, max) => {
+  const number = Number(value);
+  return value !== null && value !== '' && typeof value !== 'boolean' && Number.isInteger(number) && number >= min && number <= max;
+};
+
+const isValidRecurrence = (ep) => (
+  (isEmpty(ep.endMonth) || isMonth(ep.endMonth))
+  && (ep.frequency !== 'interval' || isMonth(ep.interval))
+  && (ep.frequency !== 'calendarMonths' || (Array.isArray(ep.calendarMonths) && ep.calendarMonths.every(month => isIntegerInRange(month, 1, 12))))
+  && (isEmpty(ep.annualGrowth) || typeof ep.annualGrowth === 'number')
+);
+
+const isValidExtraPayment = (ep) => (
+  isObject(ep)
+  && Number.isFinite(ep.amount) && ep.amount > 0
+  && (!ep.mode || EXTRA_PAYMENT_MODES.includes(ep.mode))
+  && (ep.type === 'recurring'
+    ? (isMonth(ep.startMonth) || typeof ep.startDate === 'string') && (!ep.frequency || RECURRING_FREQUENCIES.includes(ep.frequency)) && isValidRecurrence(ep)
+    : isMonth(ep.month) || typeof ep.date === 'string')
+);
+
+const isValidRateChange = (rc) => (
+  isObject(rc)
+  && isMonth(rc.month)
+  && (rc.type === 'indexed'
+    ? typeof rc.indexValue === 'number' && typeof rc.spread === 'number'
+    : typeof rc.tea === 'number')
+);
+
+const isValidInputs = (inputs) => (
+  Object.entries(ENUM_FIELDS).every(([field, values]) => values.includes(inputs[field]))
+  && Array.isArray(inputs.extraPayments) && inputs.extraPayments.every(isValidExtraPayment)
+  && Array.isArray(inputs.rateChanges) && inputs.rateChanges.every(isValidRateChange)
+  && [
+    'loanAmount', 'annualInterestRate', 'usuryRate', 'loanTerm', 'graceMonths', 'installmentGrowth', 'balloonPercentage', 'uvrInitialValue',
+    'lifeInsuranceRate', 'propertyValue', 'propertyInsuranceRate', 'monthlyFee', 'openingFee', 'studyFee',
+  ].every(field => isNumeric(inputs[field]))
+  && typeof inputs.inflationPath === 'string'
+  && (inputs.disbursementDate === '' || parseDate(inputs.disbursementDate) !== null)
+  && (inputs.paymentDay === '' || isIntegerInRange(inputs.paymentDay, 1, 31))
+  && isIntegerInRange(inputs.firstPaymentCalendarMonth, 1, 12)
+);
+
+// Returns { inputs } for a valid link, or { error } with the message key for the user.
+export const decodeShareLink = (value) => {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(value || '');
+  if (!match) {
+    return { error: 'share.error.invalid' };
+  }
+  const version = Number(match[1]);
+  if (version < SHARE_LINK_VERSION) {
+    return { error: 'share.error.olderVersion' };
+  }
+  if (version > SHARE_LINK_VERSION) {
+    return { error: 'share.error.newerVersion' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(match[2]));
+  } catch {
+    return { error: 'share.error.damaged' };
+  }
+  if (!isObject(payload)) {
+    return { error: 'share.error.damaged' };
+  }
+
+  const decoded = Object.fromEntries(Object.entries(payload).filter(([key]) => FIELDS_BY_KEY[key]).map(([key, value]) => [FIELDS_BY_KEY[key], value]));
+  const idBase = Date.now();
+  const inputs = {
+    ...DEFAULT_INPUTS,
+    ...decoded,
+    firstPaymentCalendarMonth: toNumber(decoded.firstPaymentCalendarMonth ?? DEFAULT_INPUTS.firstPaymentCalendarMonth),
+    extraPayments: decodeList(decoded.extraPayments ?? [], EXTRA_PAYMENT_FIELDS_BY_KEY, EXTRA_PAYMENT_NUMBER_FIELDS, idBase),
+    rateChanges: decodeList(decoded.rateChanges ?? [], RATE_CHANGE_FIELDS_BY_KEY, RATE_CHANGE_NUMBER_FIELDS, idBase + 1000),
+  };
+  if (!isValidInputs(inputs)) {
+    return { error: 'share.error.invalidData' };
+  }
+  return { inputs };
+};
+
+// Reads the simulation from a location hash such as "#sim=1.eyJhIjo...". Returns
+// null when the hash has no simulation.
+export const readShareLinkFromHash = (hash) => {
+  const value = new URLSearchParams((hash || '').replace(/^#/, '')).get(SHARE_LINK_PARAM);
+  return value === null ? null : decodeShareLink(value);
+};
+
+export const buildShareUrl = (location, inputs) => (
+  `${location.origin}${location.pathname}${location.search}#${SHARE_LINK_PARAM}=${encodeShareLink(inputs)}`
+);
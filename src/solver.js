@@ -0,0 +1,88 @@
+// Reverse calculations: the loan amount, term or rate that gives a target
+// installment. Every candidate is run through the same steps as the simulator, so
+// the answer holds for any amortization system, grace period or denomination.
+import { findRoot } from './rootFinding.js';
+import { calculateScenario } from './scenarios.js';
+
+// Labels are in the message catalogs under `solver.solveFor.<value>`.
+export const SOLVE_FOR = ['installment', 'loanAmount', 'loanTerm', 'rate'];
+
+// Longest term tried when solving for the term, in months.
+export const MAX_SOLVED_TERM_MONTHS = 600;
+
+// Highest effective annual rate tried when solving for the rate, in percent.
+const MAX_SOLVED_RATE = 1000;
+
+const installmentFor = (inputs) => calculateScenario(inputs).monthlyPayment;
+
+// Largest installment allowed by an income: `maxPercentage` of the monthly income,
+// spread over the payment periods of a year. Returns null without an income.
+export const getAffordableInstallment = (monthlyIncome, maxPercentage, periodsPerYear = 12) => {
+  const income = parseFloat(monthlyIncome) || 0;
+  const percentage = parseFloat(maxPercentage) || 0;
+  if (income <= 0 || percentage <= 0) return null;
+  return (income * percentage / 100) * 12 / periodsPerYear;
+};
+
+// Solves `inputs` (as saved in a scenario) for `solveFor` so that the first
+// installment equals `targetInstallment`. Returns `{ value, installment }`, with
+// the term in months and the rate as an effective annual percentage, or
+// `{ error, errorParams }` with the message key for the user.
+export const solveLoan = (inputs, solveFor, targetInstallment) => {
+  const target = parseFloat(targetInstallment);
+  if (solveFor === 'installment') {
+    const installment = installmentFor(inputs);
+    return { value: installment, installment };
+  }
+  if (!(target > 0)) {
+    return { error: 'solver.error.noTarget' };
+  }
+
+  switch (solveFor) {
+    case 'loanAmount': {
+      // The installment is proportional to the amount borrowed.
+      const reference = 1000000;
+      const installment = installmentFor({ ...inputs, loanAmount: reference });
+      if (!(installment > 0)) return { error: 'solver.error.amount' };
+      const value = Math.floor(reference * target / installment + 1e-6);
+      return { value, installment: installmentFor({ ...inputs, loanAmount: value }) };
+    }
+    case 'loanTerm': {
+      // The installment falls as the term grows, so the shortest term whose
+      // installment fits is found by bisection over whole months. A term that
+      // ends within the grace period has no installment at all, which is no answer.
+      const installmentForMonths = (months) => installmentFor({ ...inputs, loanTerm: months, loanTermUnit: 'months' });
+      const fits = (months) => {
+        const installment = installmentForMonths(months);
+        return installment > 0 && installment <= target;
+      };
+      if (!fits(MAX_SOLVED_TERM_MONTHS)) {
+        return { error: 'solver.error.termTooLong', errorParams: { years: MAX_SOLVED_TERM_MONTHS / 12 } };
+      }
+      let low = (parseInt(inputs.graceMonths) || 0) + 1;
+      let high = MAX_SOLVED_TERM_MONTHS;
+      while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (fits(mid)) {
+          high = mid;
+        } else {
+          low = mid + 1;
+        }
+      }
+      return { value: low, installment: installmentForMonths(low) };
+    }
+    case 'rate': {
+      const installmentForRate = (rate) => installmentFor({ ...inputs, annualInterestRate: rate, rateType: 'EA' });
+      if (installmentForRate(0) > target) {
+        return { error: 'solver.error.belowZeroRate' };
+      }
+      const value = findRoot(rate => installmentForRate(rate) - target, 0, MAX_SOLVED_RATE);
+      if (isNaN(value)) {
+        return { error: 'solver.error.rateTooHigh', errorParams: { rate: MAX_SOLVED_RATE } };
+      }
+      return { value, installment: installmentForRate(value) };
+    }
+    default:
+      return { error: 'solver.error.solveFor' };
+  }
+};
@@ -0,0 +1,179 @@
+// CSV and XLSX files built without external libraries. A workbook is a list of
+// sheets `{ name, sections }`; each section is `{ title, columns, rows }`, where
+// rows are arrays of cells that are numbers, strings or null. Numbers are
+// written as real numbers, never as formatted text.
+
+const roundCell = (value) => Math.round(value * 1e6) / 1e6;
+
+// Values in a CSV line. With ';' as separator the decimal mark is a comma, which
+// is what Excel expects when the system locale is Spanish.
+const toCSVCell = (cell, separator) => {
+  if (cell === null || cell === undefined) return '';
+  if (typeof cell === 'number') {
+    if (!isFinite(cell)) return '';
+    const text = String(roundCell(cell));
+    return separator === ';' ? text.replace('.', ',') : text;
+  }
+  const text = String(cell);
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (sheets, separator = ',') => {
+  const lines = [];
+  sheets.forEach(({ sections }) => {
+    sections.forEach(({ title, columns, rows }) => {
+      if (lines.length > 0) lines.push('');
+      if (title) lines.push(toCSVCell(title, separator));
+      if (columns) lines.push(columns.map(cell => toCSVCell(cell, separator)).join(separator));
+      rows.forEach(row => lines.push(row.map(cell => toCSVCell(cell, separator)).join(separator)));
+    });
+  });
+  // The byte order mark makes Excel read the file as UTF-8 and keep the accents.
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+};
+
+const escapeXML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Cell styles defined in styles.xml: 0 default, 1 number with two decimals, 2 bold.
+const NUMBER_STYLE = 1;
+const BOLD_STYLE = 2;
+
+const toXMLCell = (cell, ref, bold) => {
+  if (cell === null || cell === undefined || (typeof cell === 'number' && !isFinite(cell))) return '';
+  if (typeof cell === 'number') {
+    const style = Number.isInteger(cell) ? '' : ` s="${NUMBER_STYLE}"`;
+    return `<c r="${ref}"${style}><v>${roundCell(cell)}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"${bold ? ` s="${BOLD_STYLE}"` : ''}><is><t xml:space="preserve">${escapeXML(cell)}</t></is></c>`;
+};
+
+const toSheetXML = ({ sections }) => {
+  const rows = [];
+  sections.forEach(({ title, columns, rows: sectionRows }) => {
+    if (rows.length > 0) rows.push({ cells: [] });
+    if (title) rows.push({ cells: [title], bold: true });
+    if (columns) rows.push({ cells: columns, bold: true });
+    sectionRows.forEach(cells => rows.push({ cells }));
+  });
+  const sheetData = rows.map(({ cells, bold }, rowIndex) => (
+    `<row r="${rowIndex + 1}">${cells.map((cell, col) => toXMLCell(cell, `${columnName(col)}${rowIndex + 1}`, bold)).join('')}</row>`
+  )).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<cols><col min="1" max="1" width="32" customWidth="1"/><col min="2" max="30" width="18" customWidth="1"/></cols>'
+    + `<sheetData>${sheetData}</sheetData></worksheet>`;
+};
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="3">'
+  + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '</cellXfs></styleSheet>';
+
+// Sheet names may not have more than 31 characters or any of : \ / ? * [ ].
+const toSheetName = (name) => name.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31);
+
+const buildWorkbookFiles = (sheets) => ({
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+    + '</Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+    + sheets.map((sheet, index) => `<sheet name="${escapeXML(toSheetName(sheet.name))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')
+    + '</sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+    + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+    + '</Relationships>',
+  'xl/styles.xml': STYLES_XML,
+  ...Object.fromEntries(sheets.map((sheet, index) => [`xl/worksheets/sheet${index + 1}.xml`, toSheetXML(sheet)])),
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  bytes.forEach(byte => { crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8); });
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// ZIP archive with the files stored uncompressed, which every spreadsheet
+// application accepts.
+const zip = (files) => {
+  const encoder = new TextEncoder();
+  const entries = Object.entries(files).map(([name, content]) => ({ name: encoder.encode(name), data: encoder.encode(content) }));
+  const size = entries.reduce((sum, { name, data }) => sum + 30 + name.length + data.length + 46 + name.length, 0) + 22;
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  const write16 = (value) => { view.setUint16(offset, value, true); offset += 2; };
+  const write32 = (value) => { view.setUint32(offset, value, true); offset += 4; };
+  const writeBytes = (data) => { bytes.set(data, offset); offset += data.length; };
+  // Every file is dated 1980-01-01, the earliest date ZIP can hold.
+  const writeHeader = ({ name, data, crc }) => {
+    write16(20); write16(0); write16(0); write16(0); write16(33);
+    write32(crc); write32(data.length); write32(data.length);
+    write16(name.length); write16(0);
+  };
+
+  entries.forEach((entry) => {
+    entry.crc = crc32(entry.data);
+    entry.offset = offset;
+    write32(0x04034B50);
+    writeHeader(entry);
+    writeBytes(entry.name);
+    writeBytes(entry.data);
+  });
+  const directoryOffset = offset;
+  entries.forEach((entry) => {
+    write32(0x02014B50);
+    write16(20);
+    writeHeader(entry);
+    write16(0); write16(0); write16(0); write32(0);
+    write32(entry.offset);
+    writeBytes(entry.name);
+  });
+  const directorySize = offset - directoryOffset;
+  write32(0x06054B50);
+  write16(0); write16(0);
+  write16(entries.length); write16(entries.length);
+  write32(directorySize); write32(directoryOffset);
+  write16(0);
+  return bytes;
+};
+
+export const toXLSX = (sheets) => zip(buildWorkbookFiles(sheets));
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+
+// `value` once it has stopped changing for `delay` milliseconds. `value` must
+// keep its identity between renders while it does not change.
+export const useDebouncedValue = (value, delay) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
@@ -0,0 +1,32 @@
+import { useCallback, useState } from 'react';
+
+// Changes kept for undo; older ones are dropped.
+const MAX_HISTORY = 50;
+
+// State whose changes can be undone and redone. Each call to the setter is one
+// step; setting a new value clears the steps that were undone.
+export const useUndoableState = (initialValue) => {
+  const [history, setHistory] = useState({ past: [], present: initialValue, future: [] });
+
+  const setValue = useCallback((update) => {
+    setHistory(({ past, present, future }) => {
+      const next = typeof update === 'function' ? update(present) : update;
+      if (next === present) return { past, present, future };
+      return { past: [...past, present].slice(-MAX_HISTORY), present: next, future: [] };
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory(({ past, present, future }) => (past.length === 0
+      ? { past, present, future }
+      : { past: past.slice(0, -1), present: past[past.length - 1], future: [present, ...future] }));
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory(({ past, present, future }) => (future.length === 0
+      ? { past, present, future }
+      : { past: [...past, present], present: future[0], future: future.slice(1) }));
+  }, []);
+
+  return [history.present, setValue, { undo, redo, canUndo: history.past.length > 0, canRedo: history.future.length > 0 }];
+};
@@ -0,0 +1,115 @@
+// UVR-denominated loans: the engine runs in UVR units at the real rate, and every
+// month is converted to pesos with a UVR value that grows with projected inflation.
+import { calculateAmortization, expandExtraPayments, getTotalPeriods } from './amortization.js';
+import { PAYMENT_FREQUENCIES, buildLoanCalendar, resolveExtraPaymentDates } from './calendar.js';
+
+const UVR_FIELDS = ['monthlyPayment', 'principalPayment', 'interestPayment', 'remainingBalance', 'capitalizedInterest'];
+
+// Accepts "4,5; 3,8; 3.2" or an array of numbers. The last yearly value keeps
+// applying once the path runs out.
+export const parseInflationPath = (inflationPath) => {
+  const values = Array.isArray(inflationPath)
+    ? inflationPath
+    : String(inflationPath).split(/[;\s]+/).filter(Boolean).map(value => value.replace(',', '.'));
+  return values.map(Number).filter(value => !isNaN(value));
+};
+
+// UVR value in force for installments 0..periods. Installment 0 is the disbursement date.
+export const projectUVRValues = (uvrInitialValue, inflationPath, periods, periodsPerYear = 12) => {
+  const path = parseInflationPath(inflationPath);
+  const values = [uvrInitialValue];
+  for (let period = 1; period <= periods; period++) {
+    const yearlyInflation = path.length > 0 ? path[Math.min(Math.floor((period - 1) / periodsPerYear), path.length - 1)] : 0;
+    values.push(values[period - 1] * Math.pow(1 + yearlyInflation / 100, 1 / periodsPerYear));
+  }
+  return values;
+};
+
+const toUVRExtraPayments = (extraPayments, uvrValues, expandOptions) =>
+  expandExtraPayments(extraPayments, { ...expandOptions, lastMonth: uvrValues.length - 1 })
+    .map(ep => ({ id: ep.sourceId, month: ep.month, mode: ep.mode, amount: ep.amount / uvrValues[ep.month], copAmount: ep.amount }));
+
+const toPesos = (result, uvrValues) => result.schedule.map((row) => {
+  const uvrValue = uvrValues[row.month];
+  const pesos = Object.fromEntries(UVR_FIELDS.map(field => [field, row[field] * uvrValue]));
+  return {
+    ...row,
+    ...pesos,
+    extraPaymentApplied: row.extraPaymentApplied === null ? null : row.extraPaymentApplied * uvrValue,
+    uvrValue,
+    uvr: {
+      ...Object.fromEntries(UVR_FIELDS.map(field => [field, row[field]])),
+      extraPaymentApplied: row.extraPaymentApplied,
+    },
+  };
+});
+
+const sumInterest = (schedule) => schedule.reduce((sum, row) => sum + row.interestPayment + row.capitalizedInterest, 0);
+
+export const calculateUVRAmortization = ({ loanAmount, uvrInitialValue, inflationPath, extraPayments = [], ...loan }) => {
+  const initialUVR = parseFloat(uvrInitialValue);
+  const totalPeriods = getTotalPeriods(loan.loanTerm, loan.loanTermUnit || 'years', loan.paymentFrequency);
+  if (isNaN(initialUVR) || initialUVR <= 0 || isNaN(totalPeriods) || totalPeriods <= 0) {
+    return calculateAmortization({ ...loan, loanAmount: NaN });
+  }
+
+  const { periodsPerYear } = PAYMENT_FREQUENCIES[loan.paymentFrequency || 'monthly'];
+  const uvrValues = projectUVRValues(initialUVR, inflationPath, totalPeriods * 2 + 1, periodsPerYear);
+  const calendar = loan.disbursementDate ? buildLoanCalendar(loan, totalPeriods * 2 + 1) : null;
+  const uvrExtraPayments = calendar
+    ? toUVRExtraPayments(resolveExtraPaymentDates(extraPayments, calendar.dueDates), uvrValues, {
+      firstPaymentCalendarMonth: calendar.firstPaymentCalendarMonth,
+      periodsPerYear,
+      monthOffset: month => calendar.monthOffsets[month],
+    })
+    : toUVRExtraPayments(extraPayments, uvrValues, { firstPaymentCalendarMonth: loan.firstPaymentCalendarMonth || 1, periodsPerYear });
+  const uvrLoan = { ...loan, loanAmount: parseFloat(loanAmount) / initialUVR };
+
+  const uvrResult = calculateAmortization({ ...uvrLoan, extraPayments: uvrExtraPayments });
+  const uvrBaseline = calculateAmortization({ ...uvrLoan, extraPayments: [] });
+  const schedule = toPesos(uvrResult, uvrValues);
+  const baselineSchedule = toPesos(uvrBaseline, uvrValues);
+  const baselineTotalInterest = sumInterest(baselineSchedule);
+  const totalInterestPaid = schedule.reduce((sum, row) => sum + row.interestPayment, 0);
+  const totalCapitalizedInterest = schedule.reduce((sum, row) => sum + row.capitalizedInterest, 0);
+
+  // The engine applies the abonos of a month in order until the balance is paid,
+  // so the last one may be only partly applied.
+  const extraPaymentTotals = {};
+  const unappliedUnits = schedule.map(row => row.uvr.extraPaymentApplied || 0);
+  uvrExtraPayments
+    .filter(ep => uvrResult.extraPaymentTotals[ep.id] && ep.month <= schedule.length)
+    .forEach((ep) => {
+      const units = Math.min(ep.amount, unappliedUnits[ep.month - 1]);
+      if (units <= 0) return;
+      unappliedUnits[ep.month - 1] -= units;
+      const totals = extraPaymentTotals[ep.id] || { count: 0, total: 0 };
+      extraPaymentTotals[ep.id] = { count: totals.count + 1, total: totals.total + (units === ep.amount ? ep.copAmount : units * uvrValues[ep.month]) };
+    });
+
+  const firstInstallment = schedule.find(row => !row.grace) || schedule[0];
+
+  return {
+    ...uvrResult,
+    schedule,
+    chartData: uvrResult.chartData.map((point, index) => ({
+      ...point,
+      'Pago a Capital (Regular)': schedule[index].principalPayment,
+      'Pago de Interés': schedule[index].interestPayment,
+      'Interés Capitalizado': schedule[index].capitalizedInterest,
+      'Abono Extraordinario': schedule[index].extraPaymentApplied || 0,
+      'Saldo Restante': schedule[index].remainingBalance,
+      'Saldo en UVR': schedule[index].uvr.remainingBalance,
+      'Valor UVR': schedule[index].uvrValue,
+    })),
+    monthlyPayment: firstInstallment?.monthlyPayment || 0,
+    totalInterestPaid,
+    totalCapitalizedInterest,
+    baselineTotalInterest,
+    totalInterestSaved: baselineTotalInterest - totalInterestPaid - totalCapitalizedInterest,
+    extraPaymentTotals,
+    baselineSchedule,
+    uvrValues,
+    uvrLoanAmount: uvrLoan.loanAmount,
+  };
+};
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAmortization, calculateFixedPayment, calculatePeriodRate, getTotalPeriods } from '../src/amortization.js';
+
+const LOAN = { loanAmount: 12000000, annualInterestRate: 12, loanTerm: 12, loanTermUnit: 'months' };
+
+const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+
+test('french system pays a fixed installment and settles the loan', () => {
+  const { schedule, monthlyPayment } = calculateAmortization(LOAN);
+  const expected = calculateFixedPayment(12000000, calculatePeriodRate(12, 1 / 12), 12);
+
+  assert.equal(schedule.length, 12);
+  assert.ok(Math.abs(monthlyPayment - expected) < 0.01);
+  schedule.forEach(row => assert.ok(Math.abs(row.monthlyPayment - expected) < 0.01));
+  assert.ok(Math.abs(sum(schedule, 'principalPayment') - 12000000) < 0.01);
+  assert.equal(schedule[11].remainingBalance, 0);
+});
+
+test('constant principal system (German) pays the same principal every month', () => {
+  const { schedule } = calculateAmortization({ ...LOAN, amortizationSystem: 'constantPrincipal' });
+
+  assert.equal(schedule.length, 12);
+  schedule.forEach(row => assert.ok(Math.abs(row.principalPayment - 1000000) < 0.01));
+  assert.ok(schedule[0].monthlyPayment > schedule[11].monthlyPayment);
+});
+
+test('partial grace pays only interest and total grace capitalizes it', () => {
+  const partial = calculateAmortization({ ...LOAN, graceMonths: 3, graceType: 'partial' }).schedule;
+  const periodicRate = calculatePeriodRate(12, 1 / 12);
+
+  partial.slice(0, 3).forEach((row) => {
+    assert.equal(row.grace, 'partial');
+    assert.equal(row.principalPayment, 0);
+    assert.ok(Math.abs(row.interestPayment - 12000000 * periodicRate) < 0.01);
+  });
+  assert.equal(partial.length, 12);
+
+  const total = calculateAmortization({ ...LOAN, graceMonths: 3, graceType: 'total' });
+  assert.equal(total.schedule[0].monthlyPayment, 0);
+  assert.ok(total.schedule[2].remainingBalance > 12000000);
+  assert.ok(Math.abs(total.totalCapitalizedInterest - (12000000 * (Math.pow(1 + periodicRate, 3) - 1))) < 0.01);
+});
+
+test('rate changes apply from their month and re-plan the installment', () => {
+  const { schedule } = calculateAmortization({ ...LOAN, rateChanges: [{ month: 7, type: 'tea', tea: 18 }] });
+
+  assert.equal(schedule[5].annualRate, 12);
+  assert.equal(schedule[6].annualRate, 18);
+  assert.equal(schedule[6].rateChanged, true);
+  assert.ok(schedule[6].monthlyPayment > schedule[5].monthlyPayment);
+  assert.equal(schedule.length, 12);
+  assert.equal(schedule[11].remainingBalance, 0);
+});
+
+test('an extra payment that reduces the term keeps the installment and ends sooner', () => {
+  const base = calculateAmortization(LOAN);
+  const result = calculateAmortization({ ...LOAN, extraPayments: [{ id: 1, month: 3, amount: 4000000, mode: 'reduceTerm' }] });
+
+  assert.ok(result.schedule.length < 12);
+  assert.equal(result.schedule[2].extraPaymentApplied, 4000000);
+  assert.ok(Math.abs(result.schedule[3].monthlyPayment - base.monthlyPayment) < 0.01);
+  assert.ok(result.totalInterestSaved > 0);
+  assert.deepEqual(result.extraPaymentTotals[1], { count: 1, total: 4000000 });
+});
+
+test('an extra payment that reduces the installment keeps the term', () => {
+  const base = calculateAmortization(LOAN);
+  const result = calculateAmortization({ ...LOAN, extraPayments: [{ id: 1, month: 3, amount: 4000000, mode: 'reduceInstallment' }] });
+
+  assert.equal(result.schedule.length, 12);
+  assert.equal(result.schedule[2].installmentReduced, true);
+  assert.ok(result.schedule[3].monthlyPayment < base.monthlyPayment);
+  assert.equal(result.schedule[11].remainingBalance, 0);
+});
+
+test('an extra payment that reduces the installment right after a grace period lowers the first installment', () => {
+  const base = calculateAmortization({ ...LOAN, graceMonths: 6 });
+  const result = calculateAmortization({ ...LOAN, graceMonths: 6, extraPayments: [{ id: 1, month: 7, amount: 1000000, mode: 'reduceInstallment' }] });
+
+  assert.equal(result.schedule.length, 12);
+  assert.equal(result.schedule[6].extraPaymentApplied, 1000000);
+  assert.ok(result.schedule[6].monthlyPayment < base.schedule[6].monthlyPayment);
+  assert.equal(result.schedule[11].remainingBalance, 0);
+});
+
+test('a yearly term is split into installments of the payment frequency', () => {
+  const quarterly = calculateAmortization({ ...LOAN, loanTerm: 2, loanTermUnit: 'years', paymentFrequency: 'quarterly' });
+  const expected = calculateFixedPayment(12000000, calculatePeriodRate(12, 1 / 4), 8);
+
+  assert.equal(getTotalPeriods(1, 'years', 'biweekly'), 26);
+  assert.equal(quarterly.schedule.length, 8);
+  assert.ok(Math.abs(quarterly.monthlyPayment - expected) < 0.01);
+});
+
+test('an extra payment larger than the balance only pays what is owed', () => {
+  const extraPayments = [{ id: 1, type: 'recurring', amount: 2500000, startMonth: 1, frequency: 'monthly', mode: 'reduceTerm' }];
+  const { schedule, extraPaymentTotals } = calculateAmortization({ ...LOAN, extraPayments });
+  const last = schedule[schedule.length - 1];
+
+  assert.ok(last.extraPaymentApplied < 2500000);
+  assert.ok(Math.abs(sum(schedule, 'principalPayment') + sum(schedule, 'extraPaymentApplied') - 12000000) < 0.01);
+  assert.ok(Math.abs(extraPaymentTotals[1].total - sum(schedule, 'extraPaymentApplied')) < 0.01);
+});
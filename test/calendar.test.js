@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildLoanCalendar, formatISODate, getDayCount, getDueDates, getMonthForDate, getYearFraction, parseDate, resolveExtraPaymentDates } from '../src/calendar.js';
+
+const iso = (dates) => dates.map(formatISODate);
+
+test('only real ISO dates are parsed', () => {
+  assert.equal(formatISODate(parseDate('2028-02-29')), '2028-02-29');
+  assert.equal(parseDate('2026-02-30'), null);
+  assert.equal(parseDate('15/01/2026'), null);
+});
+
+test('a payment day past the end of the month falls on its last day', () => {
+  assert.deepEqual(iso(getDueDates('2026-01-31', 31, 4)), ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30', '2026-05-31']);
+  assert.deepEqual(iso(getDueDates('2027-12-31', 31, 2)), ['2027-12-31', '2028-01-31', '2028-02-29']);
+});
+
+test('30/360 counts every month as 30 days, even at the end of February', () => {
+  const day = (value) => parseDate(value);
+
+  assert.equal(getDayCount(day('2026-01-31'), day('2026-02-28'), '30/360'), 30);
+  assert.equal(getDayCount(day('2026-02-28'), day('2026-03-31'), '30/360'), 30);
+  assert.equal(getDayCount(day('2026-01-15'), day('2027-01-15'), '30/360'), 360);
+  assert.equal(getDayCount(day('2026-01-31'), day('2026-02-28'), 'actual/365'), 28);
+  assert.equal(getYearFraction(day('2026-01-01'), day('2027-01-01'), 'actual/360'), 365 / 360);
+});
+
+test('the loan calendar gives each period its year fraction', () => {
+  const calendar = buildLoanCalendar({ disbursementDate: '2026-01-31', paymentDay: '', dayCountConvention: '30/360' }, 3);
+
+  assert.deepEqual(calendar.yearFractions, [0, 1 / 12, 1 / 12, 1 / 12]);
+  assert.deepEqual(calendar.monthOffsets, [-1, 0, 1, 2]);
+  assert.equal(calendar.firstPaymentCalendarMonth, 2);
+  assert.equal(buildLoanCalendar({ disbursementDate: '2026-01-31', paymentDay: 32 }, 3), null);
+});
+
+test('an abono made between two due dates is applied from the next one', () => {
+  const dueDates = getDueDates('2026-01-15', 15, 12);
+
+  assert.equal(getMonthForDate(dueDates, '2026-02-15'), 2);
+  assert.equal(getMonthForDate(dueDates, '2026-02-16'), 3);
+  assert.deepEqual(
+    resolveExtraPaymentDates([{ id: 1, date: '2026-03-01', amount: 1 }, { id: 2, date: 'x', amount: 1 }], dueDates).map(ep => ep.month),
+    [3],
+  );
+});
+
+test('weekly and biweekly installments fall every 7 or 14 days, the others every few months', () => {
+  assert.deepEqual(iso(getDueDates('2026-01-01', 1, 2, 'weekly')), ['2026-01-01', '2026-01-08', '2026-01-15']);
+  assert.deepEqual(iso(getDueDates('2026-01-01', 1, 2, 'biweekly')), ['2026-01-01', '2026-01-15', '2026-01-29']);
+  assert.deepEqual(iso(getDueDates('2026-08-31', 31, 2, 'semiannual')), ['2026-08-31', '2027-02-28', '2027-08-31']);
+  assert.deepEqual(iso(getDueDates('2026-01-10', 10, 2, 'quarterly')), ['2026-01-10', '2026-04-10', '2026-07-10']);
+  assert.equal(getDueDates('2026-01-10', 10, 2, 'daily'), null);
+});
+
+test('quarterly installments are a quarter of a year under 30/360', () => {
+  const calendar = buildLoanCalendar({ disbursementDate: '2026-01-10', paymentFrequency: 'quarterly' }, 4);
+
+  assert.deepEqual(calendar.yearFractions, [0, 0.25, 0.25, 0.25, 0.25]);
+  assert.deepEqual(calendar.monthOffsets, [-3, 0, 3, 6, 9]);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAmortization } from '../src/amortization.js';
+import { applyLoanCosts, calculateIRR, hasLoanCosts } from '../src/costs.js';
+
+const close = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+const { schedule } = calculateAmortization({ loanAmount: 12000000, annualInterestRate: 12, loanTerm: 12, loanTermUnit: 'months' });
+
+test('the IRR of a known cash flow', () => {
+  close(calculateIRR([-100, 110]), 0.1);
+  close(calculateIRR([-1000, 0, 1210]), 0.1);
+  close(calculateIRR([-1000, 1100], -0.99, 10, [0, 0.5]), 0.21);
+  assert.ok(isNaN(calculateIRR([100, 100])));
+});
+
+test('without costs the effective annual cost is the loan rate', () => {
+  const result = applyLoanCosts(12000000, schedule, {});
+
+  close(result.effectiveAnnualCost, 12);
+  assert.equal(result.upfrontFees, 0);
+  assert.equal(hasLoanCosts({}), false);
+});
+
+test('insurance and fees are added to every installment and raise the effective annual cost', () => {
+  const costs = { lifeInsuranceRate: 0.1, propertyValue: 50000000, propertyInsuranceRate: 0.02, monthlyFee: 15000, openingFee: 200000 };
+  const result = applyLoanCosts(12000000, schedule, costs);
+  const first = result.schedule[0];
+
+  assert.equal(hasLoanCosts(costs), true);
+  close(first.lifeInsurance, 12000);
+  close(first.propertyInsurance, 10000);
+  close(first.totalPayment, first.monthlyPayment + 12000 + 10000 + 15000);
+  close(result.schedule[1].lifeInsurance, schedule[0].remainingBalance * 0.001);
+  assert.equal(result.upfrontFees, 200000);
+  assert.ok(result.effectiveAnnualCost > 12 + 3);
+});
+
+test('with due dates the effective annual cost runs over actual days', () => {
+  const dated = calculateAmortization({ loanAmount: 12000000, annualInterestRate: 12, loanTerm: 12, loanTermUnit: 'months', disbursementDate: '2026-01-15', dayCountConvention: 'actual/365' });
+  const result = applyLoanCosts(12000000, dated.schedule, {}, { disbursementDate: '2026-01-15' });
+
+  close(result.effectiveAnnualCost, 12, 0.05);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAmortization } from '../src/amortization.js';
+import { parseAmount, parsePaymentDate, splitCSVLine } from '../src/csvParsing.js';
+import { checkExtraPayments, parseExtraPaymentsCSV } from '../src/extraPayments.js';
+import { parseLocaleNumber } from '../src/i18n.js';
+
+test('amounts are read with dots or commas as thousands separators', () => {
+  assert.equal(parseAmount('$ 1.234.567,89'), 1234567.89);
+  assert.equal(parseAmount('1,234,567.89'), 1234567.89);
+  assert.equal(parseAmount('500.000'), 500000);
+  assert.equal(parseAmount('2,5'), 2.5);
+  assert.equal(parseAmount('-300000'), 300000);
+  assert.equal(parseAmount('monto'), null);
+});
+
+test('dates are read as ISO or day first, and impossible dates are rejected', () => {
+  assert.equal(parsePaymentDate('2026-03-15'), '2026-03-15');
+  assert.equal(parsePaymentDate('5/3/2026'), '2026-03-05');
+  assert.equal(parsePaymentDate('05-03-2026'), '2026-03-05');
+  assert.equal(parsePaymentDate('31/02/2026'), null);
+});
+
+test('a line is split on semicolons or tabs before commas, keeping quoted cells whole', () => {
+  assert.deepEqual(splitCSVLine('6;1.500.000,50;cuota'), ['6', '1.500.000,50', 'cuota']);
+  assert.deepEqual(splitCSVLine('6\t500000'), ['6', '500000']);
+  assert.deepEqual(splitCSVLine('6,"1,500,000.50", installment'), ['6', '1,500,000.50', 'installment']);
+});
+
+test('pasted extra payments are read with the number format of the locale', () => {
+  const text = 'Periodo;Monto;Modo\n6;1.500.000,50;cuota\n2026-12-15;2.000.000\n\nsin fecha;100';
+  const { extraPayments, skippedLines } = parseExtraPaymentsCSV(text, value => parseLocaleNumber(value, 'es-CO'));
+
+  assert.deepEqual(extraPayments, [
+    { amount: 1500000.5, month: 6, mode: 'reduceInstallment' },
+    { amount: 2000000, date: '2026-12-15', mode: 'reduceTerm' },
+  ]);
+  assert.equal(skippedLines, 2);
+
+  const english = parseExtraPaymentsCSV('6,"1,500,000.50"\n7\t2.5', value => parseLocaleNumber(value, 'en-US'));
+  assert.deepEqual(english.extraPayments.map(ep => ep.amount), [1500000.5, 2.5]);
+});
+
+test('extra payments after payoff or beyond the balance of their month are flagged', () => {
+  const loanAmount = 12000000;
+  const { schedule } = calculateAmortization({ loanAmount, annualInterestRate: 12, loanTerm: 12, loanTermUnit: 'months' });
+  const warnings = checkExtraPayments([
+    { id: 1, month: 3, amount: 6000000 },
+    { id: 2, month: 3, amount: 6000000 },
+    { id: 3, month: 1, amount: 12000000 },
+    { id: 4, month: 13, amount: 100000 },
+    { id: 5, type: 'recurring', startMonth: 2, amount: 20000000 },
+    { id: 6, type: 'recurring', startMonth: 13, amount: 100000 },
+  ], schedule, loanAmount);
+
+  assert.deepEqual(Object.keys(warnings), ['1', '2', '4', '6']);
+  assert.equal(warnings[1].type, 'exceedsBalance');
+  assert.equal(warnings[1].balance, schedule[1].remainingBalance);
+  assert.equal(warnings[4].type, 'afterPayoff');
+  assert.deepEqual(checkExtraPayments([{ id: 1, month: 1, amount: 1 }], [], loanAmount), {});
+});
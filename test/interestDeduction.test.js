@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAmortization } from '../src/amortization.js';
+import { DEFAULT_UVT_VALUE, HOUSING_INTEREST_CAP_UVT, buildInterestCertificate } from '../src/interestDeduction.js';
+
+const close = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+const LOAN = { loanAmount: 300000000, annualInterestRate: 12, loanTerm: 24, loanTermUnit: 'months' };
+const CAP = { uvtValue: DEFAULT_UVT_VALUE, capUVT: HOUSING_INTEREST_CAP_UVT };
+
+test('interest is grouped by the calendar year of each due date', () => {
+  const { schedule } = calculateAmortization(LOAN);
+  const certificate = buildInterestCertificate(schedule, { ...CAP, firstPaymentDate: '2025-07-15' });
+
+  assert.deepEqual(certificate.years.map(year => [year.year, year.installments]), [[2025, 6], [2026, 12], [2027, 6]]);
+  close(certificate.years[0].interest, schedule.slice(0, 6).reduce((total, row) => total + row.interestPayment, 0));
+  close(certificate.totals.principal, 300000000);
+  close(certificate.years[2].closingBalance, 0);
+});
+
+test('the deductible interest of a year is capped at 1200 UVT', () => {
+  const { schedule } = calculateAmortization({ ...LOAN, loanAmount: 600000000, loanTerm: 240 });
+  const { cap, years, totals } = buildInterestCertificate(schedule, { ...CAP, firstPaymentDate: '2025-01-15' });
+  const last = years.at(-1);
+
+  assert.equal(cap, 1200 * 49799);
+  assert.ok(years[0].interest > cap);
+  assert.equal(years[0].deductible, cap);
+  assert.ok(last.interest < cap);
+  assert.equal(last.deductible, last.interest);
+  close(totals.deductible, years.reduce((total, year) => total + Math.min(year.interest, cap), 0));
+  assert.ok(totals.deductible < totals.interest);
+});
+
+test('a schedule without due dates needs the date of the first installment', () => {
+  const { schedule } = calculateAmortization(LOAN);
+
+  assert.equal(buildInterestCertificate(schedule, { ...CAP }), null);
+  assert.equal(buildInterestCertificate(schedule, { ...CAP, uvtValue: '', firstPaymentDate: '2025-01-15' }).totals.deductible, 0);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { comparePrepayingWithInvesting } from '../src/investment.js';
+
+const LOAN = {
+  loanAmount: 12000000,
+  annualInterestRate: 12,
+  rateType: 'EA',
+  loanTerm: 24,
+  loanTermUnit: 'months',
+  paymentFrequency: 'monthly',
+  amortizationSystem: 'french',
+  extraPayments: [{ id: 1, type: 'recurring', amount: 200000, startMonth: 1, frequency: 'monthly', mode: 'reduceTerm' }],
+  rateChanges: [],
+};
+
+test('prepaying breaks even with investing at the loan rate', () => {
+  const comparison = comparePrepayingWithInvesting(LOAN, { returnRate: 8 });
+
+  assert.ok(Math.abs(comparison.breakEvenRate - 12) < 0.01);
+  assert.ok(comparison.advantage > 0);
+  assert.ok(comparePrepayingWithInvesting(LOAN, { returnRate: 16 }).advantage < 0);
+  assert.ok(Math.abs(comparePrepayingWithInvesting(LOAN, { returnRate: 12 }).advantage) < 1);
+});
+
+test('withholding tax on the returns raises the break-even rate', () => {
+  const comparison = comparePrepayingWithInvesting(LOAN, { returnRate: 8, withholdingTax: 7 });
+
+  assert.ok(comparison.breakEvenRate > 12.5);
+});
+
+test('both paths start at minus the loan and run until the loan without extra payments ends', () => {
+  const { points } = comparePrepayingWithInvesting(LOAN, { returnRate: 8 });
+
+  assert.deepEqual(points[0], { month: 0, prepay: -12000000, invest: -12000000 });
+  assert.equal(points.length, 25);
+  assert.equal(comparePrepayingWithInvesting({ ...LOAN, extraPayments: [] }, { returnRate: 8 }), null);
+});
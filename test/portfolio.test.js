@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { comparePortfolioStrategies, simulatePortfolio } from '../src/portfolio.js';
+
+const LOANS = [
+  { id: 'a', loanAmount: 1000000, annualInterestRate: 30, loanTerm: 12, amortizationSystem: 'french' },
+  { id: 'b', loanAmount: 20000000, annualInterestRate: 12, loanTerm: 60, amortizationSystem: 'french' },
+];
+
+const outflow = (row) => row.payment + row.extraPayment;
+
+test('the installment of a paid-off loan rolls over until every loan is paid', () => {
+  const result = simulatePortfolio(LOANS, { monthlyBudget: 200000, strategy: 'avalanche' });
+  const first = outflow(result.schedule[0]);
+
+  assert.equal(result.loans[0].payoffMonth, 4);
+  assert.ok(result.payoffMonth < result.baselinePayoffMonth);
+  assert.ok(result.totalInterest < result.baselineInterest);
+  result.schedule.slice(0, -1).forEach(row => assert.ok(Math.abs(outflow(row) - first) < 0.01, `month ${row.month}`));
+  assert.ok(outflow(result.schedule.at(-1)) <= first);
+  assert.ok(result.schedule.at(-1).balance <= 0.01);
+});
+
+test('without a budget only the installments of paid-off loans are rolled over', () => {
+  const result = simulatePortfolio(LOANS, { monthlyBudget: 0 });
+
+  assert.equal(result.loans[0].payoffMonth, 12);
+  assert.equal(result.loans[0].totalExtraPayments, 0);
+  assert.ok(result.loans[1].payoffMonth < 60);
+  assert.ok(Math.abs(outflow(result.schedule[12]) - outflow(result.schedule[0])) < 0.01);
+});
+
+test('snowball pays the smallest balance first', () => {
+  const loans = [{ ...LOANS[1], annualInterestRate: 30 }, { ...LOANS[0], annualInterestRate: 12 }];
+  const { snowball, avalanche } = comparePortfolioStrategies(loans, 200000);
+
+  assert.ok(snowball.loans[1].payoffMonth < avalanche.loans[1].payoffMonth);
+  assert.ok(avalanche.totalInterest <= snowball.totalInterest);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planPrepayments } from '../src/prepayments.js';
+import { calculateScenario } from '../src/scenarios.js';
+
+const LOAN = {
+  loanAmount: 12000000,
+  annualInterestRate: 12,
+  rateType: 'EA',
+  loanTerm: 24,
+  loanTermUnit: 'months',
+  paymentFrequency: 'monthly',
+  amortizationSystem: 'french',
+  extraPayments: [],
+  rateChanges: [],
+};
+
+const withExtraPayment = (extraPayment) => calculateScenario({ ...LOAN, extraPayments: [extraPayment] });
+
+test('the plan finds the smallest monthly extra payment, in thousands, that pays off by the goal', () => {
+  const { extraPayment, result } = planPrepayments(LOAN, { type: 'payoffMonth', month: 18 });
+
+  assert.equal(extraPayment.amount % 1000, 0);
+  assert.ok(result.numberOfPayments <= 18);
+  assert.ok(withExtraPayment({ ...extraPayment, amount: extraPayment.amount - 1000 }).numberOfPayments > 18);
+});
+
+test('the plan can aim at the interest saved and pay with the primas only', () => {
+  const { extraPayment, result } = planPrepayments(LOAN, { type: 'interestSaved', amount: 300000 }, { pattern: 'primas' });
+
+  assert.deepEqual(extraPayment.calendarMonths, [6, 12]);
+  assert.ok(result.totalInterestSaved >= 300000);
+  assert.ok(withExtraPayment({ ...extraPayment, amount: extraPayment.amount - 1000 }).totalInterestSaved < 300000);
+});
+
+test('goals already met or out of reach are reported', () => {
+  assert.equal(planPrepayments(LOAN, { type: 'payoffMonth', month: 24 }).error, 'planner.error.payoffAlreadyMet');
+  assert.equal(planPrepayments(LOAN, { type: 'payoffMonth', month: 6 }, { maxAmount: 10000 }).error, 'planner.error.payoffUnreachable');
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RATE_CODES, convertRate, fromEffectiveAnnual, getUsuryExcess, toEffectiveAnnual } from '../src/rates.js';
+
+const close = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+test('nominal rates in arrears and in advance convert to effective annual', () => {
+  close(toEffectiveAnnual(12, 'NMV'), (Math.pow(1.01, 12) - 1) * 100);
+  close(toEffectiveAnnual(12, 'NTA'), (Math.pow(1 + 0.03 / 0.97, 4) - 1) * 100);
+  close(toEffectiveAnnual(1, 'EM'), (Math.pow(1.01, 12) - 1) * 100);
+  close(fromEffectiveAnnual(12, 'NMV'), (Math.pow(1.12, 1 / 12) - 1) * 1200);
+});
+
+test('every rate code round-trips through effective annual', () => {
+  Object.keys(RATE_CODES).forEach((code) => {
+    close(fromEffectiveAnnual(toEffectiveAnnual(14.5, code), code), 14.5);
+    close(toEffectiveAnnual(fromEffectiveAnnual(14.5, code), code), 14.5);
+  });
+  close(convertRate(convertRate(18, 'NMV', 'NTA'), 'NTA', 'NMV'), 18);
+});
+
+test('invalid rates and codes give NaN', () => {
+  assert.ok(isNaN(toEffectiveAnnual('abc', 'EA')));
+  assert.ok(isNaN(toEffectiveAnnual(12, 'XYZ')));
+  assert.ok(isNaN(toEffectiveAnnual(1200, 'NMA')));
+});
+
+test('the usury excess is how far the rate is above the cap', () => {
+  close(getUsuryExcess(30, 27.5), 2.5);
+  assert.equal(getUsuryExcess(20, 27.5), 0);
+  assert.equal(getUsuryExcess(30, ''), 0);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAmortization } from '../src/amortization.js';
+import { buildLoanCalendar } from '../src/calendar.js';
+import { parsePaymentsCSV, reconcilePayments } from '../src/reconciliation.js';
+
+const close = (actual, expected, tolerance = 0.01) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+const LOAN = { loanAmount: 12000000, annualInterestRate: 12, loanTerm: 12, loanTermUnit: 'months', disbursementDate: '2026-01-15', paymentDay: 15 };
+const { schedule } = calculateAmortization(LOAN);
+const { dueDates, yearFractions } = buildLoanCalendar(LOAN, 12);
+
+const reconcile = (payments, options = {}) => reconcilePayments({ schedule, dueDates, yearFractions, loanAmount: 12000000, payments, ...options });
+
+test('installments paid on their due date follow the plan', () => {
+  const payments = schedule.slice(0, 3).map(row => ({ date: row.dueDate, amount: row.monthlyPayment }));
+  const result = reconcile(payments, { asOfDate: '2026-04-15', lateInterestRate: 30 });
+
+  close(result.currentBalance, schedule[2].remainingBalance);
+  close(result.rows[2].balanceDifference, 0);
+  assert.equal(result.totalLateInterest, 0);
+  close(result.overdueAmount, 0);
+  assert.equal(result.rows[3].actualBalance, null);
+});
+
+test('a late payment is charged late interest on the overdue principal for the days elapsed', () => {
+  const [first] = schedule;
+  const lateInterest = first.principalPayment * (Math.pow(1.3, 20 / 365) - 1);
+  const unpaid = reconcile([], { asOfDate: '2026-03-07', lateInterestRate: 30 });
+
+  close(unpaid.lateInterestOwed, lateInterest);
+  close(unpaid.overdueAmount, first.monthlyPayment + lateInterest);
+
+  const paid = reconcile([{ date: '2026-03-07', amount: first.monthlyPayment + lateInterest }], { asOfDate: '2026-03-07', lateInterestRate: 30 });
+  close(paid.totalLateInterest, lateInterest);
+  close(paid.overdueAmount, 0);
+  close(paid.currentBalance, first.remainingBalance);
+});
+
+test('a payment above the installment is an extra payment to principal before the installment falls due', () => {
+  const [first] = schedule;
+  const result = reconcile([{ date: first.dueDate, amount: first.monthlyPayment + 1000000 }], { asOfDate: first.dueDate });
+  const interest = 11000000 * (Math.pow(1.12, 1 / 12) - 1);
+
+  close(result.totalExtraPayments, 1000000);
+  close(result.currentBalance, 11000000 - (first.monthlyPayment - interest));
+  close(result.overdueAmount, 0);
+});
+
+test('bank statements with decimal commas are read', () => {
+  const { payments, skippedLines } = parsePaymentsCSV('Fecha;Descripción;Valor\n15/02/2026;Pago cuota;$ 1.066.185,48\n2026-03-15,"1,066,185.48"');
+
+  assert.deepEqual(payments, [{ date: '2026-02-15', amount: 1066185.48 }, { date: '2026-03-15', amount: 1066185.48 }]);
+  assert.equal(skippedLines, 1);
+});
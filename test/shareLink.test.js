@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeShareLink, encodeShareLink } from '../src/shareLink.js';
+
+const link = (payload) => `1.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+test('a link round-trips the extra payments and rate changes', () => {
+  const extraPayments = [{ id: 1, amount: 500000, month: 5, mode: 'reduceTerm' }];
+  const rateChanges = [{ id: 2, month: 7, type: 'tea', tea: 18 }];
+  const { inputs } = decodeShareLink(encodeShareLink({ extraPayments, rateChanges, paymentDay: '15' }));
+
+  assert.deepEqual(inputs.extraPayments, [{ ...extraPayments[0], id: inputs.extraPayments[0].id }]);
+  assert.deepEqual(inputs.rateChanges, [{ ...rateChanges[0], id: inputs.rateChanges[0].id }]);
+  assert.equal(inputs.paymentDay, '15');
+});
+
+test('numbers written as strings are decoded as numbers', () => {
+  const { inputs } = decodeShareLink(link({ x: [{ a: '500000', m: '5' }], rc: [{ m: '7', y: 'tea', t: '18' }], fm: '4' }));
+
+  assert.equal(inputs.extraPayments[0].month, 5);
+  assert.equal(inputs.extraPayments[0].amount, 500000);
+  assert.equal(inputs.rateChanges[0].month, 7);
+  assert.equal(inputs.firstPaymentCalendarMonth, 4);
+});
+
+test('links with invalid fields are rejected', () => {
+  [
+    { x: [{ a: 1, m: 'x' }] },
+    { x: [{ a: -500000, m: 5 }] },
+    { x: [{ a: 0, m: 5 }] },
+    { u: 'abc' },
+    { li: 'abc' },
+    { pi: {} },
+    { rc: [{ m: 0, y: 'tea', t: 1 }] },
+    { uv: 'abc' },
+    { g: true },
+    { b: null },
+    { i: 5 },
+    { dd: '2026-02-30' },
+    { pd: 32 },
+    { fm: 13 },
+  ].forEach(payload => assert.equal(decodeShareLink(link(payload)).error, 'share.error.invalidData', JSON.stringify(payload)));
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateScenario } from '../src/scenarios.js';
+import { solveLoan } from '../src/solver.js';
+
+const LOAN = {
+  loanAmount: 100000000,
+  annualInterestRate: 12,
+  rateType: 'EA',
+  loanTerm: 10,
+  loanTermUnit: 'years',
+  paymentFrequency: 'monthly',
+  amortizationSystem: 'french',
+  graceMonths: 0,
+  graceType: 'partial',
+  extraPayments: [],
+  rateChanges: [],
+};
+
+const installmentFor = (inputs) => calculateScenario(inputs).monthlyPayment;
+
+test('solving for the term finds the shortest term whose installment fits', () => {
+  const { value, installment } = solveLoan(LOAN, 'loanTerm', 4000000);
+
+  assert.equal(value, 29);
+  assert.ok(installment <= 4000000);
+  assert.ok(installmentFor({ ...LOAN, loanTerm: value - 1, loanTermUnit: 'months' }) > 4000000);
+});
+
+test('solving for the term counts the grace period and never answers a term inside it', () => {
+  const { value, installment } = solveLoan({ ...LOAN, graceMonths: 6 }, 'loanTerm', 4000000);
+
+  assert.equal(value, 35);
+  assert.ok(installment > 0 && installment <= 4000000);
+});
+
+test('solving for the rate gives back the target installment', () => {
+  const { value, installment } = solveLoan(LOAN, 'rate', 1500000);
+
+  assert.ok(value > 12 && value < 20);
+  assert.ok(Math.abs(installment - 1500000) < 0.01);
+  assert.equal(solveLoan(LOAN, 'rate', 100000).error, 'solver.error.belowZeroRate');
+});
+
+test('solving for the amount gives the largest amount whose installment fits', () => {
+  const { value, installment } = solveLoan(LOAN, 'loanAmount', 1500000);
+
+  assert.ok(installment <= 1500000);
+  assert.ok(installmentFor({ ...LOAN, loanAmount: value + 1 }) > 1500000);
+  assert.equal(solveLoan(LOAN, 'loanAmount', 0).error, 'solver.error.noTarget');
+});
+
+test('a bullet loan pays only interest, so its term is the shortest one with an installment', () => {
+  const bullet = { ...LOAN, amortizationSystem: 'bullet' };
+  const interest = 100000000 * (Math.pow(1.12, 1 / 12) - 1);
+
+  assert.equal(solveLoan(bullet, 'loanTerm', 1000000).value, 2);
+  assert.ok(Math.abs(solveLoan(bullet, 'loanTerm', 1000000).installment - interest) < 0.01);
+  assert.equal(solveLoan(bullet, 'loanTerm', interest / 2).error, 'solver.error.termTooLong');
+  assert.ok(Math.abs(solveLoan(bullet, 'rate', 1000000).installment - 1000000) < 0.01);
+  assert.ok(solveLoan(bullet, 'loanAmount', 1000000).installment <= 1000000);
+});
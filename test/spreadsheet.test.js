@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { toCSV, toXLSX } from '../src/spreadsheet.js';
+
+const SHEETS = [
+  { name: 'Resumen', sections: [{ title: 'Condiciones', columns: null, rows: [['Monto', 12000000], ['Tasa; EA', 12.5]] }] },
+  { name: 'Amortización', sections: [{ title: null, columns: ['Mes', 'Cuota'], rows: [[1, 1066185.479], [2, null]] }] },
+];
+
+// Files of an uncompressed ZIP archive, read through its central directory.
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054B50);
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(offset, true), 0x02014B50);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    assert.equal(view.getUint32(local, true), 0x04034B50);
+    assert.equal(view.getUint32(local + 14, true), crc);
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(start, start + size);
+    files[name] = { crc, data, text: new TextDecoder().decode(data) };
+    offset += 46 + nameLength;
+  }
+  return files;
+};
+
+test('CSV with semicolons writes decimal commas and quotes cells holding the separator', () => {
+  const csv = toCSV(SHEETS, ';');
+
+  assert.ok(csv.startsWith('\uFEFFCondiciones\r\n'));
+  assert.ok(csv.includes('Monto;12000000\r\n'));
+  assert.ok(csv.includes('"Tasa; EA";12,5\r\n'));
+  assert.ok(csv.includes('\r\n\r\nMes;Cuota\r\n1;1066185,479\r\n2;\r\n'));
+});
+
+test('CSV with commas keeps the decimal point', () => {
+  const csv = toCSV(SHEETS, ',');
+
+  assert.ok(csv.includes('"Tasa; EA",12.5\r\n'));
+  assert.ok(csv.includes('1,1066185.479\r\n'));
+});
+
+test('the XLSX is a valid ZIP whose entries carry their CRC-32', () => {
+  const files = readZip(toXLSX(SHEETS));
+
+  assert.deepEqual(Object.keys(files).sort(), [
+    '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml',
+    'xl/workbook.xml', 'xl/worksheets/sheet1.xml', 'xl/worksheets/sheet2.xml',
+  ]);
+  Object.values(files).forEach(({ crc, data }) => assert.equal(crc, crc32(data)));
+  assert.ok(files['xl/workbook.xml'].text.includes('<sheet name="Amortización" sheetId="2" r:id="rId2"/>'));
+});
+
+test('XLSX numbers are numeric cells and text is escaped', () => {
+  const sheet = readZip(toXLSX(SHEETS))['xl/worksheets/sheet1.xml'].text;
+
+  assert.ok(sheet.includes('<c r="B2"><v>12000000</v></c>'));
+  assert.ok(sheet.includes('<c r="B3" s="1"><v>12.5</v></c>'));
+  assert.ok(sheet.includes('<t xml:space="preserve">Condiciones</t>'));
+  const escaped = readZip(toXLSX([{ name: 'a/b', sections: [{ rows: [['<&>']] }] }]));
+  assert.ok(escaped['xl/worksheets/sheet1.xml'].text.includes('&lt;&amp;&gt;'));
+  assert.ok(escaped['xl/workbook.xml'].text.includes('name="a b"'));
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateAmortization } from '../src/amortization.js';
+import { calculateUVRAmortization, parseInflationPath, projectUVRValues } from '../src/uvr.js';
+
+const close = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+
+test('the inflation path accepts decimal commas, semicolons and arrays', () => {
+  assert.deepEqual(parseInflationPath('4,5; 3,8; 3.2'), [4.5, 3.8, 3.2]);
+  assert.deepEqual(parseInflationPath([5, 'x', 4]), [5, 4]);
+});
+
+test('the UVR value grows by the yearly inflation spread over each period', () => {
+  const monthly = projectUVRValues(300, '12; 6', 24);
+  const quarterly = projectUVRValues(300, '12; 6', 8, 4);
+
+  close(monthly[1], 300 * Math.pow(1.12, 1 / 12));
+  close(monthly[12], 300 * 1.12);
+  close(monthly[24], 300 * 1.12 * 1.06);
+  close(quarterly[4], monthly[12]);
+  close(quarterly[8], monthly[24]);
+  close(projectUVRValues(300, '', 3)[3], 300);
+});
+
+test('a UVR loan runs in UVR units and converts every installment at that period\'s UVR value', () => {
+  const loan = { loanAmount: 30000000, uvrInitialValue: 300, inflationPath: '5', annualInterestRate: 7, loanTerm: 12, loanTermUnit: 'months' };
+  const result = calculateUVRAmortization(loan);
+  const inUnits = calculateAmortization({ ...loan, loanAmount: 100000 }).schedule;
+
+  assert.equal(result.uvrLoanAmount, 100000);
+  assert.equal(result.schedule.length, 12);
+  result.schedule.forEach((row, index) => {
+    close(row.uvrValue, result.uvrValues[row.month]);
+    close(row.uvr.monthlyPayment, inUnits[index].monthlyPayment);
+    close(row.monthlyPayment, inUnits[index].monthlyPayment * row.uvrValue);
+  });
+  assert.ok(result.schedule[11].monthlyPayment > result.schedule[0].monthlyPayment);
+});
+
+test('extra payments in pesos are converted to UVR at the value of their period', () => {
+  const loan = { loanAmount: 30000000, uvrInitialValue: 300, inflationPath: '5', annualInterestRate: 7, loanTerm: 12, loanTermUnit: 'months' };
+  const result = calculateUVRAmortization({ ...loan, extraPayments: [{ id: 1, month: 6, amount: 3000000, mode: 'reduceTerm' }] });
+
+  close(result.schedule[5].extraPaymentApplied, 3000000);
+  close(result.schedule[5].uvr.extraPaymentApplied, 3000000 / result.uvrValues[6]);
+  close(result.extraPaymentTotals[1].total, 3000000);
+  assert.ok(result.schedule.length < 12);
+});
+
+test('the totals of a UVR extra payment count only what the balance needed', () => {
+  const loan = { loanAmount: 30000000, uvrInitialValue: 300, inflationPath: '5', annualInterestRate: 7, loanTerm: 12, loanTermUnit: 'months' };
+  const extraPayments = [{ id: 1, type: 'recurring', amount: 9000000, startMonth: 1, frequency: 'monthly', mode: 'reduceTerm' }];
+  const result = calculateUVRAmortization({ ...loan, extraPayments });
+  const applied = result.schedule.reduce((total, row) => total + row.extraPaymentApplied, 0);
+
+  assert.equal(result.extraPaymentTotals[1].count, 3);
+  close(result.extraPaymentTotals[1].total, applied);
+  assert.ok(applied < 3 * 9000000);
+});